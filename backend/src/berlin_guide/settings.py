@@ -31,6 +31,8 @@ DEBUG = os.environ.get("DEBUG") == "true"
 ALLOWED_HOSTS = os.environ.get("ALLOWED_HOSTS", "").split(",")
 
 CORS_ALLOW_ALL_ORIGINS = bool(os.environ.get("CORS_ALLOW_ALL_ORIGINS", False))
+# Lets the frontend show when throttled requests can be sent again
+CORS_EXPOSE_HEADERS = ["Retry-After"]
 
 
 # Application definition
@@ -44,6 +46,7 @@ INSTALLED_APPS = [
     "django.contrib.staticfiles",
     "django.contrib.gis",
     "rest_framework",
+    "rest_framework.authtoken",
     "rest_framework_gis",
     "corsheaders",
     "locations",
@@ -152,7 +155,12 @@ REST_FRAMEWORK = {
     "DEFAULT_THROTTLE_CLASSES": [
         "rest_framework.throttling.ScopedRateThrottle",
     ],
-    "DEFAULT_THROTTLE_RATES": {"read-only": "1000/day", "location-proposal": "10/day"},
+    "DEFAULT_THROTTLE_RATES": {
+        "read-only": "1000/day",
+        "location-proposal": "10/day",
+        "location-correction": "20/day",
+        "review-login": "20/hour",
+    },
     'DEFAULT_AUTHENTICATION_CLASSES': [],
     'DEFAULT_PERMISSION_CLASSES': [],
 }
@@ -160,4 +168,9 @@ REST_FRAMEWORK = {
 STATIC_ROOT = BASE_DIR / "staticfiles"
 STATICFILES_STORAGE = "whitenoise.storage.CompressedManifestStaticFilesStorage"
 
+# Uploaded files, like the photos of location proposals
+
+MEDIA_URL = "/django-media/"
+MEDIA_ROOT = os.environ.get("MEDIA_ROOT", BASE_DIR / "media")
+
 DEFAULT_AUTO_FIELD = "django.db.models.AutoField"
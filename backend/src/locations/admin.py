@@ -1,11 +1,17 @@
 from django.contrib.gis import admin
 
-from .models import Location, Category
+from .models import Location, LocationCorrection, LocationPhoto, Category
 from .helpers import set_coordinates_from_address
 
 
+class LocationPhotoInline(admin.TabularInline):
+    model = LocationPhoto
+    extra = 0
+
+
 @admin.register(Location)
 class LocationAdmin(admin.OSMGeoAdmin):
+    inlines = (LocationPhotoInline,)
     list_display = (
         "name",
         "category",
@@ -13,6 +19,7 @@ class LocationAdmin(admin.OSMGeoAdmin):
         "published",
         "coordinates",
         "user_submitted",
+        "possible_duplicate_of",
     )
 
     default_lon = 1489458
@@ -30,6 +37,13 @@ class LocationAdmin(admin.OSMGeoAdmin):
         super().save_model(request, obj, form, change)
 
 
+@admin.register(LocationCorrection)
+class LocationCorrectionAdmin(admin.ModelAdmin):
+    list_display = ("location", "created_at", "closed", "moved", "resolved")
+    list_filter = ("resolved", "closed", "moved")
+    readonly_fields = ("created_at",)
+
+
 @admin.register(Category)
 class CategoryAdmin(admin.OSMGeoAdmin):
     verbose_name = "Categories"
@@ -6,17 +6,54 @@ import geocoder
 
 logger = logging.getLogger(__name__)
 
+MERGED_FIELDS = [
+    "address",
+    "website",
+    "email",
+    "phone",
+    "description",
+    "opening_hours",
+    "point",
+    "category",
+]
 
-def set_coordinates_from_address(address, obj):
+
+def geocode_address(address):
     """
-    Get the coordinates for an address by using the geocoder and set them
-    on a location object.
+    Get the coordinates for an address by using the geocoder, as a point or
+    None if the address could not be found.
     """
     g = geocoder.osm(address)
     if not g.ok:
         logger.warning("Geocoder could not find result for '%s'", g.json)
-        return
+        return None
     logger.info("Geocoding successful for: '%s'", address)
     lat, lng = g.latlng
-    obj.point = Point(lng, lat)
+    return Point(lng, lat)
+
+
+def set_coordinates_from_address(address, obj):
+    """
+    Get the coordinates for an address by using the geocoder and set them
+    on a location object.
+    """
+    point = geocode_address(address)
+    if point is None:
+        return
+    obj.point = point
     obj.save()
+
+
+def merge_location(proposal, target):
+    """
+    Merge a proposal into an existing location: fields left empty on the
+    location are taken from the proposal, the photos are moved over and the
+    proposal is deleted.
+    """
+    for field in MERGED_FIELDS:
+        if not getattr(target, field) and getattr(proposal, field):
+            setattr(target, field, getattr(proposal, field))
+    target.save()
+    proposal.photos.update(location=target)
+    proposal.delete()
+    return target
@@ -0,0 +1,26 @@
+import django.core.validators
+from django.db import migrations, models
+import django.db.models.deletion
+
+
+class Migration(migrations.Migration):
+
+    dependencies = [
+        ('locations', '0013_location_user_submitted'),
+    ]
+
+    operations = [
+        migrations.AddField(
+            model_name='location',
+            name='opening_hours',
+            field=models.CharField(blank=True, max_length=256, null=True),
+        ),
+        migrations.CreateModel(
+            name='LocationPhoto',
+            fields=[
+                ('id', models.AutoField(auto_created=True, primary_key=True, serialize=False, verbose_name='ID')),
+                ('image', models.FileField(upload_to='location-photos/', validators=[django.core.validators.FileExtensionValidator(['jpg', 'jpeg', 'png', 'webp'])])),
+                ('location', models.ForeignKey(on_delete=django.db.models.deletion.CASCADE, related_name='photos', to='locations.location')),
+            ],
+        ),
+    ]
@@ -0,0 +1,17 @@
+from django.db import migrations, models
+import django.db.models.deletion
+
+
+class Migration(migrations.Migration):
+
+    dependencies = [
+        ('locations', '0014_location_opening_hours_locationphoto'),
+    ]
+
+    operations = [
+        migrations.AddField(
+            model_name='location',
+            name='possible_duplicate_of',
+            field=models.ForeignKey(blank=True, help_text='Existing location the submitter was warned about.', null=True, on_delete=django.db.models.deletion.SET_NULL, related_name='possible_duplicates', to='locations.location'),
+        ),
+    ]
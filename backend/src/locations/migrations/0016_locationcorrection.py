@@ -0,0 +1,25 @@
+from django.db import migrations, models
+import django.db.models.deletion
+
+
+class Migration(migrations.Migration):
+
+    dependencies = [
+        ('locations', '0015_location_possible_duplicate_of'),
+    ]
+
+    operations = [
+        migrations.CreateModel(
+            name='LocationCorrection',
+            fields=[
+                ('id', models.AutoField(auto_created=True, primary_key=True, serialize=False, verbose_name='ID')),
+                ('changes', models.JSONField(blank=True, default=dict)),
+                ('closed', models.BooleanField(default=False)),
+                ('moved', models.BooleanField(default=False)),
+                ('comment', models.TextField(blank=True, max_length=500, null=True)),
+                ('created_at', models.DateTimeField(auto_now_add=True)),
+                ('resolved', models.BooleanField(default=False)),
+                ('location', models.ForeignKey(on_delete=django.db.models.deletion.CASCADE, related_name='corrections', to='locations.location')),
+            ],
+        ),
+    ]
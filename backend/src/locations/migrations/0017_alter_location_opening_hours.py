@@ -0,0 +1,16 @@
+from django.db import migrations, models
+
+
+class Migration(migrations.Migration):
+
+    dependencies = [
+        ('locations', '0016_locationcorrection'),
+    ]
+
+    operations = [
+        migrations.AlterField(
+            model_name='location',
+            name='opening_hours',
+            field=models.CharField(blank=True, help_text='In the OpenStreetMap opening_hours syntax, e.g. Mo-Fr 09:00-18:00; PH off', max_length=256, null=True),
+        ),
+    ]
@@ -0,0 +1,16 @@
+from django.db import migrations, models
+
+
+class Migration(migrations.Migration):
+
+    dependencies = [
+        ('locations', '0017_alter_location_opening_hours'),
+    ]
+
+    operations = [
+        migrations.AddField(
+            model_name='location',
+            name='inexact_radius',
+            field=models.PositiveIntegerField(blank=True, help_text='Radius in meters of the area around the point where an inexact location lies. The map uses 500 m when empty.', null=True),
+        ),
+    ]
@@ -1,4 +1,5 @@
 from django.contrib.gis.db import models as gis_models
+from django.core.validators import FileExtensionValidator
 from django.db import models
 
 
@@ -11,6 +12,13 @@ class Location(gis_models.Model):
     email = models.CharField(null=True, blank=True, max_length=128)
     phone = models.CharField(null=True, blank=True, max_length=32)
     description = models.TextField(null=True, blank=True, max_length=500)
+    opening_hours = models.CharField(
+        null=True,
+        blank=True,
+        max_length=256,
+        help_text="In the OpenStreetMap opening_hours syntax, "
+        "e.g. Mo-Fr 09:00-18:00; PH off",
+    )
     point = gis_models.PointField(
         null=True,
         blank=True,
@@ -19,7 +27,21 @@ class Location(gis_models.Model):
     geographic_entity = models.BooleanField(default=True)
     published = models.BooleanField(default=False)
     inexact_location = models.BooleanField(default=False)
+    inexact_radius = models.PositiveIntegerField(
+        null=True,
+        blank=True,
+        help_text="Radius in meters of the area around the point where an "
+        "inexact location lies. The map uses 500 m when empty.",
+    )
     user_submitted = models.BooleanField(default=False)
+    possible_duplicate_of = models.ForeignKey(
+        "self",
+        null=True,
+        blank=True,
+        on_delete=models.SET_NULL,
+        related_name="possible_duplicates",
+        help_text="Existing location the submitter was warned about.",
+    )
 
     @property
     def coordinates(self):
@@ -30,6 +52,39 @@ class Location(gis_models.Model):
         return self.name
 
 
+class LocationPhoto(models.Model):
+    location = models.ForeignKey(
+        "Location", related_name="photos", on_delete=models.CASCADE
+    )
+    image = models.FileField(
+        upload_to="location-photos/",
+        validators=[FileExtensionValidator(["jpg", "jpeg", "png", "webp"])],
+    )
+
+    def __str__(self):
+        return self.image.name
+
+
+class LocationCorrection(models.Model):
+    """
+    Change reported by a reader for a published location. `changes` maps the
+    corrected fields to their new values.
+    """
+
+    location = models.ForeignKey(
+        "Location", related_name="corrections", on_delete=models.CASCADE
+    )
+    changes = models.JSONField(default=dict, blank=True)
+    closed = models.BooleanField(default=False)
+    moved = models.BooleanField(default=False)
+    comment = models.TextField(null=True, blank=True, max_length=500)
+    created_at = models.DateTimeField(auto_now_add=True)
+    resolved = models.BooleanField(default=False)
+
+    def __str__(self):
+        return f"Correction of {self.location}"
+
+
 class Category(models.Model):
     name_slug = models.SlugField(null=False, blank=False)
     label_singular = models.CharField(max_length=64, null=False, blank=False)
@@ -1,7 +1,11 @@
+from django.core.exceptions import ValidationError as DjangoValidationError
 from rest_framework import serializers
 from rest_framework_gis.serializers import GeoFeatureModelSerializer
 
-from .models import Location, Category
+from .models import Location, LocationCorrection, LocationPhoto, Category
+
+MAX_PHOTOS = 3
+MAX_PHOTO_SIZE = 5 * 1024 * 1024
 
 
 class CategorySerializer(serializers.ModelSerializer):
@@ -30,8 +34,10 @@ class LocationSerializer(GeoFeatureModelSerializer):
             "description",
             "category",
             "phone",
+            "opening_hours",
             "geographic_entity",
             "inexact_location",
+            "inexact_radius",
             "published",
         ]
 
@@ -40,10 +46,22 @@ class LocationProposalSerializer(GeoFeatureModelSerializer):
     """
     This serializer is used only when new location proposals are submitted.
     It covers a restricted set of fields. The rest of the fields have to be
-    filled in by content reviewers.
+    filled in by content reviewers. The point picked on the map is optional,
+    without it the address is geocoded by the reviewers. The category is only
+    a suggestion, since proposals are reviewed before being published.
+    `possible_duplicate_of` points to an existing location the submitter
+    confirmed to be a different place.
     """
 
     user_submitted = serializers.HiddenField(default=True)
+    photos = serializers.ListField(
+        child=serializers.FileField(
+            validators=LocationPhoto._meta.get_field("image").validators
+        ),
+        max_length=MAX_PHOTOS,
+        required=False,
+        write_only=True,
+    )
 
     class Meta:
         model = Location
@@ -55,8 +73,118 @@ class LocationProposalSerializer(GeoFeatureModelSerializer):
             "email",
             "description",
             "phone",
+            "category",
+            "opening_hours",
+            "photos",
+            "possible_duplicate_of",
             "user_submitted",
         ]
-        extra_kwargs = {
-            field: {"required": True} for field in ["name", "address", "description"]
-        }
+        # Blank fields are left out by the form, so only the name is required
+        extra_kwargs = {"name": {"required": True}}
+
+    def validate(self, data):
+        if not data.get("address") and not data.get("point"):
+            raise serializers.ValidationError(
+                "Either an address or a point on the map is required."
+            )
+        return data
+
+    def validate_photos(self, photos):
+        for photo in photos:
+            if photo.size > MAX_PHOTO_SIZE:
+                raise serializers.ValidationError(
+                    f"Photos can be at most {MAX_PHOTO_SIZE // 1024 // 1024} MB."
+                )
+        return photos
+
+    def create(self, validated_data):
+        photos = validated_data.pop("photos", [])
+        location = super().create(validated_data)
+        for photo in photos:
+            LocationPhoto.objects.create(location=location, image=photo)
+        return location
+
+
+class LocationCorrectionSerializer(serializers.ModelSerializer):
+    """
+    This serializer is used when readers report a change for a location.
+    Only the fields shown in the frontend can be corrected.
+    """
+
+    CORRECTABLE_FIELDS = [
+        "name",
+        "address",
+        "website",
+        "email",
+        "phone",
+        "description",
+        "opening_hours",
+    ]
+
+    class Meta:
+        model = LocationCorrection
+        fields = [
+            "changes",
+            "closed",
+            "moved",
+            "comment",
+        ]
+
+    def validate_changes(self, changes):
+        if not isinstance(changes, dict):
+            raise serializers.ValidationError("Expected an object of changes.")
+        errors = {}
+        for field, value in changes.items():
+            if field not in self.CORRECTABLE_FIELDS:
+                errors[field] = ["This field can't be corrected."]
+                continue
+            try:
+                Location._meta.get_field(field).clean(value, None)
+            except DjangoValidationError as exc:
+                errors[field] = exc.messages
+        if errors:
+            raise serializers.ValidationError(errors)
+        return changes
+
+    def validate(self, data):
+        fields = ["changes", "closed", "moved", "comment"]
+        if not any(data.get(field) for field in fields):
+            raise serializers.ValidationError(
+                "The correction doesn't change anything."
+            )
+        return data
+
+
+class LocationPhotoSerializer(serializers.ModelSerializer):
+    class Meta:
+        model = LocationPhoto
+        fields = ["pk", "image"]
+
+
+class ReviewLocationSerializer(GeoFeatureModelSerializer):
+    """
+    This serializer is used by reviewers for working through the submitted
+    locations. Besides the fields of the proposal, they set the category and
+    correct the point.
+    """
+
+    photos = LocationPhotoSerializer(many=True, read_only=True)
+
+    class Meta:
+        model = Location
+        geo_field = "point"
+        fields = [
+            "pk",
+            "name",
+            "address",
+            "website",
+            "email",
+            "description",
+            "phone",
+            "opening_hours",
+            "category",
+            "photos",
+            "possible_duplicate_of",
+            "published",
+        ]
+        read_only_fields = ["published"]
@@ -1,3 +1,174 @@
-from django.test import TestCase
+import shutil
+import tempfile
 
-# Create your tests here.
+from django.contrib.auth.models import User
+from django.contrib.gis.geos import Point
+from django.core.cache import cache
+from django.core.files.uploadedfile import SimpleUploadedFile
+from django.test import override_settings
+from rest_framework import status
+from rest_framework.authtoken.models import Token
+from rest_framework.test import APITestCase
+
+from .models import Location, LocationPhoto
+
+
+class LocationProposalTests(APITestCase):
+    url = "/api/location-proposal/"
+
+    def setUp(self):
+        # Proposals are throttled per client
+        cache.clear()
+
+    def test_proposal_without_optional_fields(self):
+        response = self.client.post(
+            self.url, {"name": "Magazin", "address": "Karl-Marx-Allee 10"}
+        )
+        self.assertEqual(response.status_code, status.HTTP_201_CREATED)
+        location = Location.objects.get(name="Magazin")
+        self.assertTrue(location.user_submitted)
+        self.assertFalse(location.published)
+        self.assertIsNone(location.description)
+
+    def test_proposal_requires_name(self):
+        response = self.client.post(self.url, {"address": "Karl-Marx-Allee 10"})
+        self.assertEqual(response.status_code, status.HTTP_400_BAD_REQUEST)
+        self.assertIn("name", response.json())
+
+    def test_proposal_requires_address_or_point(self):
+        response = self.client.post(self.url, {"name": "Magazin"})
+        self.assertEqual(response.status_code, status.HTTP_400_BAD_REQUEST)
+
+        response = self.client.post(
+            self.url,
+            {
+                "name": "Magazin",
+                "point": '{"type": "Point", "coordinates": [13.43, 52.517]}',
+            },
+        )
+        self.assertEqual(response.status_code, status.HTTP_201_CREATED)
+
+
+class ReviewLocationTests(APITestCase):
+    url = "/api/review/locations/"
+
+    @classmethod
+    def setUpClass(cls):
+        super().setUpClass()
+        # Uploaded photos end up in a folder of their own
+        cls.media_root = tempfile.mkdtemp()
+        cls.media_settings = override_settings(MEDIA_ROOT=cls.media_root)
+        cls.media_settings.enable()
+
+    @classmethod
+    def tearDownClass(cls):
+        cls.media_settings.disable()
+        shutil.rmtree(cls.media_root, ignore_errors=True)
+        super().tearDownClass()
+
+    def setUp(self):
+        reviewer = User.objects.create_user("reviewer", is_staff=True)
+        token = Token.objects.create(user=reviewer)
+        self.client.credentials(HTTP_AUTHORIZATION=f"Token {token.key}")
+        self.proposal = Location.objects.create(
+            name="Magazin nou", phone="030 1234567", user_submitted=True
+        )
+        self.photo = LocationPhoto.objects.create(
+            location=self.proposal,
+            image=SimpleUploadedFile("photo.jpg", b"photo", "image/jpeg"),
+        )
+
+    def test_requires_staff_user(self):
+        self.client.credentials()
+        response = self.client.get(self.url)
+        self.assertEqual(response.status_code, status.HTTP_401_UNAUTHORIZED)
+
+        user = User.objects.create_user("reader")
+        token = Token.objects.create(user=user)
+        self.client.credentials(HTTP_AUTHORIZATION=f"Token {token.key}")
+        response = self.client.get(self.url)
+        self.assertEqual(response.status_code, status.HTTP_403_FORBIDDEN)
+
+    def test_lists_only_unpublished_submissions(self):
+        Location.objects.create(
+            name="Publicat", user_submitted=True, published=True
+        )
+        Location.objects.create(name="Din admin")
+        response = self.client.get(self.url)
+        names = [
+            feature["properties"]["name"] for feature in response.json()["features"]
+        ]
+        self.assertEqual(names, ["Magazin nou"])
+
+    def test_approve(self):
+        response = self.client.post(f"{self.url}{self.proposal.pk}/approve/")
+        self.assertEqual(response.status_code, status.HTTP_200_OK)
+        self.proposal.refresh_from_db()
+        self.assertTrue(self.proposal.published)
+
+        response = self.client.post(f"{self.url}{self.proposal.pk}/approve/")
+        self.assertEqual(response.status_code, status.HTTP_404_NOT_FOUND)
+
+    def test_merge(self):
+        target = Location.objects.create(
+            name="Magazin", point=Point(13.43, 52.517), published=True
+        )
+        response = self.client.post(
+            f"{self.url}{self.proposal.pk}/merge/", {"into": target.pk}
+        )
+        self.assertEqual(response.status_code, status.HTTP_200_OK)
+        target.refresh_from_db()
+        self.assertEqual(target.phone, "030 1234567")
+        self.assertEqual(list(target.photos.all()), [self.photo])
+        self.assertFalse(Location.objects.filter(pk=self.proposal.pk).exists())
+        self.assertTrue(self.photo.image.storage.exists(self.photo.image.name))
+
+    def test_merge_requires_published_location(self):
+        unpublished = Location.objects.create(name="Magazin", user_submitted=True)
+        response = self.client.post(
+            f"{self.url}{self.proposal.pk}/merge/", {"into": unpublished.pk}
+        )
+        self.assertEqual(response.status_code, status.HTTP_400_BAD_REQUEST)
+        self.assertIn("into", response.json())
+
+    def test_reject_deletes_photos(self):
+        storage, name = self.photo.image.storage, self.photo.image.name
+        self.assertTrue(storage.exists(name))
+        response = self.client.delete(f"{self.url}{self.proposal.pk}/")
+        self.assertEqual(response.status_code, status.HTTP_204_NO_CONTENT)
+        self.assertFalse(Location.objects.filter(pk=self.proposal.pk).exists())
+        self.assertFalse(LocationPhoto.objects.exists())
+        self.assertFalse(storage.exists(name))
+
+
+class LocationListTests(APITestCase):
+    url = "/api/locations/"
+
+    def setUp(self):
+        cache.clear()
+        Location.objects.create(
+            name="Ambasada", point=Point(13.38, 52.516), published=True
+        )
+        Location.objects.create(
+            name="Linia de ajutor", geographic_entity=False, published=True
+        )
+        Location.objects.create(name="Propunere", point=Point(13.4, 52.5))
+
+    def get_names(self, params=None):
+        response = self.client.get(self.url, params)
+        self.assertEqual(response.status_code, status.HTTP_200_OK)
+        features = response.json()["features"]
+        return sorted(feature["properties"]["name"] for feature in features)
+
+    def test_excludes_non_geographic_entries_by_default(self):
+        self.assertEqual(self.get_names(), ["Ambasada"])
+        self.assertEqual(
+            self.get_names({"include_non_geographic": "false"}), ["Ambasada"]
+        )
+
+    def test_includes_non_geographic_entries_on_request(self):
+        for value in ("true", "True", "1"):
+            self.assertEqual(
+                self.get_names({"include_non_geographic": value}),
+                ["Ambasada", "Linia de ajutor"],
+            )
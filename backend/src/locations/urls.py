@@ -1,16 +1,31 @@
 from rest_framework.routers import SimpleRouter
 from rest_framework.urls import path
 
-from .views import CategoryViewSet, LocationViewSet, LocationProposalView
+from .views import (
+    CategoryViewSet,
+    LocationCorrectionView,
+    LocationViewSet,
+    LocationProposalView,
+    ReviewLocationViewSet,
+    ReviewLoginView,
+)
 
 router = SimpleRouter()
 
 router.register(r"locations", LocationViewSet)
 router.register(r"categories", CategoryViewSet)
+router.register(
+    r"review/locations", ReviewLocationViewSet, basename="review-location"
+)
 
 
 urlpatterns = [
     path("location-proposal/", LocationProposalView.as_view()),
+    path("review/login/", ReviewLoginView.as_view()),
+    path(
+        "locations/<int:location_pk>/correction/",
+        LocationCorrectionView.as_view(),
+    ),
 ]
 
 urlpatterns += router.urls
@@ -1,12 +1,21 @@
 from django.contrib.postgres.search import SearchQuery, SearchVector
-from rest_framework import generics, viewsets
-from rest_framework.throttling import AnonRateThrottle
+from django.shortcuts import get_object_or_404
+from rest_framework import generics, mixins, serializers, viewsets
+from rest_framework.authentication import TokenAuthentication
+from rest_framework.authtoken.views import ObtainAuthToken
+from rest_framework.decorators import action
+from rest_framework.permissions import IsAdminUser
+from rest_framework.response import Response
+from rest_framework.throttling import AnonRateThrottle, ScopedRateThrottle
 
+from .helpers import geocode_address, merge_location
 from .models import Category, Location
 from .serializers import (
     CategorySerializer,
+    LocationCorrectionSerializer,
     LocationProposalSerializer,
     LocationSerializer,
+    ReviewLocationSerializer,
 )
 
 
@@ -16,7 +25,7 @@ ViewSets
 
 
 class LocationViewSet(viewsets.ReadOnlyModelViewSet):
-    queryset = Location.objects.filter(published=True, geographic_entity=True)
+    queryset = Location.objects.filter(published=True)
     serializer_class = LocationSerializer
     filterset_fields = ("category",)
     throttle_scope = "read-only"
@@ -25,9 +34,16 @@ class LocationViewSet(viewsets.ReadOnlyModelViewSet):
     def get_queryset(self):
         """
         Optionally restricts the returned POIs by filtering against a `search`
-        query parameter in the URL.
+        query parameter in the URL. Entries without a place of their own, like
+        online services and hotlines, are only included with the
+        `include_non_geographic=true` query parameter.
         """
         queryset = self.queryset
+        include_non_geographic = self.request.query_params.get(
+            "include_non_geographic", ""
+        ).lower() in ("true", "1")
+        if not include_non_geographic:
+            queryset = queryset.filter(geographic_entity=True)
         if search_phrase := self.request.query_params.get("search"):
             return queryset.annotate(
                 search=SearchVector(
@@ -47,6 +63,54 @@ class CategoryViewSet(viewsets.ReadOnlyModelViewSet):
     throttle_scope = "read-only"
 
 
+class ReviewLocationViewSet(
+    mixins.ListModelMixin,
+    mixins.RetrieveModelMixin,
+    mixins.UpdateModelMixin,
+    mixins.DestroyModelMixin,
+    viewsets.GenericViewSet,
+):
+    """
+    Submitted locations waiting for a review, only available to staff users.
+    Deleting a submission rejects it.
+    """
+
+    queryset = Location.objects.filter(user_submitted=True, published=False)
+    serializer_class = ReviewLocationSerializer
+    authentication_classes = [TokenAuthentication]
+    permission_classes = [IsAdminUser]
+
+    @action(detail=True, methods=["post"])
+    def approve(self, request, pk=None):
+        location = self.get_object()
+        location.published = True
+        location.save()
+        return Response(self.get_serializer(location).data)
+
+    @action(detail=True, methods=["post"])
+    def merge(self, request, pk=None):
+        proposal = self.get_object()
+        target_pk = request.data.get("into")
+        target = Location.objects.filter(published=True, pk=target_pk).first()
+        if target is None:
+            raise serializers.ValidationError({"into": ["Unknown location."]})
+        merge_location(proposal, target)
+        return Response(LocationSerializer(target).data)
+
+    @action(detail=True, methods=["get"])
+    def geocode(self, request, pk=None):
+        location = self.get_object()
+        point = location.address and geocode_address(location.address)
+        return Response({"coordinates": point.coords if point else None})
+
+    def perform_destroy(self, instance):
+        # Deleting the rows of the photos leaves their files in the storage
+        images = [photo.image for photo in instance.photos.all()]
+        instance.delete()
+        for image in images:
+            image.delete(save=False)
+
+
 """
 Generic views
 """
@@ -55,3 +119,19 @@ Generic views
 class LocationProposalView(generics.CreateAPIView):
     serializer_class = LocationProposalSerializer
     throttle_scope = "location-proposal"
+
+
+class LocationCorrectionView(generics.CreateAPIView):
+    serializer_class = LocationCorrectionSerializer
+    throttle_scope = "location-correction"
+
+    def perform_create(self, serializer):
+        location = get_object_or_404(
+            LocationViewSet.queryset, pk=self.kwargs["location_pk"]
+        )
+        serializer.save(location=location)
+
+
+class ReviewLoginView(ObtainAuthToken):
+    throttle_classes = [ScopedRateThrottle]
+    throttle_scope = "review-login"
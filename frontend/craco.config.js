@@ -9,4 +9,13 @@ module.exports = {
       ignore: ["./node_modules/mapbox-gl/dist/mapbox-gl.js"],
     },
   },
+  jest: {
+    // d3-ease is only published as ES module
+    configure: (jestConfig) => ({
+      ...jestConfig,
+      transformIgnorePatterns: [
+        "[/\\\\]node_modules[/\\\\](?!d3-ease[/\\\\]).+\\.(js|jsx|mjs|cjs|ts|tsx)$",
+      ],
+    }),
+  },
 };
@@ -1,36 +1,134 @@
 import * as React from "react";
-import ReactMapGL, { Source, FlyToInterpolator } from "react-map-gl";
+import ReactMapGL, {
+  Source,
+  Layer,
+  FlyToInterpolator,
+  GeolocateControl,
+  WebMercatorViewport,
+} from "react-map-gl";
 import {
   BrowserRouter as Router,
   Switch,
   Route,
+  Redirect,
   useHistory,
 } from "react-router-dom";
-import { QueryClient, QueryClientProvider, useQuery } from "react-query";
+import { QueryClient, QueryClientProvider } from "react-query";
 import { Dialog, Transition } from "@headlessui/react";
-import { XCircleIcon } from "@heroicons/react/outline";
 import {
-  LocationMarkerIcon,
-  LinkIcon,
-  MailIcon,
-  PhoneIcon,
+  HomeIcon,
+  StarIcon as StarOutlineIcon,
+  XCircleIcon,
+} from "@heroicons/react/outline";
+import {
+  ClockIcon,
+  DownloadIcon,
+  PencilAltIcon,
+  QrcodeIcon,
+  StarIcon,
 } from "@heroicons/react/solid";
 import { easeCubic } from "d3-ease";
-import { Formik, Field, Form } from "formik";
+import { Formik, Field, Form, useFormikContext } from "formik";
 
-import { API_URL, MAPBOX_TOKEN } from "./constants";
-import { fetchCategories, fetchLocations, useQueryParams } from "./utils";
 import {
-  CategoryProvider,
-  useCategory,
-  LocationProvider,
-  useLocation,
+  API_URL,
+  DEFAULT_VIEWPORT,
+  MAPBOX_TOKEN,
+  MAX_PHOTOS,
+  MAX_ZOOM,
+} from "./constants";
+import {
+  haveSameCoordinates,
+  circlePolygon,
+  distanceToUser,
+  formatDistance,
+  getBounds,
+  getViewportFromQuery,
+  inexactRadius,
+  isNonGeographic,
+  isValidEmail,
+  isValidWebsite,
+  setViewportToQuery,
+  useQueryParams,
+} from "./utils";
+import {
+  HoveredLocationProvider,
+  useHoveredLocation,
   SearchPhraseProvider,
   useSearchPhrase,
+  UserPositionProvider,
+  useUserPosition,
+  RadiusProvider,
+  useRadius,
+  useFavorites,
+  FavoritesProvider,
+  LanguageProvider,
 } from "./contexts";
-import { useDebounce } from "./hooks";
+import {
+  useCategoriesQuery,
+  useClusters,
+  useCurrentTime,
+  useDebounce,
+  useLocationsQuery,
+  useFeatureState,
+  useFormSubmission,
+  useOnlineStatus,
+  useProposalQueue,
+  useSearchIndex,
+} from "./hooks";
+import { exportVCard } from "./exporters";
+import { isOpenAt, parseOpeningHours } from "./schedule";
+import { findDuplicates } from "./search";
+import {
+  EMPTY_PROPOSAL,
+  clearDraft,
+  loadDraft,
+  loadRejected,
+  saveDraft,
+  saveRejected,
+  toProposalFormData,
+} from "./proposals";
+import { useTranslation } from "./i18n";
+import {
+  areaLayer,
+  areaOutlineLayer,
+  pinLayer,
+  radiusLayer,
+} from "./layers";
+import {
+  ROUTE_PATHS,
+  PRINT_PATH,
+  REVIEW_PATH,
+  EMBED_PATH,
+  EMBED_CODE_PATH,
+  EmbedRedirect,
+  LegacyRedirect,
+  useCategories,
+  useEmbedMode,
+  useLocation,
+  useOpenNowFilter,
+  useSavedFilter,
+} from "./routing";
+import ContactDetails from "./ContactDetails";
+import CorrectionForm from "./CorrectionForm";
+import DuplicateWarning from "./DuplicateWarning";
+import EmbedBridge from "./EmbedBridge";
+import EmbedCode from "./EmbedCode";
+import FavoritesImport from "./FavoritesImport";
+import LanguageSwitcher from "./LanguageSwitcher";
+import LocationQrCode from "./LocationQrCode";
+import OfflineGuide from "./OfflineGuide";
+import OpeningHours from "./OpeningHours";
+import PhotoInput from "./PhotoInput";
 import Pins from "./Pins";
+import PointPicker from "./PointPicker";
+import PrintGuide from "./PrintGuide";
+import RadiusSelect from "./RadiusSelect";
+import ResultList from "./ResultList";
+import ReviewDashboard from "./ReviewDashboard";
+import RichText from "./RichText";
 import Select from "./Select";
+import SubmissionStatus from "./SubmissionStatus";
 import SearchInput from "./SearchInput";
 import dcbLogo from "./images/dcbLogo.png";
 
@@ -38,125 +136,102 @@ import "./App.css";
 
 const queryClient = new QueryClient();
 
+const PROPOSAL_URL = `${API_URL}/api/location-proposal/`;
+
 /**
  * Root component. Contains the router wrapped by React Query provider.
  */
 function App() {
   return (
     <QueryClientProvider client={queryClient}>
-      <CategoryProvider>
-        <LocationProvider>
+      <LanguageProvider>
+        <HoveredLocationProvider>
           <SearchPhraseProvider>
-            <Routes />
+            <UserPositionProvider>
+              <RadiusProvider>
+                <FavoritesProvider>
+                  <Routes />
+                </FavoritesProvider>
+              </RadiusProvider>
+            </UserPositionProvider>
           </SearchPhraseProvider>
-        </LocationProvider>
-      </CategoryProvider>
+        </HoveredLocationProvider>
+      </LanguageProvider>
     </QueryClientProvider>
   );
 }
 
 /**
- * Router component with header and routes for category pages.
+ * Router component with routes for category pages, location details, the
+ * printable guide, the reviewer area and the embedded map.
  */
 function Routes() {
   return (
     <Router>
+      <LegacyRedirect />
       <Switch>
-        <Route path="/">
+        <Route path={ROUTE_PATHS} exact>
           <Home />
         </Route>
+        <Route path={PRINT_PATH} exact>
+          <PrintGuide />
+        </Route>
+        <Route path={REVIEW_PATH} exact>
+          <ReviewDashboard />
+        </Route>
+        <Route path={EMBED_PATH} exact>
+          <EmbedRedirect />
+        </Route>
+        <Route path={EMBED_CODE_PATH} exact>
+          <EmbedCode />
+        </Route>
+        <Redirect to="/" />
       </Switch>
     </Router>
   );
 }
 
 /**
- * Landing page, containing the map with all POIs and buttons leading to category pages.
+ * Landing page, containing the map with all POIs. The selected categories and
+ * the opened POI are taken from the route. Embedded into other websites, the
+ * page shows only the map, which the host page can control by messages.
  */
 function Home() {
-  const [category, setCategory] = useCategory();
-  const [location, setLocation] = useLocation();
-  const [searchPhrase, setSearchPhrase] = useSearchPhrase();
-  const debouncedSearchPhrase = useDebounce(searchPhrase, 600);
-  const history = useHistory();
-  const query = useQueryParams();
-
-  const queryCategorySlug = query.get("category");
-  const queryLocationPk = query.get("location");
-  const firstRender = React.useRef(true);
+  const [location] = useLocation();
+  const embedded = useEmbedMode();
+  const isOnline = useOnlineStatus();
+  const { t } = useTranslation();
 
   const {
     isLoading: categoryIsLoading,
     error: categoryError,
     data: categoryData,
-  } = useQuery("categories", fetchCategories, { placeholderData: [] });
+  } = useCategoriesQuery();
   const {
     isLoading: locationIsLoading,
     error: locationError,
     data: locationData,
-  } = useQuery(["locations", debouncedSearchPhrase], () => fetchLocations({search: searchPhrase || ""}), {
-    placeholderData: { features: [] },
-  });
-
-  /* Update state according to query strings */
-
-  React.useEffect(() => {
-    if (queryCategorySlug) {
-      const newCategory = categoryData.filter(
-        (category) => category.name_slug === queryCategorySlug
-      )[0];
-      if (newCategory) {
-        setCategory(newCategory);
-      } else if (!queryCategorySlug) {
-        query.delete("category");
-        history.push({ search: query.toString() });
-      }
-    }
-  }, [queryCategorySlug, categoryData]); //eslint-disable-line
+  } = useLocationsQuery();
+  const searchIndex = useSearchIndex(locationData.features);
 
-  React.useEffect(() => {
-    if (queryLocationPk) {
-      const newLocation = locationData.features.filter(
-        (location) => location.properties.pk === Number(queryLocationPk)
-      )[0];
-      if (newLocation) {
-        setLocation(newLocation);
-      } else if (!queryLocationPk) {
-        query.delete("location");
-        history.push({ search: query.toString() });
-      }
-    }
-  }, [queryLocationPk, locationData]); //eslint-disable-line
-
-  /* Update query strings according to state */
-
-  React.useEffect(() => {
-    if (firstRender.current) {
-      firstRender.current = false;
-      return;
-    }
-    if (category?.name_slug) {
-      query.set("category", category.name_slug);
-    } else {
-      query.delete("category");
-    }
-    if (location) {
-      query.set("location", location.properties.pk);
-    } else {
-      query.delete("location");
-    }
-    history.push({ search: query.toString() });
-  }, [category, location]); //eslint-disable-line
-
-  if (locationIsLoading || categoryIsLoading) return <div>Loading...</div>;
+  if (locationIsLoading || categoryIsLoading) return <div>{t("common.loading")}</div>;
   if (locationError || categoryError)
     return (
       <div>
-        An error has occurred:{" "}
-        {locationError?.message || categoryError?.message}
+        {t("common.error", {
+          message: locationError?.message || categoryError?.message,
+        })}
       </div>
     );
 
+  if (!isOnline)
+    return (
+      <>
+        <OfflineGuide data={locationData} />
+        <POIModal />
+      </>
+    );
+
   return (
     <>
       <div
@@ -164,48 +239,76 @@ function Home() {
           !location ? 100 : 0
         }`}
       >
-        <div className="bg-red-500 h-8"></div>
-        <div className="flex items-center justify-center gap-4 sm:gap-32 p-6 bg-opacity-40 bg-white">
-          <h1 className="font-bold text-xl w-full md:w-max uppercase">
-            Harta diasporei <br /> din Berlin
-          </h1>
-          <a className="w-32" href="https://diasporacivica.berlin">
-            <img alt="Logo of Diaspora Civica Berlin" src={dcbLogo} />
-          </a>
-        </div>
-        <Disclaimer />
-        <LocationProposalModal />
-        <SearchInput />
+        {embedded ? (
+          <>
+            <EmbedBridge />
+            <a
+              href={window.location.origin}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="absolute top-2 left-2 px-3 py-1 bg-white shadow-md rounded-full text-xs uppercase font-semibold text-gray-600 hover:text-black"
+            >
+              {t("embed.fullMap")}
+            </a>
+          </>
+        ) : (
+          <>
+            <div className="bg-red-500 h-8"></div>
+            <div className="flex items-center justify-center gap-4 sm:gap-32 p-6 bg-opacity-40 bg-white">
+              <h1 className="font-bold text-xl w-full md:w-max uppercase whitespace-pre-line">
+                {t("header.title")}
+              </h1>
+              <a className="w-32" href="https://diasporacivica.berlin">
+                <img alt={t("header.logoAlt")} src={dcbLogo} />
+              </a>
+              <LanguageSwitcher />
+            </div>
+            <Disclaimer />
+            <LocationProposalModal />
+          </>
+        )}
+        <SearchInput searchIndex={searchIndex} />
+        <FavoritesImport />
       </div>
       <div className="absolute inset-0">
-        <ModalMap data={locationData} category={category} />
-        <div
-          className={`absolute bottom-20 right-0 transition duration-300 delay-100 ease-in-out opacity-${
-            !location ? 100 : 0
-          }`}
-        >
-          <Select data={categoryData} />
-        </div>
+        <ModalMap
+          data={locationData}
+          categoryData={categoryData}
+          searchIndex={searchIndex}
+        />
       </div>
     </>
   );
 }
 
 /**
- * Map with POIs. The viewport is set to frame the central part of Berlin.
+ * Map with POIs. The viewport is kept in the URL and initially frames the
+ * central part of Berlin. When the filters change, it fits the shown POIs.
+ * Pins close to each other are grouped into clusters depending on the zoom level,
+ * the remaining ones are drawn by a circle layer. Inexact locations are drawn
+ * as the area they lie in, with a hollow pin in the middle. Once located, the
+ * position of the user and the area of the radius filter are shown as well.
  * @param {object} locations The POI data as GeoJSON object.
- * @param {function} onClick Callback for a click event on a pin.
+ * @param {string} filterKey Identifies the active filters, the map fits the POIs when it changes.
+ * It's null while the data is loading.
+ * @param {function} onViewChange Callback receiving the bounds and center of the visible area.
  */
-function Map({ locations }) {
-  const [viewport, setViewport] = React.useState({
-    latitude: 52.518008,
-    longitude: 13.390954,
-    zoom: 11.1,
-  });
+function Map({ locations, filterKey, onViewChange }) {
+  const history = useHistory();
+  const query = useQueryParams();
+  const [viewport, setViewport] = React.useState(
+    () => getViewportFromQuery(query) || DEFAULT_VIEWPORT
+  );
+  const [spider, setSpider] = React.useState(null);
+  const [hoveredPk, setHoveredPk] = useHoveredLocation();
+  const [map, setMap] = React.useState(null);
   const [location, setLocation] = useLocation();
+  const [userPosition, setUserPosition] = useUserPosition();
+  const [radius] = useRadius();
+  const { t } = useTranslation();
 
   React.useEffect(() => {
-    location &&
+    location?.geometry &&
       setViewport({
         ...viewport,
         longitude: location.geometry.coordinates[0],
@@ -217,12 +320,198 @@ function Map({ locations }) {
       });
   }, [location]); //eslint-disable-line
 
-  let pinData = {};
-  if (locations.features) {
-    pinData = {
+  const pinData = React.useMemo(
+    () => ({
       ...locations,
-      features: locations.features.filter((feature) => feature.geometry),
-    };
+      features: (locations.features || []).filter(
+        (feature) => feature.geometry
+      ),
+    }),
+    [locations]
+  );
+  const locationsByPk = React.useMemo(
+    () =>
+      Object.fromEntries(
+        pinData.features.map((feature) => [feature.properties.pk, feature])
+      ),
+    [pinData]
+  );
+  const { clusters, index } = useClusters(pinData.features, viewport.zoom);
+
+  // A location hovered in a list may be hidden in a cluster, which is
+  // highlighted instead
+  const hoveredClusterId = React.useMemo(() => {
+    if (hoveredPk === null) return null;
+    const cluster = clusters.find(
+      ({ properties }) =>
+        properties.cluster &&
+        index
+          .getLeaves(properties.cluster_id, Infinity)
+          .some((leaf) => leaf.properties.pk === hoveredPk)
+    );
+    return cluster ? cluster.properties.cluster_id : null;
+  }, [hoveredPk, clusters, index]);
+
+  // Only the pins which are not part of a cluster are drawn by the pin layer.
+  // Mapbox flattens nested properties, so the category is passed by its pk.
+  const layerData = React.useMemo(
+    () => ({
+      type: "FeatureCollection",
+      features: clusters
+        .filter((feature) => !feature.properties.cluster)
+        .map(({ geometry, properties }) => ({
+          type: "Feature",
+          geometry,
+          properties: {
+            pk: properties.pk,
+            category_pk: properties.category?.pk,
+            inexact: !!properties.inexact_location,
+          },
+        })),
+    }),
+    [clusters]
+  );
+
+  const areaData = React.useMemo(
+    () => ({
+      type: "FeatureCollection",
+      features: clusters
+        .filter(
+          (feature) =>
+            !feature.properties.cluster && feature.properties.inexact_location
+        )
+        .map((feature) => ({
+          ...circlePolygon(feature.geometry.coordinates, inexactRadius(feature)),
+          properties: {
+            pk: feature.properties.pk,
+            category_pk: feature.properties.category?.pk,
+          },
+        })),
+    }),
+    [clusters]
+  );
+
+  useFeatureState(map, "locations", hoveredPk, "hover");
+  useFeatureState(map, "areas", hoveredPk, "hover");
+  useFeatureState(map, "locations", location?.properties.pk, "selected");
+
+  const debouncedViewport = useDebounce(viewport, 300);
+  React.useEffect(() => {
+    map &&
+      onViewChange({
+        bounds: map.getBounds().toArray(),
+        center: map.getCenter().toArray(),
+      });
+  }, [map, debouncedViewport, onViewChange]);
+
+  // Replace instead of push, so that moving the map does not fill the history
+  React.useEffect(() => {
+    const { search, state } = history.location;
+    const newQuery = new URLSearchParams(search);
+    setViewportToQuery(newQuery, debouncedViewport);
+    if (newQuery.toString() !== new URLSearchParams(search).toString()) {
+      history.replace({ search: newQuery.toString(), state });
+    }
+  }, [history, debouncedViewport]);
+
+  const fittedFilterKey = React.useRef(null);
+  React.useEffect(() => {
+    if (filterKey === null) {
+      return;
+    }
+    // Keep the viewport of the URL for the filters the page is opened with
+    if (fittedFilterKey.current === null) {
+      fittedFilterKey.current = filterKey;
+      return;
+    }
+    if (fittedFilterKey.current === filterKey) {
+      return;
+    }
+    fittedFilterKey.current = filterKey;
+    if (!map || !pinData.features.length) {
+      return;
+    }
+    const { clientWidth: width, clientHeight: height } = map.getContainer();
+    setViewport((viewport) => {
+      const { longitude, latitude, zoom } = new WebMercatorViewport({
+        ...viewport,
+        width,
+        height,
+      }).fitBounds(getBounds(pinData.features), { padding: 80, maxZoom: 15 });
+      return {
+        ...viewport,
+        longitude,
+        latitude,
+        zoom,
+        transitionDuration: 1000,
+        transitionInterpolator: new FlyToInterpolator(),
+        transitionEasing: easeCubic,
+      };
+    });
+  }, [filterKey, map, pinData]);
+
+  function resetViewport() {
+    setViewport({
+      ...viewport,
+      ...DEFAULT_VIEWPORT,
+      transitionDuration: 1000,
+      transitionInterpolator: new FlyToInterpolator(),
+      transitionEasing: easeCubic,
+    });
+  }
+
+  // A fanned out cluster only makes sense for the clusters it was created from
+  React.useEffect(() => setSpider(null), [clusters]);
+
+  const onClusterClick = React.useCallback(
+    (cluster) => {
+      const clusterId = cluster.properties.cluster_id;
+      const leaves = index.getLeaves(clusterId, Infinity);
+      const expansionZoom = index.getClusterExpansionZoom(clusterId);
+      if (expansionZoom > MAX_ZOOM || haveSameCoordinates(leaves)) {
+        setSpider({ cluster, leaves });
+        return;
+      }
+      const [longitude, latitude] = cluster.geometry.coordinates;
+      setViewport((viewport) => ({
+        ...viewport,
+        longitude,
+        latitude,
+        zoom: expansionZoom,
+        transitionDuration: 500,
+        transitionInterpolator: new FlyToInterpolator(),
+        transitionEasing: easeCubic,
+      }));
+    },
+    [index]
+  );
+
+  function onClick(event) {
+    const pin = event.features?.[0];
+    if (pin) {
+      setLocation(locationsByPk[pin.properties.pk]);
+    } else {
+      setSpider(null);
+    }
+  }
+
+  function onGeolocate({ coords }) {
+    setUserPosition({
+      coordinates: [coords.longitude, coords.latitude],
+      accuracy: coords.accuracy,
+    });
+  }
+
+  const radiusData = React.useMemo(
+    () =>
+      userPosition && radius
+        ? circlePolygon(userPosition.coordinates, radius)
+        : null,
+    [userPosition, radius]
+  );
+
+  function onHover(event) {
+    setHoveredPk(event.features?.[0]?.properties.pk ?? null);
   }
 
   return (
@@ -230,15 +519,65 @@ function Map({ locations }) {
       {...viewport}
       width="100%"
       height="100vh"
+      maxZoom={MAX_ZOOM}
       onViewportChange={setViewport}
+      onLoad={(event) => setMap(event.target)}
+      interactiveLayerIds={[pinLayer.id]}
+      onClick={onClick}
+      onHover={onHover}
+      getCursor={({ isHovering, isDragging }) =>
+        isDragging ? "grabbing" : isHovering ? "pointer" : "grab"
+      }
       mapboxApiAccessToken={MAPBOX_TOKEN}
     >
-      <Source id="my-data" type="geojson" data={pinData}>
+      <Source id="areas" type="geojson" data={areaData} promoteId="pk">
+        <Layer {...areaLayer} />
+        <Layer {...areaOutlineLayer} />
+      </Source>
+      <Source
+        id="locations"
+        type="geojson"
+        data={layerData}
+        promoteId="pk"
+      >
         <Pins
-          data={pinData.features}
-          onClick={(location) => setLocation(location)}
+          data={clusters}
+          spider={spider}
+          highlightedClusterId={hoveredClusterId}
+          onClick={setLocation}
+          onClusterClick={onClusterClick}
         />
       </Source>
+      {radiusData && (
+        <Source id="radius" type="geojson" data={radiusData}>
+          <Layer {...radiusLayer} />
+        </Source>
+      )}
+      <div
+        className="absolute right-0 bottom-64 mapboxgl-ctrl mapboxgl-ctrl-group"
+        style={{ marginRight: 10 }}
+      >
+        <button
+          type="button"
+          onClick={resetViewport}
+          title={t("map.reset")}
+          aria-label={t("map.reset")}
+          className="flex items-center justify-center"
+        >
+          <HomeIcon className="h-5 w-5 text-gray-700" aria-hidden="true" />
+        </button>
+      </div>
+      <div className="absolute right-0 bottom-52 flex items-center gap-2">
+        {userPosition && <RadiusSelect />}
+        <GeolocateControl
+          style={{ position: "relative", marginRight: 10 }}
+          positionOptions={{ enableHighAccuracy: true }}
+          trackUserLocation
+          onGeolocate={onGeolocate}
+          label={t("nearMe.locate")}
+          disabledLabel={t("nearMe.unavailable")}
+        />
+      </div>
     </ReactMapGL>
   );
 }
@@ -251,8 +590,35 @@ function Map({ locations }) {
 function POIModal() {
   const dialogTitleRef = React.useRef(null);
   const [location, setLocation] = useLocation();
-  const { category, name, email, website, address, description, phone } =
-    location?.properties || {};
+  const [reporting, setReporting] = React.useState(false);
+  const [showingQrCode, setShowingQrCode] = React.useState(false);
+  const [userPosition] = useUserPosition();
+  const [favorites, setFavorites] = useFavorites();
+  const { t, categoryLabel, language } = useTranslation();
+  const distance = distanceToUser(userPosition, location);
+  const {
+    pk,
+    category,
+    name,
+    description,
+    opening_hours: openingHours,
+  } = location?.properties || {};
+  const isSaved = favorites.includes(pk);
+
+  function toggleSaved() {
+    setFavorites((favorites) =>
+      favorites.includes(pk)
+        ? favorites.filter((favorite) => favorite !== pk)
+        : [...favorites, pk]
+    );
+  }
+
+  // Switching to another location shows its details again
+  React.useEffect(() => {
+    setReporting(false);
+    setShowingQrCode(false);
+  }, [location]);
+
   return (
     <Dialog
       as="div"
@@ -276,7 +642,13 @@ function POIModal() {
             enterFrom="opacity-0"
             enterTo="opacity-100"
           >
-            <div className="w-screen max-h-100 sm:max-h-auto p-6 my-0 text-left align-bottom transition-all transform bg-white shadow-xl overflow-y-scroll sm:overflow-hidden mt-4 sm:p-10">
+            <div
+              className={`w-screen p-6 my-0 text-left align-bottom transition-all transform bg-white shadow-xl mt-4 sm:p-10 ${
+                reporting
+                  ? "max-h-screen overflow-y-auto"
+                  : "max-h-100 sm:max-h-auto overflow-y-scroll sm:overflow-hidden"
+              }`}
+            >
               <Dialog.Title
                 as="h3"
                 className="text-xl font-bold font-medium leading-6 text-gray-900"
@@ -287,11 +659,37 @@ function POIModal() {
                 >
                   <div>
                     <span className="font-semibold text-sm uppercase text-gray-500">
-                      {category?.label_singular}
+                      {categoryLabel(category)}
                     </span>
                     <div>{name}</div>
+                    {distance !== undefined && (
+                      <div className="text-sm font-normal text-gray-500">
+                        {t("nearMe.distance", {
+                          distance: formatDistance(distance, language),
+                        })}
+                      </div>
+                    )}
                   </div>
-                  <div className="flex">
+                  <div className="flex items-start gap-2">
+                    <button
+                      type="button"
+                      onClick={toggleSaved}
+                      className="focus:outline-none"
+                      aria-pressed={isSaved}
+                      title={isSaved ? t("favorites.remove") : t("favorites.add")}
+                      aria-label={
+                        isSaved ? t("favorites.remove") : t("favorites.add")
+                      }
+                    >
+                      {isSaved ? (
+                        <StarIcon className="h-8 w-8 text-yellow-400" aria-hidden="true" />
+                      ) : (
+                        <StarOutlineIcon
+                          className="h-8 w-8 text-gray-500 hover:text-yellow-400"
+                          aria-hidden="true"
+                        />
+                      )}
+                    </button>
                     <XCircleIcon
                       type="button"
                       className="cursor-pointer justify-center h-8 w-8 hover:text-red-500 text-gray-500 focus:outline-none"
@@ -301,39 +699,48 @@ function POIModal() {
                 </div>
               </Dialog.Title>
 
-              <div className="mt-4 text-md">
-                {address && (
-                  <div className="flex items-center font-semibold text-gray-600">
-                    <LocationMarkerIcon className="flex-none inline h-5 w-5 mr-2" />
-                    <div>{address}</div>
-                  </div>
-                )}
-                {email && (
-                  <div className="flex items-center">
-                    <MailIcon className="flex-none h-5 w-5 mr-2 text-gray-600" />
-                    <a href={`mailto://${email}`} className="text-blue-600">
-                      {email}
-                    </a>
-                  </div>
-                )}
-                {phone && (
-                  <div className="flex items-center text-gray-600">
-                    <PhoneIcon className="flex-none h-5 w-5 mr-2" />
-                    <div>{phone}</div>
-                  </div>
-                )}
-                {website && (
-                  <div className="flex items-center">
-                    <LinkIcon className="flex-none h-5 w-5 mr-2 text-gray-600" />
-                    <a href={website} target="_blank" rel="noreferrer" className="text-blue-600">
-                      {website}
-                    </a>
+              {reporting ? (
+                <CorrectionForm
+                  location={location}
+                  onClose={() => setReporting(false)}
+                />
+              ) : (
+                <>
+                  <div className="mt-4 text-md">
+                    <ContactDetails location={location} />
+                    {openingHours && <OpeningHours value={openingHours} />}
+                    <button
+                      type="button"
+                      onClick={() => exportVCard(location)}
+                      className="flex items-center mt-2 text-sm font-semibold text-gray-600 hover:text-black focus:outline-none"
+                    >
+                      <DownloadIcon className="flex-none h-5 w-5 mr-2" aria-hidden="true" />
+                      {t("export.vcard")}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setShowingQrCode((showing) => !showing)}
+                      aria-expanded={showingQrCode}
+                      className="flex items-center mt-2 text-sm font-semibold text-gray-600 hover:text-black focus:outline-none"
+                    >
+                      <QrcodeIcon className="flex-none h-5 w-5 mr-2" aria-hidden="true" />
+                      {t("contact.qrCode")}
+                    </button>
+                    {showingQrCode && <LocationQrCode location={location} />}
+                    <button
+                      type="button"
+                      onClick={() => setReporting(true)}
+                      className="flex items-center mt-2 text-sm font-semibold text-gray-600 hover:text-black focus:outline-none"
+                    >
+                      <PencilAltIcon className="flex-none h-5 w-5 mr-2" aria-hidden="true" />
+                      {t("correction.button")}
+                    </button>
                   </div>
-                )}
-              </div>
-              <div className="mt-4">
-                <p className="text-lg">{description}</p>
-              </div>
+                  {description && (
+                    <RichText className="mt-4 text-lg" text={description} />
+                  )}
+                </>
+              )}
             </div>
           </Transition.Child>
         </div>
@@ -343,30 +750,163 @@ function POIModal() {
 }
 
 /**
- * Map which displays a small modal with POI details when a pin is clicked.
+ * Map which displays a small modal with POI details when a pin is clicked,
+ * next to a list of the shown POIs.
+ * Only the POIs of the selected categories which match the search phrase and
+ * lie within the selected radius around the user are shown, optionally only
+ * the saved ones and the ones open right now. Entries without a place of
+ * their own, like online services, are listed apart from the map.
  * @param {object} data The POI data as GeoJSON object.
- * @param {object} category The selected category.
- * @param {function} onSelectLocation Callback for a location change event.
+ * @param {array} categoryData All categories.
+ * @param {object} searchIndex The search index over all POIs.
  */
-function ModalMap({ data }) {
-  const [features, setFeatures] = React.useState(data.features);
-  const [category] = useCategory();
+function ModalMap({ data, categoryData, searchIndex }) {
+  const [categories] = useCategories();
+  const [location] = useLocation();
+  const [searchPhrase] = useSearchPhrase();
+  const debouncedSearchPhrase = useDebounce(searchPhrase, 300);
+  const [view, setView] = React.useState(null);
+  const [userPosition] = useUserPosition();
+  const [radius] = useRadius();
+  const [favorites] = useFavorites();
+  const [savedOnly] = useSavedFilter();
+  const [openNow, setOpenNow] = useOpenNowFilter();
+  const now = useCurrentTime(openNow);
+  const { t } = useTranslation();
+  const { isPlaceholderData: categoriesPending } = useCategoriesQuery();
+  const { isPlaceholderData: locationsPending } = useLocationsQuery();
 
-  React.useEffect(() => {
-    if (!category || category.pk === 0) {
-      setFeatures(data.features);
-    } else {
-      setFeatures(
-        data.features.filter(
-          (feature) => feature.properties.category.pk === category.pk
-        )
+  const openingRules = React.useMemo(
+    () =>
+      Object.fromEntries(
+        data.features.map(({ properties }) => [
+          properties.pk,
+          parseOpeningHours(properties.opening_hours),
+        ])
+      ),
+    [data.features]
+  );
+
+  // POIs matching all filters except for the categories and the saved ones
+  const matchingFeatures = React.useMemo(() => {
+    let newFeatures = data.features;
+    if (debouncedSearchPhrase?.trim()) {
+      newFeatures = searchIndex
+        .search(debouncedSearchPhrase)
+        .map((result) => result.feature);
+    }
+    // Online services are available everywhere
+    if (userPosition && radius) {
+      newFeatures = newFeatures.filter(
+        (feature) =>
+          isNonGeographic(feature) ||
+          distanceToUser(userPosition, feature) <= radius
       );
     }
-  }, [category, data.features]);
+    // Locations without readable opening hours can't be known to be open
+    if (openNow) {
+      newFeatures = newFeatures.filter((feature) => {
+        const rules = openingRules[feature.properties.pk];
+        return rules && isOpenAt(rules, now);
+      });
+    }
+    return newFeatures;
+  }, [
+    data.features,
+    debouncedSearchPhrase,
+    searchIndex,
+    userPosition,
+    radius,
+    openNow,
+    openingRules,
+    now,
+  ]);
+
+  const features = React.useMemo(() => {
+    let newFeatures = matchingFeatures;
+    if (savedOnly) {
+      newFeatures = newFeatures.filter((feature) =>
+        favorites.includes(feature.properties.pk)
+      );
+    }
+    if (!categories) {
+      return newFeatures;
+    }
+    const categoryPks = categories.map((category) => category.pk);
+    return newFeatures.filter((feature) =>
+      categoryPks.includes(feature.properties.category?.pk)
+    );
+  }, [matchingFeatures, categories, savedOnly, favorites]);
+
+  const categoryCounts = React.useMemo(() => {
+    const counts = {};
+    matchingFeatures.forEach(({ properties: { category } }) => {
+      counts[category?.pk] = (counts[category?.pk] || 0) + 1;
+    });
+    return counts;
+  }, [matchingFeatures]);
+
+  const savedCount = matchingFeatures.filter((feature) =>
+    favorites.includes(feature.properties.pk)
+  ).length;
+
+  const [geographicFeatures, onlineFeatures] = React.useMemo(
+    () => [
+      features.filter((feature) => !isNonGeographic(feature)),
+      features.filter(isNonGeographic),
+    ],
+    [features]
+  );
+
+  const locations = React.useMemo(
+    () => ({ ...data, features: geographicFeatures }),
+    [data, geographicFeatures]
+  );
+  // The selected categories are only known once the categories are loaded
+  const filterKey =
+    categoriesPending || locationsPending
+      ? null
+      : [
+          categories?.map((category) => category.pk).join(","),
+          debouncedSearchPhrase?.trim(),
+          savedOnly,
+          openNow,
+        ].join("|");
 
   return (
     <>
-      <Map locations={{ ...data, features }} />
+      <Map locations={locations} filterKey={filterKey} onViewChange={setView} />
+      <ResultList
+        features={geographicFeatures}
+        onlineFeatures={onlineFeatures}
+        view={view}
+      />
+      <div
+        className={`absolute bottom-20 right-0 transition duration-300 delay-100 ease-in-out opacity-${
+          !location ? 100 : 0
+        }`}
+      >
+        <div className="flex items-center gap-2">
+          <button
+            type="button"
+            onClick={() => setOpenNow(!openNow)}
+            aria-pressed={openNow}
+            className={`flex items-center gap-2 mt-1 px-4 py-4 shadow-md rounded-full text-xs uppercase font-semibold focus:outline-none focus-visible:ring-2 focus-visible:ring-gray-500 ${
+              openNow
+                ? "bg-green-100 text-green-800"
+                : "bg-white text-gray-600 hover:text-black"
+            }`}
+          >
+            <ClockIcon className="h-5 w-5" aria-hidden="true" />
+            {t("openingHours.openNow")}
+          </button>
+          <Select
+            data={categoryData}
+            counts={categoryCounts}
+            savedCount={savedCount}
+          />
+        </div>
+      </div>
       <POIModal />
     </>
   );
@@ -377,6 +917,7 @@ function ModalMap({ data }) {
  */
 function Disclaimer() {
   let [isOpen, setIsOpen] = React.useState(false);
+  const { t } = useTranslation();
 
   function closeModal() {
     setIsOpen(false);
@@ -393,7 +934,7 @@ function Disclaimer() {
         onClick={openModal}
         className="fixed left-40 bottom-0 p-2 text-left bg-white bg-opacity-50 shadow-md cursor-pointer focus:outline-none focus-visible:ring-2 focus-visible:ring-opacity-75 focus-visible:ring-white focus-visible:ring-offset-orange-300 focus-visible:ring-offset-2 focus-visible:border-indigo-500 text-xs rounded-t-2xl uppercase font-semibold text-gray-600"
       >
-        Disclaimer
+        {t("disclaimer.button")}
       </button>
 
       <Transition appear show={isOpen} as={React.Fragment}>
@@ -435,16 +976,11 @@ function Disclaimer() {
                   as="h3"
                   className="text-lg font-semibold leading-6 text-gray-900"
                 >
-                  Disclaimer
+                  {t("disclaimer.title")}
                 </Dialog.Title>
                 <div className="mt-2">
                   <p className="text-md font-medium text-gray-500">
-                    Informațiile existente în prezenta hartă sunt cu titlu
-                    informativ și nu au caracter de recomandare. Diaspora Civică
-                    Berlin nu garantează în niciun fel acuratețea sau caracterul
-                    complet al informațiilor prezentate și nu poartă nicio
-                    răspundere pentru serviciile oferite de locațiile
-                    respective.
+                    {t("disclaimer.text")}
                   </p>
                 </div>
 
@@ -454,7 +990,7 @@ function Disclaimer() {
                     className="inline-flex justify-center font-semibold px-4 py-2 text-sm font-medium text-gray-900 bg-gray-100 border border-transparent rounded-md hover:bg-gray-200 focus:outline-none focus-visible:ring-2 focus-visible:ring-offset-2 focus-visible:ring-gray-500"
                     onClick={closeModal}
                   >
-                    OK
+                    {t("disclaimer.ok")}
                   </button>
                 </div>
               </div>
@@ -467,50 +1003,157 @@ function Disclaimer() {
 }
 
 /**
- * Modal for proposing a new location
+ * Saves the values of the surrounding proposal form as draft while typing,
+ * or as corrections of a rejected proposal.
+ * @param {number} rejectedId The id of the rejected proposal, if any.
+ */
+function ProposalDraftAutosave({ rejectedId }) {
+  const { values } = useFormikContext();
+  const debouncedValues = useDebounce(values, 500);
+  React.useEffect(() => {
+    rejectedId
+      ? saveRejected(rejectedId, debouncedValues)
+      : saveDraft(debouncedValues);
+  }, [debouncedValues, rejectedId]);
+  return null;
+}
+
+/**
+ * Modal for proposing a new location. The form is saved as draft while
+ * typing, and proposals made while offline are sent later on. Queued
+ * proposals the API rejected can be opened again for correcting them.
  */
 function LocationProposalModal() {
   let [isOpen, setIsOpen] = React.useState(false);
-  let [locationSubmitted, setLocationSubmitted] = React.useState(false);
-  let [requestFailed, setRequestFailed] = React.useState(false);
+  let [initialValues, setInitialValues] = React.useState(EMPTY_PROPOSAL);
+  let [initialErrors, setInitialErrors] = React.useState({});
+  let [draftRestored, setDraftRestored] = React.useState(false);
+  let [rejectedId, setRejectedId] = React.useState(null);
+  let [queued, setQueued] = React.useState(false);
+  let [queueFailed, setQueueFailed] = React.useState(false);
+  let [duplicates, setDuplicates] = React.useState(null);
+  // Kept in a ref, so that the form can be submitted right after confirming
+  const dismissedDuplicates = React.useRef([]);
+  const submission = useFormSubmission(PROPOSAL_URL);
+  const queue = useProposalQueue(PROPOSAL_URL);
+  const [, setLocation] = useLocation();
+  const { t, categoryLabel } = useTranslation();
+  const { data: categories = [] } = useCategoriesQuery();
+  const { data: locationData } = useLocationsQuery();
 
   function closeModal() {
     setIsOpen(false);
   }
 
   function openModal() {
-    setLocationSubmitted(false);
-    setRequestFailed(false);
+    const draft = loadDraft();
+    setInitialValues(draft || EMPTY_PROPOSAL);
+    setInitialErrors({});
+    setDraftRestored(Boolean(draft));
+    setRejectedId(null);
+    setQueued(false);
+    setQueueFailed(false);
+    setDuplicates(null);
+    dismissedDuplicates.current = [];
+    submission.reset();
+    setIsOpen(true);
+  }
+
+  function openRejected() {
+    const rejected = loadRejected();
+    if (!rejected) return;
+    setInitialValues(rejected.values);
+    setInitialErrors(rejected.errors || {});
+    setDraftRestored(false);
+    setRejectedId(rejected.id);
+    setQueued(false);
+    setQueueFailed(false);
+    setDuplicates(null);
+    dismissedDuplicates.current = [];
+    submission.reset();
     setIsOpen(true);
   }
 
-  async function handleSubmit(values) {
-    fetch(`${API_URL}/api/location-proposal/`, {
-      method: "POST", body: JSON.stringify(values),
-      headers: { "Content-Type": "application/json" }
-    }).then(response => {
-      if (response.status !== 201) {
-        setRequestFailed(true);
-      } else {
-        setLocationSubmitted(true);
+  // The proposal was sent, queued or turned out to be on the map already
+  function finishProposal() {
+    rejectedId ? queue.resolveRejected(rejectedId) : clearDraft();
+  }
+
+  function discardRejected() {
+    queue.resolveRejected(rejectedId);
+    closeModal();
+  }
+
+  function openDuplicate(feature) {
+    finishProposal();
+    closeModal();
+    setLocation(feature);
+  }
+
+  function confirmDifferent(submitForm) {
+    dismissedDuplicates.current = duplicates.map(
+      (feature) => feature.properties.pk
+    );
+    setDuplicates(null);
+    submitForm();
+  }
+
+  function discardDraft(resetForm) {
+    clearDraft();
+    setDraftRestored(false);
+    resetForm({ values: EMPTY_PROPOSAL });
+  }
+
+  async function handleSubmit(formValues, { setErrors }) {
+    // Places already on the map are shown first, unless the submitter has
+    // confirmed them to be different; the best match is sent as hint then
+    const matches = findDuplicates(locationData.features, formValues);
+    const matchPks = matches.map((feature) => feature.properties.pk);
+    if (!matchPks.every((pk) => dismissedDuplicates.current.includes(pk))) {
+      setDuplicates(matches);
+      return;
+    }
+    const values = { ...formValues, possible_duplicate_of: matchPks[0] };
+
+    setQueueFailed(false);
+    const { status, errors } = await submission.submit(
+      toProposalFormData(values)
+    );
+    // Without a connection the proposal is sent later on, other network
+    // failures are left to the submitter to try again
+    if (status === "offline" && !navigator.onLine) {
+      const saved = await queue.enqueue(values);
+      setQueued(saved);
+      setQueueFailed(!saved);
+      if (saved) {
+        finishProposal();
       }
-    });
+    } else if (status === "success") {
+      finishProposal();
+    }
+    setErrors(errors);
   }
 
   function validate(values, props) {
     const errors = {};
 
     if (!values.name) {
-      errors.name = "Numele este câmp obligatoriu.";
+      errors.name = t("proposal.errors.nameRequired");
     }
-    if (!values.address) {
-      errors.address = "Adresa este câmp obligatoriu.";
+    if (!values.address && !values.point) {
+      errors.address = t("proposal.errors.addressRequired");
     }
-    if (values.email !== "" && !/^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,4}$/i.test(values.email)) {
-      errors.email = "Adresa de mail este invalidă.";
+    if (values.email !== "" && !isValidEmail(values.email)) {
+      errors.email = t("proposal.errors.emailInvalid");
     }
-    if (values.website !== "" && !/^https?:\/\/.*$/.test(values.website)) {
-      errors.website = "Adresa site-ului este invalidă.";
+    if (values.website !== "" && !isValidWebsite(values.website)) {
+      errors.website = t("proposal.errors.websiteInvalid");
+    }
+    if (values.description.length > 500) {
+      errors.description = t("proposal.errors.tooLong", { max: 500 });
+    }
+    if (values.opening_hours.length > 256) {
+      errors.opening_hours = t("proposal.errors.tooLong", { max: 256 });
     }
 
     return errors;
@@ -523,61 +1166,134 @@ function LocationProposalModal() {
         as="h3"
         className="text-lg font-semibold leading-6 text-gray-900"
       >
-        💌 Lipseşte vreun loc? Trimite-ni-l!
+        {t("proposal.title")}
       </Dialog.Title>
       <Formik
-        initialValues={{
-          name: '',
-          address: '',
-          description: '',
-          website: '',
-          email: '',
-          phone: '',
-        }}
+        initialValues={initialValues}
+        initialErrors={initialErrors}
+        initialTouched={Object.fromEntries(
+          Object.keys(initialErrors).map((field) => [field, true])
+        )}
         onSubmit={handleSubmit}
         validate={validate}
       >
-        {({errors, touched}) => (
+        {({ errors, touched, isSubmitting, submitForm, resetForm }) => (
           <Form className="mt-8">
+            <ProposalDraftAutosave rejectedId={rejectedId} />
+            {rejectedId && (
+              <p className="mb-4 text-sm text-red-600">
+                {t("proposal.rejectedRestored")}{" "}
+                <button
+                  type="button"
+                  className="underline focus:outline-none"
+                  onClick={discardRejected}
+                >
+                  {t("proposal.discardRejected")}
+                </button>
+              </p>
+            )}
+            {draftRestored && (
+              <p className="mb-4 text-sm text-gray-600">
+                {t("proposal.draftRestored")}{" "}
+                <button
+                  type="button"
+                  className="underline focus:outline-none"
+                  onClick={() => discardDraft(resetForm)}
+                >
+                  {t("proposal.discardDraft")}
+                </button>
+              </p>
+            )}
             <div className="mb-2">
               <label className="block text-gray-700 text-sm mb-2 font-semibold" htmlFor="name">
-                Numele locaţiei
+                {t("proposal.name")}
               </label>
-              <Field className={`shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline ${touched.name && errors.name && "border-red-500"}`} name="name" id="name" type="text" placeholder="Centrul comunitar Gropiusstadt"/>
+              <Field className={`shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline ${touched.name && errors.name && "border-red-500"}`} name="name" id="name" type="text" placeholder={t("proposal.namePlaceholder")}/>
               <p class="text-red-500 my-1 text-sm h-4">{touched.name && errors.name}</p>
             </div>
             <div className="mb-2">
               <label className="block text-gray-700 text-sm mb-2 font-semibold" htmlFor="address">
-                Adresa
+                {t("proposal.address")}
               </label>
               <Field className={`shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline ${touched.address && errors.address && "border-red-500"}`} name="address" id="address" type="text" placeholder="Karl-Marx-Allee 999, 10101 Berlin"/>
               <p class="text-red-500 my-1 text-sm h-4">{touched.address && errors.address}</p>
             </div>
+            <div className="mb-2">
+              <span className="block text-gray-700 text-sm mb-2 font-semibold">
+                {t("proposal.point")}
+              </span>
+              <Field name="point">
+                {({ field, form }) => (
+                  <PointPicker
+                    value={field.value}
+                    onChange={(point) => form.setFieldValue("point", point)}
+                  />
+                )}
+              </Field>
+              <p className="text-red-500 my-1 text-sm">{errors.point}</p>
+            </div>
             <div className="mb-2 pb-4">
               <label className="block text-gray-700 text-sm mb-2 font-semibold" htmlFor="description">
-                Descriere
+                {t("proposal.description")}
+              </label>
+              <Field className={`shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline ${touched.description && errors.description && "border-red-500"}`} name="description" id="description" type="text" placeholder={t("proposal.descriptionPlaceholder")}/>
+              <p class="text-red-500 my-1 text-sm h-4">{touched.description && errors.description}</p>
+            </div>
+            <div className="mb-2">
+              <label className="block text-gray-700 text-sm mb-2 font-semibold" htmlFor="category">
+                {t("proposal.category")}
+              </label>
+              <Field className="shadow border rounded w-full py-2 px-3 text-gray-700 leading-tight bg-white focus:outline-none focus:shadow-outline" name="category" id="category" as="select">
+                <option value="">{t("proposal.categoryPlaceholder")}</option>
+                {categories.map((category) => (
+                  <option key={category.pk} value={category.pk}>
+                    {categoryLabel(category)}
+                  </option>
+                ))}
+              </Field>
+              <p className="text-red-500 my-1 text-sm">{errors.category}</p>
+            </div>
+            <div className="mb-2 pt-4">
+              <label className="block text-gray-700 text-sm mb-2 font-semibold" htmlFor="opening_hours">
+                {t("proposal.openingHours")}
               </label>
-              <Field className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline" name="description" id="description" type="text" placeholder="Centru care organizează activităţi sociale."/>
+              <Field className={`shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline ${touched.opening_hours && errors.opening_hours && "border-red-500"}`} name="opening_hours" id="opening_hours" type="text" placeholder={t("proposal.openingHoursPlaceholder")}/>
+              <p class="text-red-500 my-1 text-sm h-4">{touched.opening_hours && errors.opening_hours}</p>
+            </div>
+            <div className="mb-2">
+              <span className="block text-gray-700 text-sm mb-2 font-semibold">
+                {t("proposal.photos", { count: MAX_PHOTOS })}
+              </span>
+              <Field name="photos">
+                {({ field, form }) => (
+                  <PhotoInput
+                    value={field.value}
+                    onChange={(photos) => form.setFieldValue("photos", photos)}
+                  />
+                )}
+              </Field>
+              <p className="text-red-500 my-1 text-sm">{errors.photos}</p>
             </div>
             <div className="mb-2">
               <label className="block text-gray-700 text-sm mb-2 font-semibold" htmlFor="website">
-                Website
+                {t("proposal.website")}
               </label>
               <Field className={`shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline ${touched.website && errors.website && "border-red-500"}`} name="website" id="website" type="url" placeholder="https://example.com"/>
               <p class="text-red-500 my-1 text-sm h-4">{touched.website && errors.website}</p>
             </div>
             <div className="mb-2">
               <label className="block text-gray-700 text-sm mb-2 font-semibold" htmlFor="email">
-                E-Mail
+                {t("proposal.email")}
               </label>
               <Field className={`shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline ${touched.email && errors.email && "border-red-500"}`} name="email" id="email" type="email" placeholder="centru@example.com"/>
               <p class="text-red-500 my-1 text-sm h-4">{touched.email && errors.email}</p>
             </div>
             <div className="mb-2">
               <label className="block text-gray-700 text-sm mb-2 font-semibold" htmlFor="phone">
-                Telefon
+                {t("proposal.phone")}
               </label>
               <Field className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline" name="phone" id="phone" type="tel" placeholder="+49 0819 1234 5678"/>
+              <p className="text-red-500 my-1 text-sm">{errors.phone}</p>
             </div>
 
             <div className="flex mt-8 items-center justify-between">
@@ -586,20 +1302,29 @@ function LocationProposalModal() {
                 className="inline-flex justify-center font-semibold px-4 py-2 text-sm font-medium text-gray-900 bg-red-100 border border-transparent rounded-md hover:bg-red-200 focus:outline-none focus-visible:ring-2 focus-visible:ring-offset-2 focus-visible:ring-gray-500"
                 onClick={closeModal}
               >
-                Anulează
+                {t("proposal.cancel")}
               </button>
               <button
                 type="submit"
-                className="inline-flex justify-center font-semibold px-4 py-2 text-sm font-medium text-gray-900 bg-green-100 border border-transparent rounded-md hover:bg-green-200 focus:outline-none focus-visible:ring-2 focus-visible:ring-offset-2 focus-visible:ring-gray-500"
+                disabled={isSubmitting || submission.retryIn > 0}
+                className="inline-flex justify-center font-semibold px-4 py-2 text-sm font-medium text-gray-900 bg-green-100 border border-transparent rounded-md hover:bg-green-200 focus:outline-none focus-visible:ring-2 focus-visible:ring-offset-2 focus-visible:ring-gray-500 disabled:opacity-50 disabled:cursor-not-allowed"
               >
-                Trimite
+                {t("proposal.submit")}
               </button>
             </div>
-            {
-              requestFailed && <p class="text-red-500 my-3 text-sm font-semibold h-4">
-                Oops, ceva n-a mers :( mai încearcă sau contactează-ne la contact@diasporacivica.berlin
+            {duplicates && (
+              <DuplicateWarning
+                matches={duplicates}
+                onOpen={openDuplicate}
+                onConfirm={() => confirmDifferent(submitForm)}
+              />
+            )}
+            <SubmissionStatus submission={submission} onRetry={submitForm} />
+            {queueFailed && (
+              <p className="text-red-500 text-sm font-semibold" role="alert">
+                {t("proposal.queueFailed")}
               </p>
-            }
+            )}
           </Form>
         )}
       </Formik>
@@ -612,28 +1337,84 @@ function LocationProposalModal() {
         as="h3"
         className="text-lg font-semibold leading-6 text-gray-900"
       >
-        🎉 Mulţumim pentru sugestie!
+        {t("proposal.successTitle")}
+      </Dialog.Title>
+      <div className="flex mt-8">
+        <button
+          type="button"
+          className="inline-flex justify-center font-semibold px-4 py-2 text-sm font-medium text-gray-900 bg-gray-100 border border-transparent rounded-md hover:bg-gray-200 focus:outline-none focus-visible:ring-2 focus-visible:ring-offset-2 focus-visible:ring-gray-500"
+          onClick={closeModal}
+        >
+          {t("proposal.successButton")}
+        </button>
+      </div>
+    </>
+  )
+
+  const QueuedContent = (
+    <>
+      <Dialog.Title
+        as="h3"
+        className="text-lg font-semibold leading-6 text-gray-900"
+      >
+        {t("proposal.queuedTitle")}
       </Dialog.Title>
+      <p className="mt-4 text-sm text-gray-700">{t("proposal.queuedText")}</p>
       <div className="flex mt-8">
         <button
           type="button"
           className="inline-flex justify-center font-semibold px-4 py-2 text-sm font-medium text-gray-900 bg-gray-100 border border-transparent rounded-md hover:bg-gray-200 focus:outline-none focus-visible:ring-2 focus-visible:ring-offset-2 focus-visible:ring-gray-500"
           onClick={closeModal}
         >
-          Cu plăcere 😁
+          {t("proposal.successButton")}
         </button>
       </div>
     </>
   )
 
+  let content = SubmissionForm;
+  if (submission.status === "success") {
+    content = SuccessContent;
+  } else if (queued) {
+    content = QueuedContent;
+  }
+
   return (
     <>
+      <div className="fixed right-0 bottom-0 flex flex-col items-end">
+        {queue.rejectedCount > 0 && (
+          <button
+            type="button"
+            onClick={openRejected}
+            className="p-2 text-left bg-red-100 shadow-md cursor-pointer focus:outline-none text-xs rounded-tl-2xl font-semibold"
+          >
+            {t(
+              queue.rejectedCount === 1
+                ? "proposal.rejectedOne"
+                : "proposal.rejectedMany",
+              { count: queue.rejectedCount }
+            )}
+          </button>
+        )}
+        {queue.count > 0 && (
+          <button
+            type="button"
+            onClick={queue.flush}
+            title={t("proposal.sendNow")}
+            className="p-2 text-left bg-yellow-100 shadow-md cursor-pointer focus:outline-none text-xs rounded-tl-2xl font-semibold"
+          >
+            {t(queue.count === 1 ? "proposal.queueOne" : "proposal.queueMany", {
+              count: queue.count,
+            })}
+          </button>
+        )}
+      </div>
       <button
         type="button"
         onClick={openModal}
         className="fixed right-0 bottom-10 p-2 text-left bg-white shadow-md cursor-pointer focus:outline-none focus-visible:ring-2 focus-visible:ring-opacity-75 focus-visible:ring-white focus-visible:ring-offset-orange-300 focus-visible:ring-offset-2 focus-visible:border-indigo-500 text-xs rounded-l-2xl uppercase font-semibold"
       >
-        Propune o locaţie nouă
+        {t("proposal.button")}
       </button>
 
       <Transition appear show={isOpen} as={React.Fragment}>
@@ -672,7 +1453,7 @@ function LocationProposalModal() {
             >
 
               <div className="inline-block w-full max-w-md p-6 my-8 overflow-hidden text-left align-middle transition-all transform bg-white shadow-xl rounded-2xl">
-                {locationSubmitted ? SuccessContent : SubmissionForm}
+                {content}
               </div>
             </Transition.Child>
           </div>
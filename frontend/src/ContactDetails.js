@@ -0,0 +1,181 @@
+import * as React from "react";
+import { Fragment } from "react";
+import { Menu, Transition } from "@headlessui/react";
+import {
+  ClipboardCheckIcon,
+  ClipboardCopyIcon,
+  InformationCircleIcon,
+  LinkIcon,
+  LocationMarkerIcon,
+  MailIcon,
+  MapIcon,
+  PhoneIcon,
+} from "@heroicons/react/solid";
+
+import { useClipboard } from "./hooks";
+import { useTranslation } from "./i18n";
+import {
+  formatDistance,
+  getMapsUrls,
+  getPhoneUrl,
+  inexactRadius,
+} from "./utils";
+
+/* Maps apps in the order of the menu */
+const MAPS_APPS = ["geo", "apple", "google", "osm"];
+
+/* Websites are often entered without protocol */
+const getWebsiteUrl = (website) =>
+  /^https?:\/\//i.test(website) ? website : `https://${website}`;
+
+/**
+ * Button copying a contact detail to the clipboard.
+ * @param {string} value The text to be copied.
+ */
+function CopyButton({ value }) {
+  const { t } = useTranslation();
+  const { copied, copy } = useClipboard();
+  const label = copied ? t("contact.copied") : t("contact.copy");
+
+  return (
+    <button
+      type="button"
+      onClick={() => copy(value)}
+      title={label}
+      aria-label={label}
+      className="flex-none ml-2 p-1 text-gray-400 hover:text-black focus:outline-none"
+    >
+      {copied ? (
+        <ClipboardCheckIcon className="h-4 w-4 text-green-600" aria-hidden="true" />
+      ) : (
+        <ClipboardCopyIcon className="h-4 w-4" aria-hidden="true" />
+      )}
+    </button>
+  );
+}
+
+/**
+ * Menu for opening a location in one of the maps apps.
+ * @param {object} location The location as GeoJSON feature.
+ */
+function MapsMenu({ location }) {
+  const { t } = useTranslation();
+  const urls = getMapsUrls(location);
+
+  return (
+    <Menu as="div" className="relative flex-none ml-1">
+      {({ open }) => (
+        <>
+          <Menu.Button
+            className="p-1 text-gray-400 hover:text-black focus:outline-none"
+            title={t("contact.openInMaps")}
+            aria-label={t("contact.openInMaps")}
+          >
+            <MapIcon className="h-4 w-4" aria-hidden="true" />
+          </Menu.Button>
+          <Transition
+            as={Fragment}
+            show={open}
+            enter="transition ease-out duration-100"
+            enterFrom="opacity-0"
+            enterTo="opacity-100"
+          >
+            <Menu.Items
+              static
+              className="absolute z-10 left-0 mt-1 w-48 py-1 bg-white shadow-lg ring-1 ring-black ring-opacity-5 rounded-md focus:outline-none text-sm font-normal"
+            >
+              {MAPS_APPS.map((app) => (
+                <Menu.Item key={app}>
+                  {({ active }) => (
+                    <a
+                      href={urls[app]}
+                      target={app === "geo" ? undefined : "_blank"}
+                      rel="noopener noreferrer"
+                      className={`block px-4 py-2 ${
+                        active ? "bg-gray-100 text-black" : "text-gray-600"
+                      }`}
+                    >
+                      {t(`contact.maps.${app}`)}
+                    </a>
+                  )}
+                </Menu.Item>
+              ))}
+            </Menu.Items>
+          </Transition>
+        </>
+      )}
+    </Menu>
+  );
+}
+
+/**
+ * Address, email, phone and website of a location, each one with a button
+ * for copying it. Phone numbers are called through their E.164 form and the
+ * address can be opened in the maps apps.
+ * @param {object} location The location as GeoJSON feature.
+ */
+export default function ContactDetails({ location }) {
+  const { t, language } = useTranslation();
+  const {
+    address,
+    email,
+    phone,
+    website,
+    inexact_location: inexact,
+  } = location.properties;
+
+  return (
+    <>
+      {(address || location.geometry) && (
+        <div className="flex items-center font-semibold text-gray-600">
+          <LocationMarkerIcon className="flex-none inline h-5 w-5 mr-2" aria-hidden="true" />
+          {address && <div>{address}</div>}
+          {address && <CopyButton value={address} />}
+          <MapsMenu location={location} />
+        </div>
+      )}
+      {inexact && (
+        <div className="flex items-center text-sm text-gray-500">
+          <InformationCircleIcon className="flex-none h-5 w-5 mr-2" aria-hidden="true" />
+          <div>
+            {t("map.approximate", {
+              distance: formatDistance(inexactRadius(location), language),
+            })}
+          </div>
+        </div>
+      )}
+      {email && (
+        <div className="flex items-center">
+          <MailIcon className="flex-none h-5 w-5 mr-2 text-gray-600" aria-hidden="true" />
+          <a href={`mailto:${email}`} className="text-blue-600 break-all">
+            {email}
+          </a>
+          <CopyButton value={email} />
+        </div>
+      )}
+      {phone && (
+        <div className="flex items-center">
+          <PhoneIcon className="flex-none h-5 w-5 mr-2 text-gray-600" aria-hidden="true" />
+          <a href={getPhoneUrl(phone)} className="text-blue-600">
+            {phone}
+          </a>
+          <CopyButton value={phone} />
+        </div>
+      )}
+      {website && (
+        <div className="flex items-center">
+          <LinkIcon className="flex-none h-5 w-5 mr-2 text-gray-600" aria-hidden="true" />
+          <a
+            href={getWebsiteUrl(website)}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="text-blue-600 break-all"
+          >
+            {website}
+          </a>
+          <CopyButton value={website} />
+        </div>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,188 @@
+import * as React from "react";
+import { Formik, Field, Form } from "formik";
+
+import { ENDPOINTS } from "./constants";
+import { useFormSubmission } from "./hooks";
+import { useTranslation } from "./i18n";
+import SubmissionStatus from "./SubmissionStatus";
+import { isValidEmail, isValidWebsite } from "./utils";
+
+/* Properties of a location which can be corrected, in the order of the form */
+const FIELDS = [
+  "name",
+  "address",
+  "phone",
+  "email",
+  "website",
+  "opening_hours",
+  "description",
+];
+
+const STATUSES = ["open", "closed", "moved"];
+
+const INPUT_CLASSES =
+  "shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline";
+
+/**
+ * Form for reporting outdated information about a location. It is prefilled
+ * with the current properties and only the changed ones are sent, together
+ * with whether the place has closed or moved.
+ * @param {object} location The location as GeoJSON feature.
+ * @param {function} onClose Callback for going back to the location details.
+ */
+export default function CorrectionForm({ location, onClose }) {
+  const { t } = useTranslation();
+  const { pk } = location.properties;
+  const submission = useFormSubmission(`${ENDPOINTS.LOCATIONS}${pk}/correction/`);
+
+  const initialValues = React.useMemo(
+    () => ({
+      ...Object.fromEntries(
+        FIELDS.map((field) => [field, location.properties[field] || ""])
+      ),
+      status: "open",
+      comment: "",
+    }),
+    [location]
+  );
+
+  function getChanges(values) {
+    return Object.fromEntries(
+      FIELDS.filter(
+        (field) => values[field].trim() !== initialValues[field].trim()
+      ).map((field) => [field, values[field].trim()])
+    );
+  }
+
+  function validate(values) {
+    const errors = {};
+
+    if (!values.name.trim()) {
+      errors.name = t("proposal.errors.nameRequired");
+    }
+    if (values.email && !isValidEmail(values.email)) {
+      errors.email = t("proposal.errors.emailInvalid");
+    }
+    if (values.website && !isValidWebsite(values.website)) {
+      errors.website = t("proposal.errors.websiteInvalid");
+    }
+    if (values.comment.length > 500) {
+      errors.comment = t("proposal.errors.tooLong", { max: 500 });
+    }
+    if (
+      values.status === "open" &&
+      !values.comment.trim() &&
+      !Object.keys(getChanges(values)).length
+    ) {
+      errors.comment = t("correction.errors.nothingChanged");
+    }
+
+    return errors;
+  }
+
+  async function handleSubmit(values, { setErrors }) {
+    const { errors } = await submission.submit({
+      changes: getChanges(values),
+      closed: values.status === "closed",
+      moved: values.status === "moved",
+      comment: values.comment.trim(),
+    });
+    setErrors(errors);
+  }
+
+  if (submission.status === "success") {
+    return (
+      <div className="mt-4">
+        <p className="text-lg font-semibold">{t("correction.successTitle")}</p>
+        <button
+          type="button"
+          className="inline-flex justify-center mt-6 px-4 py-2 text-sm font-semibold text-gray-900 bg-gray-100 border border-transparent rounded-md hover:bg-gray-200 focus:outline-none focus-visible:ring-2 focus-visible:ring-offset-2 focus-visible:ring-gray-500"
+          onClick={onClose}
+        >
+          {t("correction.back")}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <Formik
+      initialValues={initialValues}
+      onSubmit={handleSubmit}
+      validate={validate}
+    >
+      {({ errors, touched, isSubmitting, submitForm }) => (
+        <Form className="mt-4 max-w-xl">
+          <p className="mb-4 text-sm text-gray-600">{t("correction.intro")}</p>
+          <fieldset className="mb-4">
+            <legend className="block text-gray-700 text-sm mb-2 font-semibold">
+              {t("correction.status")}
+            </legend>
+            {STATUSES.map((status) => (
+              <label key={status} className="flex items-center gap-2 text-sm">
+                <Field type="radio" name="status" value={status} />
+                {t(`correction.statuses.${status}`)}
+              </label>
+            ))}
+          </fieldset>
+          {FIELDS.map((field) => (
+            <div key={field} className="mb-2">
+              <label
+                className="block text-gray-700 text-sm mb-2 font-semibold"
+                htmlFor={`correction-${field}`}
+              >
+                {t(`correction.fields.${field}`)}
+              </label>
+              <Field
+                className={`${INPUT_CLASSES} ${
+                  touched[field] && errors[field] && "border-red-500"
+                }`}
+                name={field}
+                id={`correction-${field}`}
+                as={field === "description" ? "textarea" : "input"}
+              />
+              <p className="text-red-500 my-1 text-sm">
+                {touched[field] && errors[field]}
+              </p>
+            </div>
+          ))}
+          <div className="mb-2">
+            <label
+              className="block text-gray-700 text-sm mb-2 font-semibold"
+              htmlFor="correction-comment"
+            >
+              {t("correction.comment")}
+            </label>
+            <Field
+              className={INPUT_CLASSES}
+              name="comment"
+              id="correction-comment"
+              as="textarea"
+              placeholder={t("correction.commentPlaceholder")}
+            />
+            <p className="text-red-500 my-1 text-sm">
+              {(touched.comment && errors.comment) || errors.changes}
+            </p>
+          </div>
+          <div className="flex mt-6 items-center justify-between">
+            <button
+              type="button"
+              className="inline-flex justify-center px-4 py-2 text-sm font-semibold text-gray-900 bg-red-100 border border-transparent rounded-md hover:bg-red-200 focus:outline-none focus-visible:ring-2 focus-visible:ring-offset-2 focus-visible:ring-gray-500"
+              onClick={onClose}
+            >
+              {t("proposal.cancel")}
+            </button>
+            <button
+              type="submit"
+              disabled={isSubmitting || submission.retryIn > 0}
+              className="inline-flex justify-center px-4 py-2 text-sm font-semibold text-gray-900 bg-green-100 border border-transparent rounded-md hover:bg-green-200 focus:outline-none focus-visible:ring-2 focus-visible:ring-offset-2 focus-visible:ring-gray-500 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {t("proposal.submit")}
+            </button>
+          </div>
+          <SubmissionStatus submission={submission} onRetry={submitForm} />
+        </Form>
+      )}
+    </Formik>
+  );
+}
@@ -0,0 +1,57 @@
+import * as React from "react";
+import { LocationMarkerIcon } from "@heroicons/react/solid";
+
+import { CATEGORY_COLOR_MAP } from "./constants";
+import { useTranslation } from "./i18n";
+
+/**
+ * Locations already on the map which look like the one being proposed.
+ * @param {array} matches The likely duplicates, as GeoJSON features.
+ * @param {function} onOpen Callback for opening one of the locations.
+ * @param {function} onConfirm Callback for sending the proposal anyway.
+ */
+export default function DuplicateWarning({ matches, onOpen, onConfirm }) {
+  const { t } = useTranslation();
+
+  return (
+    <div className="mt-6 p-4 bg-yellow-50 rounded-md" role="alert">
+      <p className="text-sm font-semibold text-gray-900">
+        {t("proposal.duplicates.title")}
+      </p>
+      <ul className="mt-2 divide-y divide-yellow-100">
+        {matches.map((feature) => {
+          const { pk, name, address, category } = feature.properties;
+          return (
+            <li key={pk} className="flex items-center gap-3 py-2">
+              <LocationMarkerIcon
+                className="flex-none w-5 h-5"
+                aria-hidden="true"
+                style={{ color: CATEGORY_COLOR_MAP[category?.pk] }}
+              />
+              <div className="flex-grow min-w-0 text-sm">
+                <div className="font-semibold truncate">{name}</div>
+                {address && (
+                  <div className="text-gray-500 truncate">{address}</div>
+                )}
+              </div>
+              <button
+                type="button"
+                className="flex-none text-xs uppercase font-semibold text-blue-600 hover:text-blue-800 focus:outline-none"
+                onClick={() => onOpen(feature)}
+              >
+                {t("proposal.duplicates.open")}
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+      <button
+        type="button"
+        className="mt-2 text-xs uppercase font-semibold text-gray-600 hover:text-black focus:outline-none"
+        onClick={onConfirm}
+      >
+        {t("proposal.duplicates.different")}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,129 @@
+import * as React from "react";
+
+import { useSearchPhrase } from "./contexts";
+import { useCategoriesQuery, useLocationsQuery } from "./hooks";
+import { useTranslation } from "./i18n";
+import { buildPath, useCategories, useLocation } from "./routing";
+
+/*
+ * Messages exchanged with the website embedding the map through
+ * `postMessage`. The host page can send
+ *   { type: "set-filters", categories: ["food"], search: "consulat" }
+ *   { type: "select-location", pk: 12 }
+ * where categories are slugs, null showing all of them, and a missing field
+ * keeps its filter. A pk of null closes the opened location. The map answers
+ * with messages tagged with its source, "ready" once the data has loaded:
+ *   { source, type: "ready", categories: [{ slug, label }] }
+ *   { source, type: "location-selected", location: { pk, name, ... } }
+ * the location being null when it is closed. Only public data is sent, so
+ * any website may embed the map.
+ */
+
+const MESSAGE_SOURCE = "harta-diasporei";
+
+function postToHost(message) {
+  if (window.parent !== window) {
+    window.parent.postMessage({ source: MESSAGE_SOURCE, ...message }, "*");
+  }
+}
+
+/**
+ * The data of a location sent to the host page.
+ * @param {object} feature The location as GeoJSON feature.
+ */
+function describeLocation({ geometry, properties }) {
+  const { pk, name, category, address, phone, email, website } = properties;
+  return {
+    pk,
+    name,
+    category: category?.name_slug ?? null,
+    address,
+    phone,
+    email,
+    website,
+    coordinates: geometry?.coordinates ?? null,
+    url: `${window.location.origin}${buildPath({ pk })}`,
+  };
+}
+
+/**
+ * Connects the embedded map to the host page: applies the filters sent by
+ * the host and tells it about the opened location. Renders nothing.
+ */
+export default function EmbedBridge() {
+  const [location, setLocation] = useLocation();
+  const [, setCategories] = useCategories();
+  const [, setSearchPhrase] = useSearchPhrase();
+  const { data: categoryData, isPlaceholderData: categoriesPending } =
+    useCategoriesQuery();
+  const { data: locationData, isPlaceholderData: locationsPending } =
+    useLocationsQuery();
+  // The host may only send messages once there is something to select
+  const isLoaded =
+    Boolean(categoryData && locationData) &&
+    !categoriesPending &&
+    !locationsPending;
+  const { categoryLabel } = useTranslation();
+
+  // Messages may arrive before the effects of the last render, so the
+  // handlers are read from a ref updated while rendering
+  const handlers = React.useRef();
+  handlers.current = {
+    "set-filters": ({ categories, search }) => {
+      if (categories !== undefined) {
+        const selected = (categoryData || []).filter((category) =>
+          (categories || []).includes(category.name_slug)
+        );
+        // Like unknown slugs in the URL, unknown categories show all of them
+        setCategories(selected.length ? selected : null);
+      }
+      if (typeof search === "string") {
+        setSearchPhrase(search);
+      }
+    },
+    "select-location": ({ pk }) => {
+      const feature = locationData.features.find(
+        (feature) => feature.properties.pk === Number(pk)
+      );
+      setLocation(feature || null);
+    },
+  };
+
+  React.useEffect(() => {
+    function onMessage(event) {
+      if (event.source !== window.parent || !event.data) return;
+      const handler = handlers.current[event.data.type];
+      handler && handler(event.data);
+    }
+    window.addEventListener("message", onMessage);
+    return () => window.removeEventListener("message", onMessage);
+  }, []);
+
+  const sentReady = React.useRef(false);
+  React.useEffect(() => {
+    if (!isLoaded || sentReady.current) return;
+    sentReady.current = true;
+    postToHost({
+      type: "ready",
+      categories: categoryData.map((category) => ({
+        slug: category.name_slug,
+        label: categoryLabel(category),
+      })),
+    });
+  }, [isLoaded, categoryData, categoryLabel]);
+
+  // Only changes are sent, not the map opened without location
+  const sentPk = React.useRef(null);
+  React.useEffect(() => {
+    const pk = location?.properties.pk ?? null;
+    if (pk !== sentPk.current) {
+      sentPk.current = pk;
+      postToHost({
+        type: "location-selected",
+        location: location && describeLocation(location),
+      });
+    }
+  }, [location]);
+
+  return null;
+}
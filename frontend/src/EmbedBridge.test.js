@@ -0,0 +1,66 @@
+import { act, render } from "@testing-library/react";
+import { MemoryRouter } from "react-router-dom";
+import { QueryClient, QueryClientProvider } from "react-query";
+
+import EmbedBridge from "./EmbedBridge";
+import { LanguageProvider, SearchPhraseProvider } from "./contexts";
+
+// Without a translation, the label stored in the API is sent
+const categories = [
+  { pk: 1, name_slug: "croitorie", label_singular: "Croitorie" },
+];
+const features = [
+  {
+    type: "Feature",
+    geometry: { type: "Point", coordinates: [13.4, 52.5] },
+    properties: { pk: 1, name: "Magazin", category: categories[0] },
+  },
+];
+
+describe("EmbedBridge", () => {
+  const postMessage = jest.fn();
+
+  beforeEach(() => {
+    postMessage.mockReset();
+    jest.spyOn(window, "parent", "get").mockReturnValue({ postMessage });
+    // The data is only set by the test, fetching it never finishes
+    window.fetch = jest.fn(() => new Promise(() => {}));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete window.fetch;
+  });
+
+  test("tells the host it's ready once the data has loaded", async () => {
+    const queryClient = new QueryClient();
+    render(
+      <QueryClientProvider client={queryClient}>
+        <MemoryRouter>
+          <LanguageProvider>
+            <SearchPhraseProvider>
+              <EmbedBridge />
+            </SearchPhraseProvider>
+          </LanguageProvider>
+        </MemoryRouter>
+      </QueryClientProvider>
+    );
+    await act(async () => {
+      queryClient.setQueryData("categories", categories);
+    });
+    expect(postMessage).not.toHaveBeenCalled();
+
+    await act(async () => {
+      queryClient.setQueryData("locations", { features });
+    });
+    expect(postMessage).toHaveBeenCalledTimes(1);
+    expect(postMessage).toHaveBeenCalledWith(
+      {
+        source: "harta-diasporei",
+        type: "ready",
+        categories: [{ slug: "croitorie", label: "Croitorie" }],
+      },
+      "*"
+    );
+  });
+});
@@ -0,0 +1,240 @@
+import * as React from "react";
+import { Link } from "react-router-dom";
+import {
+  ArrowLeftIcon,
+  ClipboardCheckIcon,
+  ClipboardCopyIcon,
+} from "@heroicons/react/solid";
+
+import { LANGUAGES } from "./constants";
+import { useCategoriesQuery, useClipboard, useLocationsQuery } from "./hooks";
+import { useTranslation } from "./i18n";
+import { EMBED_PATH } from "./routing";
+
+const DEFAULT_HEIGHT = 600;
+
+/* Example of the messaging with the embedded map, shown to developers */
+const API_EXAMPLE = `const frame = document.querySelector("iframe");
+window.addEventListener("message", (event) => {
+  if (event.source !== frame.contentWindow) return;
+  if (event.data.type === "location-selected") {
+    console.log(event.data.location);
+  }
+});
+frame.contentWindow.postMessage(
+  { type: "set-filters", categories: ["food"], search: "" },
+  "*"
+);
+frame.contentWindow.postMessage({ type: "select-location", pk: 12 }, "*");`;
+
+const INPUT_CLASSES =
+  "shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline";
+const LABEL_CLASSES = "block text-gray-700 text-sm mb-2 font-semibold";
+
+/**
+ * URL of the embedded map with the chosen options.
+ * @param {object} options The category slugs, the pk of the opened location,
+ * the zoom level and the language.
+ */
+function getEmbedUrl({ slugs, pk, zoom, language }) {
+  const query = new URLSearchParams();
+  slugs.length && query.set("category", slugs.join(","));
+  pk && query.set("location", pk);
+  zoom && query.set("zoom", zoom);
+  query.set("lang", language);
+  return `${window.location.origin}${EMBED_PATH}?${query.toString()}`;
+}
+
+/**
+ * Page generating the code for embedding the map into other websites,
+ * filtered to some categories or opening a location, with a preview.
+ */
+export default function EmbedCode() {
+  const { t, categoryLabel, language: currentLanguage } = useTranslation();
+  const { copied, copy } = useClipboard();
+  const { isLoading, error, data: categoryData } = useCategoriesQuery();
+  const { data: locationData } = useLocationsQuery();
+  const [slugs, setSlugs] = React.useState([]);
+  const [pk, setPk] = React.useState("");
+  const [zoom, setZoom] = React.useState("");
+  const [language, setLanguage] = React.useState(currentLanguage);
+  const [height, setHeight] = React.useState(DEFAULT_HEIGHT);
+
+  const locations = React.useMemo(
+    () =>
+      (locationData?.features || [])
+        .filter(
+          ({ properties: { category } }) =>
+            !slugs.length || slugs.includes(category?.name_slug)
+        )
+        .map(({ properties: { pk, name } }) => ({ pk, name }))
+        .sort((a, b) => a.name.localeCompare(b.name, "ro")),
+    [locationData, slugs]
+  );
+
+  // A location of a category which is no longer chosen is left out
+  const selectedPk = locations.some((location) => String(location.pk) === pk)
+    ? pk
+    : "";
+  const url = getEmbedUrl({ slugs, pk: selectedPk, zoom, language });
+  const code = `<iframe src="${url}" width="100%" height="${height}" style="border: 0" loading="lazy" allow="geolocation" title="${t(
+    "embed.frameTitle"
+  )}"></iframe>`;
+
+  function toggleCategory(slug) {
+    setSlugs((slugs) =>
+      slugs.includes(slug)
+        ? slugs.filter((item) => item !== slug)
+        : [...slugs, slug]
+    );
+  }
+
+  if (isLoading) return <div>{t("common.loading")}</div>;
+  if (error)
+    return <div>{t("common.error", { message: error.message })}</div>;
+
+  return (
+    <div className="max-w-3xl mx-auto p-6">
+      <Link
+        to="/"
+        className="flex items-center gap-2 mb-8 text-sm font-semibold uppercase text-gray-600 hover:text-black"
+      >
+        <ArrowLeftIcon className="h-5 w-5" aria-hidden="true" />
+        {t("print.back")}
+      </Link>
+      <h1 className="font-bold text-2xl uppercase">{t("embed.title")}</h1>
+      <p className="mt-2 text-gray-600">{t("embed.intro")}</p>
+
+      <fieldset className="mt-8">
+        <legend className={LABEL_CLASSES}>{t("embed.categories")}</legend>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-1">
+          {categoryData.map((category) => (
+            <label key={category.pk} className="flex items-center gap-2 text-sm">
+              <input
+                type="checkbox"
+                checked={slugs.includes(category.name_slug)}
+                onChange={() => toggleCategory(category.name_slug)}
+              />
+              {categoryLabel(category, true)}
+            </label>
+          ))}
+        </div>
+        <p className="mt-1 text-xs text-gray-500">{t("embed.allCategories")}</p>
+      </fieldset>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mt-6">
+        <div className="sm:col-span-2">
+          <label className={LABEL_CLASSES} htmlFor="embed-location">
+            {t("embed.location")}
+          </label>
+          <select
+            id="embed-location"
+            className={INPUT_CLASSES}
+            value={selectedPk}
+            onChange={(event) => setPk(event.target.value)}
+          >
+            <option value="">{t("embed.noLocation")}</option>
+            {locations.map(({ pk, name }) => (
+              <option key={pk} value={String(pk)}>
+                {name}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className={LABEL_CLASSES} htmlFor="embed-zoom">
+            {t("embed.zoom")}
+          </label>
+          <input
+            id="embed-zoom"
+            type="number"
+            min="8"
+            max="18"
+            step="0.5"
+            placeholder={t("embed.zoomPlaceholder")}
+            className={INPUT_CLASSES}
+            value={zoom}
+            onChange={(event) => setZoom(event.target.value)}
+          />
+        </div>
+        <div>
+          <label className={LABEL_CLASSES} htmlFor="embed-language">
+            {t("language.label")}
+          </label>
+          <select
+            id="embed-language"
+            className={`${INPUT_CLASSES} uppercase`}
+            value={language}
+            onChange={(event) => setLanguage(event.target.value)}
+          >
+            {LANGUAGES.map((item) => (
+              <option key={item} value={item}>
+                {item}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className={LABEL_CLASSES} htmlFor="embed-height">
+            {t("embed.height")}
+          </label>
+          <input
+            id="embed-height"
+            type="number"
+            min="300"
+            step="50"
+            className={INPUT_CLASSES}
+            value={height}
+            onChange={(event) => setHeight(event.target.value)}
+          />
+        </div>
+      </div>
+
+      <div className="mt-8">
+        <div className="flex items-center justify-between mb-2">
+          <label className={LABEL_CLASSES} htmlFor="embed-code">
+            {t("embed.code")}
+          </label>
+          <button
+            type="button"
+            onClick={() => copy(code)}
+            className="flex items-center gap-2 px-3 py-1 text-sm text-gray-600 border border-gray-300 rounded-md hover:bg-gray-100 focus:outline-none"
+          >
+            {copied ? (
+              <ClipboardCheckIcon className="h-4 w-4 text-green-600" aria-hidden="true" />
+            ) : (
+              <ClipboardCopyIcon className="h-4 w-4" aria-hidden="true" />
+            )}
+            {copied ? t("contact.copied") : t("contact.copy")}
+          </button>
+        </div>
+        <textarea
+          id="embed-code"
+          readOnly
+          rows={4}
+          className={`${INPUT_CLASSES} font-mono text-xs`}
+          value={code}
+          onFocus={(event) => event.target.select()}
+        />
+      </div>
+
+      <h2 className="mt-8 mb-2 font-semibold text-lg uppercase">
+        {t("embed.preview")}
+      </h2>
+      <iframe
+        src={url}
+        width="100%"
+        height={height}
+        style={{ border: 0 }}
+        allow="geolocation"
+        title={t("embed.frameTitle")}
+      />
+
+      <h2 className="mt-8 font-semibold text-lg uppercase">{t("embed.api")}</h2>
+      <p className="mt-2 text-sm text-gray-600">{t("embed.apiIntro")}</p>
+      <pre className="mt-2 p-4 overflow-x-auto bg-gray-100 rounded-md text-xs">
+        {API_EXAMPLE}
+      </pre>
+    </div>
+  );
+}
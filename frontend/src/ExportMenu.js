@@ -0,0 +1,88 @@
+import * as React from "react";
+import { Fragment } from "react";
+import { Menu, Transition } from "@headlessui/react";
+import { DownloadIcon } from "@heroicons/react/solid";
+import { Link } from "react-router-dom";
+
+import { FORMATS, exportFeatures } from "./exporters";
+import { useTranslation } from "./i18n";
+import { EMBED_CODE_PATH, PRINT_PATH } from "./routing";
+
+/**
+ * Menu for downloading the shown locations in one of the export formats,
+ * opening the printable guide or the code for embedding the map.
+ * @param {array} features The locations to be exported, as GeoJSON features.
+ */
+export default function ExportMenu({ features }) {
+  const { t, categoryLabel } = useTranslation();
+
+  return (
+    <Menu as="div" className="relative">
+      {({ open }) => (
+        <>
+          <Menu.Button
+            disabled={!features.length}
+            className="flex items-center gap-2 px-4 py-2 bg-white shadow-md cursor-pointer focus:outline-none text-xs uppercase font-semibold text-gray-600 rounded-tr-2xl disabled:opacity-50"
+          >
+            <DownloadIcon className="h-5 w-5" aria-hidden="true" />
+            {t("export.button")}
+          </Menu.Button>
+          <Transition
+            as={Fragment}
+            show={open}
+            enter="transition ease-out duration-100"
+            enterFrom="opacity-0"
+            enterTo="opacity-100"
+          >
+            <Menu.Items
+              static
+              className="absolute left-0 bottom-full mb-2 w-56 py-1 bg-white shadow-lg ring-1 ring-black ring-opacity-5 rounded-r-2xl focus:outline-none text-sm"
+            >
+              {Object.keys(FORMATS).map((format) => (
+                <Menu.Item key={format}>
+                  {({ active }) => (
+                    <button
+                      type="button"
+                      className={`w-full text-left px-4 py-2 ${
+                        active ? "bg-gray-100 text-black" : "text-gray-600"
+                      }`}
+                      onClick={() =>
+                        exportFeatures(format, features, categoryLabel)
+                      }
+                    >
+                      {t(`export.formats.${format}`)}
+                    </button>
+                  )}
+                </Menu.Item>
+              ))}
+              <Menu.Item>
+                {({ active }) => (
+                  <Link
+                    to={PRINT_PATH}
+                    className={`block px-4 py-2 border-t border-gray-200 ${
+                      active ? "bg-gray-100 text-black" : "text-gray-600"
+                    }`}
+                  >
+                    {t("export.print")}
+                  </Link>
+                )}
+              </Menu.Item>
+              <Menu.Item>
+                {({ active }) => (
+                  <Link
+                    to={EMBED_CODE_PATH}
+                    className={`block px-4 py-2 ${
+                      active ? "bg-gray-100 text-black" : "text-gray-600"
+                    }`}
+                  >
+                    {t("export.embed")}
+                  </Link>
+                )}
+              </Menu.Item>
+            </Menu.Items>
+          </Transition>
+        </>
+      )}
+    </Menu>
+  );
+}
@@ -0,0 +1,84 @@
+import * as React from "react";
+import { useHistory } from "react-router-dom";
+import { StarIcon } from "@heroicons/react/solid";
+
+import { useFavorites } from "./contexts";
+import { decodeFavorites } from "./favorites";
+import { useLocationsQuery } from "./hooks";
+import { useTranslation } from "./i18n";
+import { IMPORT_PARAM, SAVED_PARAM } from "./routing";
+import { useQueryParams } from "./utils";
+
+/**
+ * Banner offering to add a shared list of saved locations, opened from a
+ * link like ?import=3.9.5d, to the ones of the user. Adding them shows only
+ * the saved locations on the map.
+ */
+export default function FavoritesImport() {
+  const { t } = useTranslation();
+  const history = useHistory();
+  const query = useQueryParams();
+  const [favorites, setFavorites] = useFavorites();
+  const { data } = useLocationsQuery();
+
+  const code = query.get(IMPORT_PARAM);
+  const sharedPks = React.useMemo(() => {
+    const pks = decodeFavorites(code);
+    return data.features
+      .map((feature) => feature.properties.pk)
+      .filter((pk) => pks.includes(pk));
+  }, [code, data]);
+
+  if (code === null) return null;
+
+  function close(showSaved) {
+    const { pathname, search, state } = history.location;
+    const newQuery = new URLSearchParams(search);
+    newQuery.delete(IMPORT_PARAM);
+    if (showSaved) {
+      newQuery.set(SAVED_PARAM, "1");
+    }
+    history.replace({ pathname, search: newQuery.toString(), state });
+  }
+
+  function onImport() {
+    setFavorites([...new Set([...favorites, ...sharedPks])]);
+    close(true);
+  }
+
+  const newCount = sharedPks.filter((pk) => !favorites.includes(pk)).length;
+
+  return (
+    <div className="fixed z-30 top-0 inset-x-0 flex justify-center p-4">
+      <div className="flex flex-wrap items-center gap-4 max-w-xl p-4 bg-white shadow-xl rounded-2xl text-sm">
+        <StarIcon className="flex-none h-6 w-6 text-yellow-400" aria-hidden="true" />
+        <p className="flex-1">
+          {sharedPks.length
+            ? t("favorites.importText", {
+                count: sharedPks.length,
+                new: newCount,
+              })
+            : t("favorites.importInvalid")}
+        </p>
+        <div className="flex gap-2">
+          <button
+            type="button"
+            className="px-4 py-2 font-semibold text-gray-900 bg-gray-100 rounded-md hover:bg-gray-200 focus:outline-none focus-visible:ring-2 focus-visible:ring-offset-2 focus-visible:ring-gray-500"
+            onClick={() => close(false)}
+          >
+            {t("favorites.dismiss")}
+          </button>
+          {!!newCount && (
+            <button
+              type="button"
+              className="px-4 py-2 font-semibold text-gray-900 bg-green-100 rounded-md hover:bg-green-200 focus:outline-none focus-visible:ring-2 focus-visible:ring-offset-2 focus-visible:ring-gray-500"
+              onClick={onImport}
+            >
+              {t("favorites.import")}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
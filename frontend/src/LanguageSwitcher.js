@@ -0,0 +1,59 @@
+import * as React from "react";
+import { useHistory, useLocation } from "react-router-dom";
+
+import { LANGUAGES } from "./constants";
+import { useLanguage } from "./contexts";
+import { useTranslation } from "./i18n";
+import { useQueryParams } from "./utils";
+
+/**
+ * Buttons for choosing the language of the interface. The selected language
+ * is kept in the `lang` query parameter, so shared links keep it.
+ */
+export default function LanguageSwitcher() {
+  const [language, setLanguage] = useLanguage();
+  const { t } = useTranslation();
+  const history = useHistory();
+  const { state } = useLocation();
+  const query = useQueryParams();
+  const queryLanguage = query.get("lang");
+
+  React.useEffect(() => {
+    if (LANGUAGES.includes(queryLanguage)) {
+      setLanguage(queryLanguage);
+    } else {
+      query.set("lang", language);
+      history.replace({ search: query.toString(), state });
+    }
+  }, [queryLanguage]); //eslint-disable-line
+
+  function onClick(newLanguage) {
+    setLanguage(newLanguage);
+    query.set("lang", newLanguage);
+    history.replace({ search: query.toString(), state });
+  }
+
+  return (
+    <div
+      className="flex gap-1 text-xs font-semibold uppercase"
+      role="group"
+      aria-label={t("language.label")}
+    >
+      {LANGUAGES.map((item) => (
+        <button
+          key={item}
+          type="button"
+          onClick={() => onClick(item)}
+          aria-pressed={item === language}
+          className={`px-2 py-1 rounded-md uppercase focus:outline-none ${
+            item === language
+              ? "bg-gray-900 text-white"
+              : "text-gray-600 hover:bg-gray-200"
+          }`}
+        >
+          {item}
+        </button>
+      ))}
+    </div>
+  );
+}
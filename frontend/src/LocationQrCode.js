@@ -0,0 +1,48 @@
+import * as React from "react";
+import { DownloadIcon } from "@heroicons/react/solid";
+
+import { exportQrCode } from "./exporters";
+import { useTranslation } from "./i18n";
+import { createQrCode, getQrCodePath } from "./qrcode";
+import { buildPath } from "./routing";
+
+/* Modules of white space around the code, needed by scanners */
+const QUIET_ZONE = 4;
+
+/**
+ * QR code linking to a location, generated in the browser so it can be
+ * printed on flyers without sending the link to another service.
+ * @param {object} location The location as GeoJSON feature.
+ */
+export default function LocationQrCode({ location }) {
+  const { t } = useTranslation();
+  const { pk } = location.properties;
+
+  const url = `${window.location.origin}${buildPath({ pk })}`;
+  const qrCode = React.useMemo(() => createQrCode(url), [url]);
+  const dimension = qrCode.size + QUIET_ZONE * 2;
+
+  return (
+    <div className="flex flex-col items-center gap-2 mt-4">
+      <svg
+        xmlns="http://www.w3.org/2000/svg"
+        viewBox={`${-QUIET_ZONE} ${-QUIET_ZONE} ${dimension} ${dimension}`}
+        shapeRendering="crispEdges"
+        className="h-48 w-48 bg-white"
+        role="img"
+        aria-label={t("contact.qrCode")}
+      >
+        <path d={getQrCodePath(qrCode)} fill="#000000" />
+      </svg>
+      <div className="text-xs text-gray-500 break-all text-center">{url}</div>
+      <button
+        type="button"
+        onClick={() => exportQrCode(location, qrCode)}
+        className="flex items-center gap-2 px-3 py-1 text-sm text-gray-600 border border-gray-300 rounded-md hover:bg-gray-100 focus:outline-none"
+      >
+        <DownloadIcon className="h-4 w-4" aria-hidden="true" />
+        {t("contact.qrDownload")}
+      </button>
+    </div>
+  );
+}
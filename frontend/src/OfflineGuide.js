@@ -0,0 +1,66 @@
+import * as React from "react";
+import { StatusOfflineIcon } from "@heroicons/react/outline";
+
+import { CATEGORY_COLOR_MAP } from "./constants";
+import { useTranslation } from "./i18n";
+import { useLocation } from "./routing";
+
+/**
+ * Banner informing that the device is offline and the data may be outdated.
+ */
+function OfflineBanner() {
+  const { t } = useTranslation();
+  return (
+    <div className="flex items-center gap-2 px-6 py-2 bg-yellow-100 text-yellow-900 text-sm font-semibold">
+      <StatusOfflineIcon className="flex-none h-5 w-5" aria-hidden="true" />
+      {t("offline.banner")}
+    </div>
+  );
+}
+
+/**
+ * Degraded view shown without network access, listing the cached POIs
+ * instead of the map. Clicking a location opens its details.
+ * @param {object} data The POI data as GeoJSON object.
+ */
+export default function OfflineGuide({ data }) {
+  const [, setLocation] = useLocation();
+  const { t, categoryLabel } = useTranslation();
+  const features = [...data.features].sort((a, b) =>
+    a.properties.name.localeCompare(b.properties.name, "ro")
+  );
+
+  return (
+    <div className="relative z-10">
+      <OfflineBanner />
+      <ul className="divide-y divide-gray-200 bg-white">
+        {features.map((feature) => {
+          const { pk, name, address, category } = feature.properties;
+          return (
+            <li
+              key={pk}
+              className="flex items-center gap-3 px-6 py-3 cursor-pointer hover:bg-gray-100"
+              onClick={() => setLocation(feature)}
+            >
+              <span
+                className="flex-none h-3 w-3 rounded-full"
+                style={{ backgroundColor: CATEGORY_COLOR_MAP[category?.pk] }}
+                aria-hidden="true"
+              />
+              <div>
+                <div className="font-semibold">{name}</div>
+                <div className="text-sm text-gray-600">
+                  {categoryLabel(category)}
+                  {address && ` · ${address}`}
+                </div>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+      {!features.length && (
+        <p className="px-6 py-3 text-gray-600">{t("offline.empty")}</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,151 @@
+import * as React from "react";
+import { Dialog, Transition } from "@headlessui/react";
+import { GlobeIcon } from "@heroicons/react/solid";
+
+import { CATEGORY_COLOR_MAP } from "./constants";
+import { useTranslation } from "./i18n";
+import { useLocation } from "./routing";
+
+/**
+ * Directory of the entries without a place of their own, like online
+ * services, hotlines and groups, grouped by category. They are filtered like
+ * the locations on the map and open the same details.
+ * @param {array} features The filtered entries, as GeoJSON features.
+ */
+export default function OnlineDirectory({ features }) {
+  const [isOpen, setIsOpen] = React.useState(false);
+  const [, setLocation] = useLocation();
+  const { t, categoryLabel } = useTranslation();
+
+  const groups = React.useMemo(() => {
+    const byCategory = {};
+    features.forEach((feature) => {
+      const { category } = feature.properties;
+      byCategory[category?.pk] = byCategory[category?.pk] || {
+        category,
+        entries: [],
+      };
+      byCategory[category?.pk].entries.push(feature);
+    });
+    return Object.values(byCategory)
+      .map(({ category, entries }) => ({
+        category,
+        label: categoryLabel(category, true) || "",
+        entries: [...entries].sort((a, b) =>
+          a.properties.name.localeCompare(b.properties.name, "ro")
+        ),
+      }))
+      .sort((a, b) => a.label.localeCompare(b.label, "ro"));
+  }, [features, categoryLabel]);
+
+  function onSelect(feature) {
+    setIsOpen(false);
+    setLocation(feature);
+  }
+
+  return (
+    <>
+      <button
+        type="button"
+        onClick={() => setIsOpen(true)}
+        className="flex items-center gap-2 px-4 py-2 bg-white shadow-md cursor-pointer focus:outline-none text-xs uppercase font-semibold text-gray-600 rounded-t-2xl"
+      >
+        <GlobeIcon className="h-5 w-5" aria-hidden="true" />
+        {t("online.button", { count: features.length })}
+      </button>
+
+      <Transition appear show={isOpen} as={React.Fragment}>
+        <Dialog
+          as="div"
+          className="fixed inset-0 z-30 overflow-y-auto"
+          onClose={() => setIsOpen(false)}
+        >
+          <div className="min-h-screen px-4 text-center">
+            <Transition.Child
+              as={React.Fragment}
+              enter="ease-out duration-300"
+              enterFrom="opacity-0"
+              enterTo="opacity-100"
+              leave="ease-in duration-200"
+              leaveFrom="opacity-100"
+              leaveTo="opacity-0"
+            >
+              <Dialog.Overlay className="fixed inset-0" />
+            </Transition.Child>
+
+            <span
+              className="inline-block h-screen align-middle"
+              aria-hidden="true"
+            >
+              &#8203;
+            </span>
+            <Transition.Child
+              as={React.Fragment}
+              enter="ease-out duration-300"
+              enterFrom="opacity-0 scale-95"
+              enterTo="opacity-100 scale-100"
+              leave="ease-in duration-200"
+              leaveFrom="opacity-100 scale-100"
+              leaveTo="opacity-0 scale-95"
+            >
+              <div className="inline-block w-full max-w-xl p-6 my-8 overflow-hidden text-left align-middle transition-all transform bg-white shadow-xl rounded-2xl">
+                <Dialog.Title
+                  as="h3"
+                  className="text-lg font-semibold leading-6 text-gray-900"
+                >
+                  {t("online.title")}
+                </Dialog.Title>
+                <p className="mt-2 text-sm text-gray-500">{t("online.intro")}</p>
+
+                {groups.map(({ category, label, entries }) => (
+                  <section key={category?.pk ?? "none"} className="mt-6">
+                    <h4
+                      className="text-sm font-semibold uppercase text-gray-600 border-b-2 pb-1"
+                      style={{ borderColor: CATEGORY_COLOR_MAP[category?.pk] }}
+                    >
+                      {label}
+                    </h4>
+                    <ul className="divide-y divide-gray-200">
+                      {entries.map((feature) => {
+                        const { pk, name, website, phone } = feature.properties;
+                        return (
+                          <li key={pk}>
+                            <button
+                              type="button"
+                              className="w-full py-2 text-left hover:bg-gray-100 focus:outline-none focus-visible:bg-gray-100"
+                              onClick={() => onSelect(feature)}
+                            >
+                              <div className="font-semibold">{name}</div>
+                              {(website || phone) && (
+                                <div className="text-sm text-gray-600 truncate">
+                                  {website || phone}
+                                </div>
+                              )}
+                            </button>
+                          </li>
+                        );
+                      })}
+                    </ul>
+                  </section>
+                ))}
+                {!groups.length && (
+                  <p className="mt-4 text-sm text-gray-600">{t("list.empty")}</p>
+                )}
+
+                <div className="mt-6">
+                  <button
+                    type="button"
+                    className="inline-flex justify-center px-4 py-2 text-sm font-semibold text-gray-900 bg-gray-100 border border-transparent rounded-md hover:bg-gray-200 focus:outline-none focus-visible:ring-2 focus-visible:ring-offset-2 focus-visible:ring-gray-500"
+                    onClick={() => setIsOpen(false)}
+                  >
+                    {t("online.close")}
+                  </button>
+                </div>
+              </div>
+            </Transition.Child>
+          </div>
+        </Dialog>
+      </Transition>
+    </>
+  );
+}
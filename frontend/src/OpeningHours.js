@@ -0,0 +1,124 @@
+import * as React from "react";
+import { ChevronDownIcon, ClockIcon } from "@heroicons/react/solid";
+
+import { useCurrentTime } from "./hooks";
+import { useTranslation } from "./i18n";
+import {
+  formatMinutes,
+  getOpeningState,
+  getWeekSchedule,
+  parseOpeningHours,
+} from "./schedule";
+
+/* Any Monday, for naming the weekdays */
+const MONDAY = Date.UTC(2024, 0, 1);
+
+const weekdayName = (weekday, language) =>
+  new Intl.DateTimeFormat(language, { weekday: "short", timeZone: "UTC" }).format(
+    MONDAY + weekday * 24 * 60 * 60 * 1000
+  );
+
+/**
+ * Describes the intervals of a day, like "09:00–12:00, 14:00–18:00".
+ * @param {array} intervals The intervals in minutes since midnight.
+ * @param {function} t The translation function.
+ */
+function formatIntervals(intervals, t) {
+  if (!intervals.length) return t("openingHours.closed");
+  if (intervals.length === 1 && intervals[0][1] - intervals[0][0] >= 24 * 60) {
+    return t("openingHours.allDay");
+  }
+  return intervals
+    .map(([start, end]) => `${formatMinutes(start)}–${formatMinutes(end)}`)
+    .join(", ");
+}
+
+/**
+ * Opening hours of a location: whether it's open right now and until when,
+ * and the hours of the current week on demand. Opening hours which can't be
+ * parsed are shown as written.
+ * @param {string} value The opening hours in the OpenStreetMap syntax.
+ */
+export default function OpeningHours({ value }) {
+  const { t, language } = useTranslation();
+  const [expanded, setExpanded] = React.useState(false);
+  const rules = React.useMemo(() => parseOpeningHours(value), [value]);
+  const now = useCurrentTime(!!rules);
+
+  if (!rules) {
+    return (
+      <div className="flex items-center text-gray-600">
+        <ClockIcon className="flex-none h-5 w-5 mr-2" aria-hidden="true" />
+        <div>{value}</div>
+      </div>
+    );
+  }
+
+  const { open, change } = getOpeningState(rules, now);
+  let changeLabel = null;
+  if (change) {
+    const params = {
+      time: change.time,
+      day: weekdayName(change.weekday, language),
+    };
+    const action = open ? "closes" : "opens";
+    changeLabel = t(
+      `openingHours.${action}${change.days ? "On" : "At"}`,
+      params
+    );
+  }
+
+  return (
+    <div className="text-gray-600">
+      <button
+        type="button"
+        className="flex items-center focus:outline-none"
+        onClick={() => setExpanded(!expanded)}
+        aria-expanded={expanded}
+        title={t("openingHours.title")}
+      >
+        <ClockIcon className="flex-none h-5 w-5 mr-2" aria-hidden="true" />
+        <span
+          className={`font-semibold ${open ? "text-green-700" : "text-red-600"}`}
+        >
+          {open ? t("openingHours.openNow") : t("openingHours.closed")}
+        </span>
+        {changeLabel && <span className="ml-1">· {changeLabel}</span>}
+        <ChevronDownIcon
+          className={`flex-none h-5 w-5 ml-1 transform ${
+            expanded ? "rotate-180" : ""
+          }`}
+          aria-hidden="true"
+        />
+      </button>
+      {expanded && (
+        <table className="ml-7 my-1 text-sm">
+          <tbody>
+            {getWeekSchedule(rules, now).map((day) => (
+              <tr
+                key={day.day}
+                className={day.today ? "font-semibold text-black" : ""}
+              >
+                <th
+                  className={`pr-4 text-left ${
+                    day.today ? "font-semibold" : "font-normal"
+                  }`}
+                >
+                  {weekdayName(day.weekday, language)}
+                </th>
+                <td>
+                  {formatIntervals(day.intervals, t)}
+                  {day.holiday && (
+                    <span className="ml-1 text-gray-500">
+                      ({t("openingHours.holiday")})
+                    </span>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
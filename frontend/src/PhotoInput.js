@@ -0,0 +1,103 @@
+import * as React from "react";
+import { CameraIcon, XIcon } from "@heroicons/react/solid";
+
+import { MAX_PHOTOS, PHOTO_MAX_DIMENSION } from "./constants";
+import { useTranslation } from "./i18n";
+import { resizeImage } from "./utils";
+
+/**
+ * Picker for the photos of a location proposal. The photos are scaled down
+ * and stripped of their metadata right away, so only those get uploaded.
+ * @param {array} value The picked photos as `{ blob, url }`, with a preview URL.
+ * @param {function} onChange Callback receiving the new list of photos.
+ */
+export default function PhotoInput({ value, onChange }) {
+  const { t } = useTranslation();
+  const [processing, setProcessing] = React.useState(false);
+  const [error, setError] = React.useState(null);
+
+  // Release the previews once the form is gone
+  const latestValue = React.useRef(value);
+  latestValue.current = value;
+  React.useEffect(
+    () => () =>
+      latestValue.current.forEach((photo) => URL.revokeObjectURL(photo.url)),
+    []
+  );
+
+  async function onSelect(event) {
+    const files = Array.from(event.target.files);
+    event.target.value = "";
+    setError(null);
+
+    const images = files.filter((file) => file.type.startsWith("image/"));
+    const accepted = images.slice(0, MAX_PHOTOS - value.length);
+    if (images.length < files.length) {
+      setError(t("proposal.errors.photoInvalid"));
+    } else if (accepted.length < images.length) {
+      setError(t("proposal.errors.photosTooMany", { count: MAX_PHOTOS }));
+    }
+
+    setProcessing(true);
+    const results = await Promise.allSettled(
+      accepted.map((file) => resizeImage(file, PHOTO_MAX_DIMENSION))
+    );
+    setProcessing(false);
+
+    const photos = results
+      .filter((result) => result.status === "fulfilled")
+      .map(({ value: blob }) => ({ blob, url: URL.createObjectURL(blob) }));
+    if (photos.length < results.length) {
+      setError(t("proposal.errors.photoInvalid"));
+    }
+    onChange([...value, ...photos]);
+  }
+
+  function onRemove(photo) {
+    URL.revokeObjectURL(photo.url);
+    setError(null);
+    onChange(value.filter((other) => other !== photo));
+  }
+
+  return (
+    <div>
+      <div className="flex gap-2">
+        {value.map((photo) => (
+          <div key={photo.url} className="relative w-20 h-20">
+            <img
+              className="w-full h-full object-cover rounded shadow"
+              src={photo.url}
+              alt=""
+            />
+            <button
+              type="button"
+              className="absolute top-0 right-0 m-1 p-0.5 bg-white rounded-full shadow focus:outline-none"
+              onClick={() => onRemove(photo)}
+              aria-label={t("proposal.removePhoto")}
+              title={t("proposal.removePhoto")}
+            >
+              <XIcon className="h-3 w-3" aria-hidden="true" />
+            </button>
+          </div>
+        ))}
+        {value.length < MAX_PHOTOS && (
+          <label className="flex flex-col items-center justify-center w-20 h-20 border-2 border-dashed rounded cursor-pointer text-gray-500 hover:text-black hover:border-gray-400">
+            <CameraIcon className="h-6 w-6" aria-hidden="true" />
+            <span className="text-xs font-semibold uppercase">
+              {processing ? t("common.loading") : t("proposal.addPhoto")}
+            </span>
+            <input
+              className="sr-only"
+              type="file"
+              accept="image/*"
+              multiple
+              disabled={processing}
+              onChange={onSelect}
+            />
+          </label>
+        )}
+      </div>
+      <p className="text-red-500 my-1 text-sm h-4">{error}</p>
+    </div>
+  );
+}
@@ -1,46 +1,210 @@
 import * as React from "react";
-import { Marker } from "react-map-gl";
+import { Layer, Marker } from "react-map-gl";
 
 import { CATEGORY_COLOR_MAP } from "./constants";
+import { pinLayer } from "./layers";
 
 const ICON = `M20.2,15.7L20.2,15.7c1.1-1.6,1.8-3.6,1.8-5.7c0-5.6-4.5-10-10-10S2,4.5,2,10c0,2,0.6,3.9,1.6,5.4c0,0.1,0.1,0.2,0.2,0.3
   c0,0,0.1,0.1,0.1,0.2c0.2,0.3,0.4,0.6,0.7,0.9c2.6,3.1,7.4,7.6,7.4,7.6s4.8-4.5,7.4-7.5c0.2-0.3,0.5-0.6,0.7-0.9
   C20.1,15.8,20.2,15.8,20.2,15.7z`;
 
 const SIZE = 25;
+const CLUSTER_SIZE = 36;
+const SPIDER_RADIUS = 40;
 
 /**
- * Pins for representing POIs across all categories.
- * @param {array} data All locations to be represented by the pins, as GeoJSON features.
+ * Single pin, colored by the category of the location. Inexact locations
+ * get a hollow pin.
+ * @param {object} location The location as GeoJSON feature.
+ * @param {object} style Additional styles for positioning the pin.
+ * @param {function} onClick Callback for a click event on the pin.
+ */
+function PinIcon({ location, style, onClick }) {
+  const { category, inexact_location: inexact } = location.properties;
+  const color = CATEGORY_COLOR_MAP[category?.pk];
+  return (
+    <svg
+      height={SIZE}
+      viewBox="0 0 24 24"
+      style={{
+        cursor: "pointer",
+        fill: inexact ? "#ffffff" : color,
+        stroke: inexact ? color : "none",
+        strokeWidth: 2.5,
+        overflow: "visible",
+        transform: `translate(${-SIZE / 2}px,${-SIZE}px)`,
+        ...style,
+      }}
+      onClick={() => onClick(location)}
+    >
+      <path d={ICON} />
+    </svg>
+  );
+}
+
+/**
+ * Round marker showing the number of locations in a cluster, with a ring
+ * split by the share of each category.
+ * @param {object} cluster The cluster as GeoJSON feature.
+ * @param {boolean} highlighted Whether the cluster is enlarged, because it
+ * contains the location hovered in a list.
+ * @param {function} onClick Callback for a click event on the cluster.
+ */
+function ClusterIcon({ cluster, highlighted, onClick }) {
+  const { point_count: count, categories } = cluster.properties;
+  const size = CLUSTER_SIZE + Math.min(count, 50) / 2;
+  const radius = size / 2 - 3;
+  const circumference = 2 * Math.PI * radius;
+  const centered = `translate(${-size / 2}px,${-size / 2}px)`;
+  const scale = highlighted ? 1.3 : 1;
+
+  let offset = 0;
+  const segments = Object.entries(categories).map(([pk, categoryCount]) => {
+    const length = (categoryCount / count) * circumference;
+    const segment = (
+      <circle
+        key={pk}
+        r={radius}
+        cx={size / 2}
+        cy={size / 2}
+        fill="none"
+        stroke={CATEGORY_COLOR_MAP[pk] || "#6b7280"}
+        strokeWidth={6}
+        strokeDasharray={`${length} ${circumference - length}`}
+        strokeDashoffset={-offset}
+      />
+    );
+    offset += length;
+    return segment;
+  });
+
+  return (
+    <svg
+      width={size}
+      height={size}
+      style={{
+        cursor: "pointer",
+        transform: `${centered} rotate(-90deg) scale(${scale})`,
+        transition: "transform 150ms",
+      }}
+      onClick={() => onClick(cluster)}
+    >
+      <circle r={radius} cx={size / 2} cy={size / 2} fill="white" />
+      {segments}
+      <text
+        x="50%"
+        y="50%"
+        textAnchor="middle"
+        dominantBaseline="central"
+        transform={`rotate(90 ${size / 2} ${size / 2})`}
+        className="text-sm font-semibold"
+      >
+        {count}
+      </text>
+    </svg>
+  );
+}
+
+/**
+ * Locations sharing the same coordinates, fanned out in a circle around
+ * their common position.
+ * @param {object} spider The spiderfied cluster and its locations, as GeoJSON features.
  * @param {function} onClick Callback for a click event on a pin.
  */
-function Pins({ data, onClick }) {
+function Spider({ spider, onClick }) {
+  const { cluster, leaves } = spider;
+  const [lon, lat] = cluster.geometry.coordinates;
+  const radius = SPIDER_RADIUS + leaves.length * 2;
+  const legs = leaves.map((location, index) => {
+    const angle = (2 * Math.PI * index) / leaves.length;
+    return {
+      location,
+      x: Math.round(radius * Math.cos(angle)),
+      y: Math.round(radius * Math.sin(angle)),
+    };
+  });
+
+  return (
+    <Marker longitude={lon} latitude={lat}>
+      <svg
+        width={2 * radius}
+        height={2 * radius}
+        style={{
+          position: "absolute",
+          transform: `translate(${-radius}px,${-radius}px)`,
+          pointerEvents: "none",
+        }}
+      >
+        {legs.map(({ x, y }, index) => (
+          <line
+            key={index}
+            x1={radius}
+            y1={radius}
+            x2={radius + x}
+            y2={radius + y}
+            stroke="#4b5563"
+            strokeWidth={1.5}
+          />
+        ))}
+      </svg>
+      {legs.map(({ location, x, y }, index) => (
+        <PinIcon
+          key={`leg-${index}`}
+          location={location}
+          style={{
+            position: "absolute",
+            transform: `translate(${x - SIZE / 2}px,${y - SIZE}px)`,
+          }}
+          onClick={onClick}
+        />
+      ))}
+    </Marker>
+  );
+}
+
+/**
+ * Pins for representing POIs across all categories. Single locations are drawn
+ * by the pin layer of the surrounding source, while clustered locations are
+ * shown as a single marker with the number of locations it contains.
+ * @param {array} data Clusters and single locations, as GeoJSON features.
+ * @param {object} spider The cluster currently fanned out, if any.
+ * @param {number} highlightedClusterId The id of the cluster to be highlighted.
+ * @param {function} onClick Callback for a click event on a fanned out pin.
+ * @param {function} onClusterClick Callback for a click event on a cluster.
+ */
+function Pins({ data, spider, highlightedClusterId, onClick, onClusterClick }) {
   return React.useMemo(
-    () =>
-      data.map((location, index) => {
-        const [lon, lat] = location.geometry.coordinates;
-        const { category } = location.properties;
-        return (
-          <Marker key={`marker-${index}`} longitude={lon} latitude={lat}>
-            <svg
-              height={SIZE}
-              viewBox="0 0 24 24"
-              style={{
-                cursor: "pointer",
-                fill: CATEGORY_COLOR_MAP[category?.pk],
-                stroke: "none",
-                transform: `translate(${-SIZE / 2}px,${-SIZE}px)`,
-              }}
-              onClick={() => onClick(location)}
-            >
-              <path d={ICON} />
-            </svg>
-          </Marker>
-        );
-      }),
-    [data, onClick]
+    () => (
+      <>
+        <Layer {...pinLayer} />
+        {data
+          .filter((feature) => feature.properties.cluster)
+          .map((cluster) => {
+            const [lon, lat] = cluster.geometry.coordinates;
+            const clusterId = cluster.properties.cluster_id;
+            if (clusterId === spider?.cluster.properties.cluster_id) {
+              return null;
+            }
+            return (
+              <Marker
+                key={`cluster-${clusterId}`}
+                longitude={lon}
+                latitude={lat}
+              >
+                <ClusterIcon
+                  cluster={cluster}
+                  highlighted={clusterId === highlightedClusterId}
+                  onClick={onClusterClick}
+                />
+              </Marker>
+            );
+          })}
+        {spider && <Spider spider={spider} onClick={onClick} />}
+      </>
+    ),
+    [data, spider, highlightedClusterId, onClick, onClusterClick]
   );
 }
 
-// Important for performance: the markers never change, avoid rerender when the map viewport changes
+// Important for performance: the markers only change with the zoom level, avoid rerender when the map viewport changes
 export default React.memo(Pins);
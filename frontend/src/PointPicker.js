@@ -0,0 +1,131 @@
+import * as React from "react";
+import ReactMapGL, { Marker, FlyToInterpolator } from "react-map-gl";
+import { LocationMarkerIcon } from "@heroicons/react/solid";
+
+import { DEFAULT_VIEWPORT, MAPBOX_TOKEN } from "./constants";
+import { useUserPosition } from "./contexts";
+import { useTranslation } from "./i18n";
+
+const SIZE = 32;
+const PICKED_ZOOM = 16;
+
+/**
+ * Small map for marking the exact place of a location, either by clicking
+ * on the map, by dragging the pin or by using the position of the user.
+ * Coordinates set from outside, like geocoding results, are flown to.
+ * @param {array} value The picked coordinates as [longitude, latitude], or null.
+ * @param {function} onChange Callback receiving the new coordinates, or null.
+ */
+export default function PointPicker({ value, onChange }) {
+  const { t } = useTranslation();
+  const [userPosition, setUserPosition] = useUserPosition();
+  const [viewport, setViewport] = React.useState(() =>
+    value
+      ? { longitude: value[0], latitude: value[1], zoom: PICKED_ZOOM }
+      : DEFAULT_VIEWPORT
+  );
+  const [locating, setLocating] = React.useState(false);
+  const [locationFailed, setLocationFailed] = React.useState(false);
+  // Last coordinates picked on this map, which are already in view
+  const picked = React.useRef(value);
+
+  React.useEffect(() => {
+    if (!value || value === picked.current) return;
+    picked.current = value;
+    const [longitude, latitude] = value;
+    setViewport((viewport) => ({
+      ...viewport,
+      longitude,
+      latitude,
+      zoom: Math.max(viewport.zoom, PICKED_ZOOM),
+      transitionDuration: 500,
+      transitionInterpolator: new FlyToInterpolator(),
+    }));
+  }, [value]);
+
+  function choose(coordinates) {
+    picked.current = coordinates;
+    onChange(coordinates);
+  }
+
+  function locateUser() {
+    setLocationFailed(false);
+    if (userPosition) {
+      onChange(userPosition.coordinates);
+      return;
+    }
+    if (!navigator.geolocation) {
+      setLocationFailed(true);
+      return;
+    }
+    setLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => {
+        const coordinates = [coords.longitude, coords.latitude];
+        setLocating(false);
+        setUserPosition({ coordinates, accuracy: coords.accuracy });
+        onChange(coordinates);
+      },
+      () => {
+        setLocating(false);
+        setLocationFailed(true);
+      },
+      { enableHighAccuracy: true }
+    );
+  }
+
+  return (
+    <div>
+      <div className="h-48 rounded overflow-hidden shadow border">
+        <ReactMapGL
+          {...viewport}
+          width="100%"
+          height="100%"
+          onViewportChange={setViewport}
+          onClick={(event) => choose(event.lngLat)}
+          getCursor={({ isDragging }) => (isDragging ? "grabbing" : "crosshair")}
+          mapboxApiAccessToken={MAPBOX_TOKEN}
+        >
+          {value && (
+            <Marker
+              longitude={value[0]}
+              latitude={value[1]}
+              offsetLeft={-SIZE / 2}
+              offsetTop={-SIZE}
+              draggable
+              onDragEnd={(event) => choose(event.lngLat)}
+            >
+              <LocationMarkerIcon
+                className="text-red-600 cursor-move"
+                style={{ width: SIZE, height: SIZE }}
+                aria-hidden="true"
+              />
+            </Marker>
+          )}
+        </ReactMapGL>
+      </div>
+      <div className="flex justify-between gap-2 mt-2 text-xs uppercase font-semibold">
+        <button
+          type="button"
+          className="text-gray-600 hover:text-black focus:outline-none disabled:opacity-50"
+          onClick={locateUser}
+          disabled={locating}
+        >
+          {t("proposal.useMyLocation")}
+        </button>
+        {value && (
+          <button
+            type="button"
+            className="text-gray-600 hover:text-black focus:outline-none"
+            onClick={() => onChange(null)}
+          >
+            {t("proposal.removePoint")}
+          </button>
+        )}
+      </div>
+      <p className="text-gray-500 my-1 text-sm">
+        {locationFailed ? t("nearMe.unavailable") : t("proposal.pointHint")}
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,160 @@
+import * as React from "react";
+import { Link } from "react-router-dom";
+import { ArrowLeftIcon, PrinterIcon } from "@heroicons/react/solid";
+
+import { CATEGORY_COLOR_MAP } from "./constants";
+import { useCategoriesQuery, useLocationsQuery } from "./hooks";
+import { useTranslation } from "./i18n";
+import RichText from "./RichText";
+import { getStaticMapUrl } from "./utils";
+import dcbLogo from "./images/dcbLogo.png";
+
+/**
+ * Contact details of a single location.
+ * @param {object} location The location as GeoJSON feature.
+ */
+function PrintLocation({ location }) {
+  const { name, address, phone, email, website, description } =
+    location.properties;
+  return (
+    <li className="print-avoid-break py-3">
+      <h3 className="font-semibold">{name}</h3>
+      <div className="text-sm text-gray-700">
+        {address && <div>{address}</div>}
+        {phone && <div>{phone}</div>}
+        {email && <div>{email}</div>}
+        {website && <div className="break-all">{website}</div>}
+      </div>
+      {description && <RichText className="mt-1 text-sm" text={description} />}
+    </li>
+  );
+}
+
+/**
+ * Printable version of the guide with all locations grouped by category,
+ * each category starting on a new page with a small overview map.
+ */
+export default function PrintGuide() {
+  const { t, categoryLabel } = useTranslation();
+  const {
+    isLoading: categoryIsLoading,
+    error: categoryError,
+    data: categoryData,
+  } = useCategoriesQuery();
+  const {
+    isLoading: locationIsLoading,
+    error: locationError,
+    data: locationData,
+  } = useLocationsQuery();
+
+  const sections = React.useMemo(() => {
+    if (!categoryData || !locationData) return [];
+    return categoryData
+      .map((category) => ({
+        category,
+        locations: locationData.features
+          .filter(
+            (feature) => feature.properties.category?.pk === category.pk
+          )
+          .sort((a, b) =>
+            a.properties.name.localeCompare(b.properties.name, "ro")
+          ),
+      }))
+      .filter(({ locations }) => locations.length)
+      .map((section) => ({
+        ...section,
+        // Online services and hotlines have no place to be shown on a map
+        mapUrl: getStaticMapUrl(section.locations, 600, 250),
+      }));
+  }, [categoryData, locationData]);
+
+  if (locationIsLoading || categoryIsLoading)
+    return <div>{t("common.loading")}</div>;
+  if (locationError || categoryError)
+    return (
+      <div>
+        {t("common.error", {
+          message: locationError?.message || categoryError?.message,
+        })}
+      </div>
+    );
+
+  return (
+    <div className="max-w-3xl mx-auto p-6">
+      <div className="print-hidden flex justify-between mb-8">
+        <Link
+          to="/"
+          className="flex items-center gap-2 text-sm font-semibold uppercase text-gray-600 hover:text-black"
+        >
+          <ArrowLeftIcon className="h-5 w-5" aria-hidden="true" />
+          {t("print.back")}
+        </Link>
+        <button
+          type="button"
+          onClick={() => window.print()}
+          className="flex items-center gap-2 px-4 py-2 text-sm font-semibold uppercase text-gray-900 bg-gray-100 rounded-md hover:bg-gray-200 focus:outline-none"
+        >
+          <PrinterIcon className="h-5 w-5" aria-hidden="true" />
+          {t("print.print")}
+        </button>
+      </div>
+
+      <header className="flex items-center justify-between gap-8">
+        <h1 className="font-bold text-2xl uppercase whitespace-pre-line">
+          {t("header.title")}
+        </h1>
+        <img className="w-32" alt={t("header.logoAlt")} src={dcbLogo} />
+      </header>
+
+      <nav className="mt-8">
+        <h2 className="font-semibold text-lg uppercase">
+          {t("print.contents")}
+        </h2>
+        <ol className="mt-2 list-decimal list-inside">
+          {sections.map(({ category, locations, mapUrl }) => (
+            <li key={category.pk}>
+              <a href={`#category-${category.name_slug}`}>
+                {categoryLabel(category, true)}
+              </a>{" "}
+              <span className="text-gray-500">({locations.length})</span>
+            </li>
+          ))}
+        </ol>
+      </nav>
+
+      <p className="mt-8 text-sm text-gray-500">{t("disclaimer.text")}</p>
+
+      {sections.map(({ category, locations, mapUrl }) => (
+        <section
+          key={category.pk}
+          id={`category-${category.name_slug}`}
+          className="print-break-before mt-12"
+        >
+          <h2
+            className="font-bold text-xl uppercase border-b-4 pb-1"
+            style={{ borderColor: CATEGORY_COLOR_MAP[category.pk] }}
+          >
+            {categoryLabel(category, true)}
+          </h2>
+          {mapUrl && (
+            <img
+              className="print-avoid-break w-full mt-4"
+              alt={t("print.mapAlt", {
+                category: categoryLabel(category, true),
+              })}
+              src={mapUrl}
+            />
+          )}
+          <ol className="divide-y divide-gray-200">
+            {locations.map((location) => (
+              <PrintLocation
+                key={location.properties.pk}
+                location={location}
+              />
+            ))}
+          </ol>
+        </section>
+      ))}
+    </div>
+  );
+}
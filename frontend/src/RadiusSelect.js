@@ -0,0 +1,39 @@
+import * as React from "react";
+
+import { RADIUS_OPTIONS } from "./constants";
+import { useRadius } from "./contexts";
+import { useTranslation } from "./i18n";
+import { formatDistance } from "./utils";
+
+/**
+ * Buttons for limiting the shown locations to a distance from the user.
+ */
+export default function RadiusSelect() {
+  const [radius, setRadius] = useRadius();
+  const { t, language } = useTranslation();
+  const options = [null, ...RADIUS_OPTIONS];
+
+  return (
+    <div
+      className="flex bg-white shadow-md rounded-l-2xl overflow-hidden text-xs font-semibold"
+      role="group"
+      aria-label={t("nearMe.radius")}
+    >
+      {options.map((option) => (
+        <button
+          key={option || "any"}
+          type="button"
+          onClick={() => setRadius(option)}
+          aria-pressed={option === radius}
+          className={`px-3 py-2 focus:outline-none ${
+            option === radius
+              ? "bg-gray-900 text-white"
+              : "text-gray-600 hover:bg-gray-100"
+          }`}
+        >
+          {option ? formatDistance(option, language) : t("nearMe.anyDistance")}
+        </button>
+      ))}
+    </div>
+  );
+}
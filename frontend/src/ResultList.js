@@ -0,0 +1,134 @@
+import * as React from "react";
+import { ChevronDownIcon, ViewListIcon } from "@heroicons/react/solid";
+
+import { CATEGORY_COLOR_MAP } from "./constants";
+import { useHoveredLocation, useUserPosition } from "./contexts";
+import ExportMenu from "./ExportMenu";
+import { useTranslation } from "./i18n";
+import OnlineDirectory from "./OnlineDirectory";
+import { useLocation } from "./routing";
+import { distanceToUser, formatDistance, isWithinBounds } from "./utils";
+
+/**
+ * Single location in the result list.
+ * @param {object} feature The location as GeoJSON feature.
+ * @param {number} distance The distance to the location in meters, if known.
+ */
+function ResultRow({ feature, distance }) {
+  const [, setLocation] = useLocation();
+  const [hoveredPk, setHoveredPk] = useHoveredLocation();
+  const { categoryLabel, language } = useTranslation();
+  const { pk, name, address, category } = feature.properties;
+
+  return (
+    <li
+      className={`flex items-start gap-3 px-4 py-3 cursor-pointer ${
+        hoveredPk === pk ? "bg-gray-100" : ""
+      }`}
+      onMouseEnter={() => setHoveredPk(pk)}
+      onMouseLeave={() => setHoveredPk(null)}
+      onClick={() => setLocation(feature)}
+    >
+      <span
+        className="flex-none mt-1 h-3 w-3 rounded-full"
+        style={{ backgroundColor: CATEGORY_COLOR_MAP[category?.pk] }}
+        aria-hidden="true"
+      />
+      <div className="flex-grow min-w-0">
+        <div className="font-semibold truncate">{name}</div>
+        <div className="text-sm text-gray-600 truncate">
+          {categoryLabel(category)}
+          {address && ` · ${address}`}
+        </div>
+      </div>
+      {distance !== undefined && (
+        <span className="flex-none text-sm text-gray-500">
+          {formatDistance(distance, language)}
+        </span>
+      )}
+    </li>
+  );
+}
+
+/**
+ * Collapsible list of the locations shown on the map, as a sidebar on large
+ * screens and as a bottom sheet on small ones. Once the user is located,
+ * the distances to the user are shown and the nearest locations come first.
+ * The entries without a place of their own are opened from a directory next
+ * to it.
+ * @param {array} features The filtered locations, as GeoJSON features.
+ * @param {array} onlineFeatures The filtered entries without a place.
+ * @param {object} view The bounds of the visible map area.
+ */
+export default function ResultList({ features, onlineFeatures, view }) {
+  const [isOpen, setIsOpen] = React.useState(false);
+  const [onlyInView, setOnlyInView] = React.useState(false);
+  const [location] = useLocation();
+  const [userPosition] = useUserPosition();
+  const { t } = useTranslation();
+
+  const rows = React.useMemo(() => {
+    const visibleFeatures =
+      onlyInView && view
+        ? features.filter((feature) => isWithinBounds(feature, view.bounds))
+        : features;
+    const rows = visibleFeatures.map((feature) => ({
+      feature,
+      distance: distanceToUser(userPosition, feature),
+    }));
+    if (userPosition) {
+      rows.sort((a, b) => (a.distance ?? Infinity) - (b.distance ?? Infinity));
+    }
+    return rows;
+  }, [features, view, onlyInView, userPosition]);
+
+  return (
+    <div
+      className={`fixed z-20 left-0 bottom-0 w-full md:w-80 md:bottom-10 transition duration-300 delay-100 ease-in-out opacity-${
+        !location ? 100 : 0
+      }`}
+    >
+      <div className="flex gap-1">
+        <button
+          type="button"
+          onClick={() => setIsOpen(!isOpen)}
+          aria-expanded={isOpen}
+          className="flex items-center gap-2 px-4 py-2 bg-white shadow-md cursor-pointer focus:outline-none text-xs uppercase font-semibold text-gray-600 rounded-tr-2xl"
+        >
+          {isOpen ? (
+            <ChevronDownIcon className="h-5 w-5" aria-hidden="true" />
+          ) : (
+            <ViewListIcon className="h-5 w-5" aria-hidden="true" />
+          )}
+          {t("list.toggle", { count: rows.length })}
+        </button>
+        <ExportMenu features={features} />
+        <OnlineDirectory features={onlineFeatures} />
+      </div>
+      {isOpen && (
+        <div className="flex flex-col bg-white shadow-lg max-h-1/2-screen md:max-h-2/3-screen">
+          <label className="flex items-center gap-2 px-4 py-2 text-sm text-gray-600 border-b border-gray-200">
+            <input
+              type="checkbox"
+              checked={onlyInView}
+              onChange={(e) => setOnlyInView(e.target.checked)}
+            />
+            {t("list.onlyInView")}
+          </label>
+          <ul className="overflow-y-auto divide-y divide-gray-200">
+            {rows.map(({ feature, distance }) => (
+              <ResultRow
+                key={feature.properties.pk}
+                feature={feature}
+                distance={distance}
+              />
+            ))}
+          </ul>
+          {!rows.length && (
+            <p className="px-4 py-3 text-sm text-gray-600">{t("list.empty")}</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
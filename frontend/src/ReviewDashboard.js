@@ -0,0 +1,415 @@
+import * as React from "react";
+import { Link } from "react-router-dom";
+import { useQuery, useQueryClient } from "react-query";
+import { Formik, Field, Form } from "formik";
+import { ArrowLeftIcon, LogoutIcon } from "@heroicons/react/solid";
+
+import { ENDPOINTS } from "./constants";
+import { useCategoriesQuery, useLocationsQuery } from "./hooks";
+import { useTranslation } from "./i18n";
+import PointPicker from "./PointPicker";
+import { fetchAuthenticated, fetchReviewToken } from "./utils";
+
+const TOKEN_STORAGE_KEY = "reviewToken";
+
+const BUTTON_CLASSES =
+  "inline-flex justify-center px-4 py-2 text-sm font-semibold text-gray-900 border border-transparent rounded-md focus:outline-none focus-visible:ring-2 focus-visible:ring-offset-2 focus-visible:ring-gray-500 disabled:opacity-50";
+
+/**
+ * Login form for reviewers, exchanging their credentials for a token.
+ * @param {function} onLogin Callback receiving the token.
+ */
+function LoginForm({ onLogin }) {
+  const { t } = useTranslation();
+
+  async function handleSubmit({ username, password }, { setStatus }) {
+    try {
+      const token = await fetchReviewToken(username, password);
+      if (token) {
+        onLogin(token);
+      } else {
+        setStatus(t("review.loginInvalid"));
+      }
+    } catch (error) {
+      setStatus(t("common.error", { message: error.message }));
+    }
+  }
+
+  return (
+    <Formik
+      initialValues={{ username: "", password: "" }}
+      onSubmit={handleSubmit}
+    >
+      {({ isSubmitting, status }) => (
+        <Form className="max-w-sm mx-auto mt-16 p-6 bg-white shadow-xl rounded-2xl">
+          <h1 className="text-lg font-semibold mb-6">{t("review.login")}</h1>
+          <label className="block text-gray-700 text-sm mb-2 font-semibold" htmlFor="username">
+            {t("review.username")}
+          </label>
+          <Field
+            className="shadow appearance-none border rounded w-full py-2 px-3 mb-4 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+            name="username"
+            id="username"
+            autoComplete="username"
+            required
+          />
+          <label className="block text-gray-700 text-sm mb-2 font-semibold" htmlFor="password">
+            {t("review.password")}
+          </label>
+          <Field
+            className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+            name="password"
+            id="password"
+            type="password"
+            autoComplete="current-password"
+            required
+          />
+          <p className="text-red-500 my-2 text-sm h-4">{status}</p>
+          <button
+            type="submit"
+            disabled={isSubmitting}
+            className={`${BUTTON_CLASSES} mt-4 bg-green-100 hover:bg-green-200`}
+          >
+            {t("review.loginButton")}
+          </button>
+        </Form>
+      )}
+    </Formik>
+  );
+}
+
+/**
+ * A single submitted location, with its category and point editable and
+ * the actions for approving, rejecting or merging it.
+ * @param {object} location The submitted location as GeoJSON feature.
+ * @param {string} token The token of the reviewer.
+ * @param {function} onDone Callback for when the submission has been handled.
+ * @param {function} onUnauthorized Callback for an expired token.
+ */
+function ReviewItem({ location, token, onDone, onUnauthorized }) {
+  const { t, categoryLabel } = useTranslation();
+  const { data: categories } = useCategoriesQuery();
+  const { data: locationData } = useLocationsQuery();
+  const {
+    pk,
+    name,
+    address,
+    description,
+    website,
+    email,
+    phone,
+    opening_hours: openingHours,
+    photos,
+    possible_duplicate_of: possibleDuplicateOf,
+  } = location.properties;
+  const [category, setCategory] = React.useState(
+    String(location.properties.category ?? "")
+  );
+  const [point, setPoint] = React.useState(
+    location.geometry?.coordinates ?? null
+  );
+  const [mergeInto, setMergeInto] = React.useState(
+    String(possibleDuplicateOf ?? "")
+  );
+  const [busy, setBusy] = React.useState(false);
+  const [message, setMessage] = React.useState(null);
+
+  const publishedLocations = React.useMemo(
+    () =>
+      [...locationData.features].sort((a, b) =>
+        a.properties.name.localeCompare(b.properties.name, "ro")
+      ),
+    [locationData]
+  );
+  const duplicate = publishedLocations.find(
+    (feature) => feature.properties.pk === possibleDuplicateOf
+  );
+
+  const url = `${ENDPOINTS.REVIEW_LOCATIONS}${pk}/`;
+
+  /**
+   * Runs the requests of a review action, showing their errors.
+   * @param {function} action The requests to be made.
+   * @param {function} finish Called once done, when the item leaves the list.
+   */
+  async function run(action, finish) {
+    setBusy(true);
+    setMessage(null);
+    try {
+      await action();
+    } catch (error) {
+      if (error.status === 401 || error.status === 403) {
+        onUnauthorized();
+        return;
+      }
+      setMessage(t("common.error", { message: error.message }));
+      setBusy(false);
+      return;
+    }
+    if (finish) {
+      // The item is unmounted, so there's no state left to update
+      finish();
+      return;
+    }
+    setBusy(false);
+  }
+
+  const save = () =>
+    fetchAuthenticated(url, token, {
+      method: "PATCH",
+      body: {
+        category: category || null,
+        point: point && { type: "Point", coordinates: point },
+      },
+    });
+
+  const approve = () =>
+    run(
+      async () => {
+        await save();
+        await fetchAuthenticated(`${url}approve/`, token, { method: "POST" });
+      },
+      () => onDone(true)
+    );
+
+  const reject = () => {
+    if (!window.confirm(t("review.rejectConfirm", { name }))) return;
+    run(
+      () => fetchAuthenticated(url, token, { method: "DELETE" }),
+      () => onDone(false)
+    );
+  };
+
+  const merge = () =>
+    run(
+      () =>
+        fetchAuthenticated(`${url}merge/`, token, {
+          method: "POST",
+          body: { into: Number(mergeInto) },
+        }),
+      () => onDone(true)
+    );
+
+  const geocode = () =>
+    run(async () => {
+      await save();
+      const { coordinates } = await fetchAuthenticated(`${url}geocode/`, token);
+      if (coordinates) {
+        setPoint(coordinates);
+      } else {
+        setMessage(t("review.geocodeFailed"));
+      }
+    });
+
+  return (
+    <li className="grid gap-6 md:grid-cols-2 p-6 bg-white shadow rounded-2xl">
+      <div>
+        <h2 className="text-lg font-bold">{name}</h2>
+        <dl className="mt-2 text-sm text-gray-700">
+          {[
+            ["address", address],
+            ["phone", phone],
+            ["email", email],
+            ["website", website],
+            ["opening_hours", openingHours],
+          ]
+            .filter(([, value]) => value)
+            .map(([field, value]) => (
+              <div key={field} className="flex gap-2">
+                <dt className="font-semibold">
+                  {t(`correction.fields.${field}`)}:
+                </dt>
+                <dd className="break-all">{value}</dd>
+              </div>
+            ))}
+        </dl>
+        {description && (
+          <p className="mt-2 text-sm whitespace-pre-line">{description}</p>
+        )}
+        {!!photos.length && (
+          <div className="flex gap-2 mt-4">
+            {photos.map((photo) => (
+              <a key={photo.pk} href={photo.image} target="_blank" rel="noreferrer">
+                <img
+                  className="w-24 h-24 object-cover rounded shadow"
+                  src={photo.image}
+                  alt=""
+                />
+              </a>
+            ))}
+          </div>
+        )}
+        {duplicate && (
+          <p className="mt-4 p-2 text-sm bg-yellow-50 rounded">
+            {t("review.possibleDuplicate", { name: duplicate.properties.name })}
+          </p>
+        )}
+        <label className="block mt-4 text-gray-700 text-sm mb-2 font-semibold" htmlFor={`category-${pk}`}>
+          {t("review.category")}
+        </label>
+        <select
+          id={`category-${pk}`}
+          className="shadow border rounded w-full py-2 px-3 text-gray-700 bg-white focus:outline-none focus:shadow-outline"
+          value={category}
+          onChange={(event) => setCategory(event.target.value)}
+        >
+          <option value="">{t("review.noCategory")}</option>
+          {categories.map((item) => (
+            <option key={item.pk} value={item.pk}>
+              {categoryLabel(item)}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div>
+        <PointPicker value={point} onChange={setPoint} />
+        <button
+          type="button"
+          disabled={busy || !address}
+          onClick={geocode}
+          className="mt-2 text-xs uppercase font-semibold text-gray-600 hover:text-black focus:outline-none disabled:opacity-50"
+        >
+          {t("review.geocode")}
+        </button>
+      </div>
+
+      <div className="md:col-span-2 flex flex-wrap items-center gap-2">
+        <button
+          type="button"
+          disabled={busy}
+          onClick={approve}
+          className={`${BUTTON_CLASSES} bg-green-100 hover:bg-green-200`}
+        >
+          {t("review.approve")}
+        </button>
+        <button
+          type="button"
+          disabled={busy}
+          onClick={reject}
+          className={`${BUTTON_CLASSES} bg-red-100 hover:bg-red-200`}
+        >
+          {t("review.reject")}
+        </button>
+        <select
+          aria-label={t("review.mergeInto")}
+          className="ml-auto shadow border rounded py-2 px-3 text-sm text-gray-700 bg-white max-w-xs focus:outline-none focus:shadow-outline"
+          value={mergeInto}
+          onChange={(event) => setMergeInto(event.target.value)}
+        >
+          <option value="">{t("review.mergeInto")}</option>
+          {publishedLocations.map((feature) => (
+            <option key={feature.properties.pk} value={feature.properties.pk}>
+              {feature.properties.name}
+            </option>
+          ))}
+        </select>
+        <button
+          type="button"
+          disabled={busy || !mergeInto}
+          onClick={merge}
+          className={`${BUTTON_CLASSES} bg-gray-100 hover:bg-gray-200`}
+        >
+          {t("review.merge")}
+        </button>
+        {message && (
+          <p className="w-full text-red-500 text-sm font-semibold">{message}</p>
+        )}
+      </div>
+    </li>
+  );
+}
+
+/**
+ * Area for reviewers working through the submitted locations. Reviewers log
+ * in with their account of the admin, the token is kept in local storage.
+ */
+export default function ReviewDashboard() {
+  const { t } = useTranslation();
+  const queryClient = useQueryClient();
+  const [token, setToken] = React.useState(() =>
+    window.localStorage.getItem(TOKEN_STORAGE_KEY)
+  );
+
+  const { isLoading, error, data } = useQuery(
+    ["review", token],
+    () => fetchAuthenticated(ENDPOINTS.REVIEW_LOCATIONS, token),
+    { enabled: !!token, retry: false }
+  );
+
+  function login(newToken) {
+    window.localStorage.setItem(TOKEN_STORAGE_KEY, newToken);
+    setToken(newToken);
+  }
+
+  const logout = React.useCallback(() => {
+    window.localStorage.removeItem(TOKEN_STORAGE_KEY);
+    setToken(null);
+  }, []);
+
+  React.useEffect(() => {
+    if (error?.status === 401 || error?.status === 403) {
+      logout();
+    }
+  }, [error, logout]);
+
+  function onDone(published) {
+    queryClient.invalidateQueries("review");
+    if (published) {
+      queryClient.invalidateQueries("locations");
+    }
+  }
+
+  if (!token) return <LoginForm onLogin={login} />;
+
+  let content;
+  if (isLoading) {
+    content = <p>{t("common.loading")}</p>;
+  } else if (error) {
+    content = <p>{t("common.error", { message: error.message })}</p>;
+  } else if (!data.features.length) {
+    content = <p className="text-gray-600">{t("review.empty")}</p>;
+  } else {
+    content = (
+      <ul className="flex flex-col gap-6">
+        {data.features.map((location) => (
+          <ReviewItem
+            key={location.properties.pk}
+            location={location}
+            token={token}
+            onDone={onDone}
+            onUnauthorized={logout}
+          />
+        ))}
+      </ul>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <div className="max-w-5xl mx-auto p-6">
+        <header className="flex items-center justify-between gap-4 mb-8">
+          <Link
+            to="/"
+            className="flex items-center gap-2 text-sm font-semibold uppercase text-gray-600 hover:text-black"
+          >
+            <ArrowLeftIcon className="h-5 w-5" aria-hidden="true" />
+            {t("print.back")}
+          </Link>
+          <h1 className="text-xl font-bold uppercase">
+            {t("review.title", { count: data?.features.length ?? 0 })}
+          </h1>
+          <button
+            type="button"
+            onClick={logout}
+            className="flex items-center gap-2 text-sm font-semibold uppercase text-gray-600 hover:text-black focus:outline-none"
+          >
+            <LogoutIcon className="h-5 w-5" aria-hidden="true" />
+            {t("review.logout")}
+          </button>
+        </header>
+        {content}
+      </div>
+    </div>
+  );
+}
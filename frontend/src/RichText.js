@@ -0,0 +1,70 @@
+import * as React from "react";
+
+import { parseMarkdown } from "./markdown";
+
+/**
+ * Renders the spans of a line, opening web links in a new tab without giving
+ * the opened page access to the guide.
+ * @param {array} spans The spans as `{ text, bold, href }`.
+ */
+function Spans({ spans }) {
+  return spans.map(({ text, bold, href }, index) => {
+    let content = bold ? <strong>{text}</strong> : text;
+    if (href) {
+      const external = /^https?:/.test(href);
+      content = (
+        <a
+          href={href}
+          className="text-blue-600 break-words"
+          {...(external && { target: "_blank", rel: "noopener noreferrer" })}
+        >
+          {content}
+        </a>
+      );
+    }
+    return <React.Fragment key={index}>{content}</React.Fragment>;
+  });
+}
+
+/**
+ * Description of a location written in lightweight Markdown, with
+ * paragraphs, lists, bold text and links.
+ * @param {string} text The description.
+ * @param {string} className Classes of the surrounding element.
+ */
+export default function RichText({ text, className = "" }) {
+  const blocks = React.useMemo(() => parseMarkdown(text), [text]);
+
+  return (
+    <div className={`space-y-2 ${className}`}>
+      {blocks.map((block, index) => {
+        if (block.type === "list") {
+          const List = block.ordered ? "ol" : "ul";
+          return (
+            <List
+              key={index}
+              start={block.ordered ? block.start : undefined}
+              className={`pl-6 ${block.ordered ? "list-decimal" : "list-disc"}`}
+            >
+              {block.items.map((spans, itemIndex) => (
+                <li key={itemIndex}>
+                  <Spans spans={spans} />
+                </li>
+              ))}
+            </List>
+          );
+        }
+        return (
+          <p key={index}>
+            {block.lines.map((spans, lineIndex) => (
+              <React.Fragment key={lineIndex}>
+                {lineIndex > 0 && <br />}
+                <Spans spans={spans} />
+              </React.Fragment>
+            ))}
+          </p>
+        );
+      })}
+    </div>
+  );
+}
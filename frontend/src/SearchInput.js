@@ -2,32 +2,156 @@ import * as React from "react";
 import {
   SearchIcon,
 } from "@heroicons/react/solid";
-import { useQueryClient } from "react-query";
-import { fetchLocations, useQueryParams } from "./utils";
-import { useSearchPhrase } from "./contexts";
 
+import { CATEGORY_COLOR_MAP } from "./constants";
+import { useSearchPhrase, useUserPosition } from "./contexts";
+import { useTranslation } from "./i18n";
+import { useLocation } from "./routing";
+import { splitMatches } from "./search";
+import { distanceToUser, formatDistance } from "./utils";
 
-export default function SearchInput() {
+const MAX_SUGGESTIONS = 8;
+
+/**
+ * Text with the parts matching the search query in bold.
+ * @param {string} text The text to be shown.
+ * @param {string} query The search query.
+ */
+function Highlight({ text, query }) {
+  return splitMatches(text, query).map((part, index) =>
+    part.match ? (
+      <mark key={index} className="bg-transparent font-bold text-gray-900">
+        {part.text}
+      </mark>
+    ) : (
+      <React.Fragment key={index}>{part.text}</React.Fragment>
+    )
+  );
+}
+
+/**
+ * Search box with a list of matching locations below it. The list can be
+ * navigated with the arrow keys, choosing a result opens its details.
+ * @param {object} searchIndex The search index over all locations.
+ */
+export default function SearchInput({ searchIndex }) {
   const [searchPhrase, setSearchPhrase] = useSearchPhrase();
-  const queryClient = useQueryClient()
+  const [, setLocation] = useLocation();
+  const [userPosition] = useUserPosition();
+  const { t, categoryLabel, language } = useTranslation();
+  const [isOpen, setIsOpen] = React.useState(false);
+  const [activeIndex, setActiveIndex] = React.useState(0);
 
-  React.useEffect(() => {
-    queryClient.invalidateQueries("locations")
-    console.log(searchPhrase)
-  }, [searchPhrase])
+  const results = React.useMemo(
+    () => searchIndex.search(searchPhrase || "", MAX_SUGGESTIONS),
+    [searchIndex, searchPhrase]
+  );
 
   function onChange(e) {
     setSearchPhrase(e.target.value);
+    setActiveIndex(0);
+    setIsOpen(true);
     e.preventDefault();
   };
+
+  function choose(feature) {
+    setLocation(feature);
+    setIsOpen(false);
+  }
+
+  function onKeyDown(e) {
+    if ((e.key === "ArrowDown" || e.key === "ArrowUp") && !results.length) {
+      return;
+    }
+    if ((e.key === "ArrowDown" || e.key === "ArrowUp") && !isOpen) {
+      // Opening the list shows the active result, starting with the first
+      setIsOpen(true);
+    } else if (e.key === "ArrowDown") {
+      setActiveIndex((activeIndex + 1) % results.length);
+    } else if (e.key === "ArrowUp") {
+      setActiveIndex((activeIndex - 1 + results.length) % results.length);
+    } else if (e.key === "Enter" && isOpen && results[activeIndex]) {
+      choose(results[activeIndex].feature);
+    } else if (e.key === "Escape") {
+      setIsOpen(false);
+    } else {
+      return;
+    }
+    e.preventDefault();
+  }
+
+  const showResults = isOpen && results.length > 0;
+
 	return (
-    <div className="flex fixed right-0 bottom-36 p-2 text-left bg-white shadow-md focus:outline-none focus-visible:ring-2 focus-visible:ring-opacity-75 focus-visible:ring-white focus-visible:ring-offset-orange-300 focus-visible:ring-offset-2 focus-visible:border-indigo-500 text-md rounded-l-2xl">
-      <SearchIcon className="flex-none h-5 w-5 mr-2 text-gray-600" />
-      <input
-        type="text"
-        value={searchPhrase}
-        onChange={onChange}
-      />
+    <div className="fixed right-0 bottom-36">
+      <div className="flex p-2 text-left bg-white shadow-md focus:outline-none focus-visible:ring-2 focus-visible:ring-opacity-75 focus-visible:ring-white focus-visible:ring-offset-orange-300 focus-visible:ring-offset-2 focus-visible:border-indigo-500 text-md rounded-l-2xl">
+        <SearchIcon className="flex-none h-5 w-5 mr-2 text-gray-600" />
+        <input
+          type="text"
+          value={searchPhrase || ""}
+          onChange={onChange}
+          onKeyDown={onKeyDown}
+          onFocus={() => setIsOpen(true)}
+          onBlur={() => setIsOpen(false)}
+          placeholder={t("search.placeholder")}
+          aria-label={t("search.label")}
+          role="combobox"
+          aria-expanded={showResults}
+          aria-controls="search-results"
+          aria-autocomplete="list"
+          aria-activedescendant={
+            showResults ? `search-result-${activeIndex}` : undefined
+          }
+        />
+      </div>
+      {showResults && (
+        <ul
+          id="search-results"
+          role="listbox"
+          className="absolute right-0 bottom-full mb-2 w-72 max-h-80 overflow-auto py-1 bg-white shadow-lg ring-1 ring-black ring-opacity-5 rounded-l-2xl text-sm"
+        >
+          {results.map(({ feature }, index) => {
+            const { pk, name, address, category } = feature.properties;
+            const distance = distanceToUser(userPosition, feature);
+            return (
+              <li
+                key={pk}
+                id={`search-result-${index}`}
+                role="option"
+                aria-selected={index === activeIndex}
+                className={`flex gap-2 px-4 py-2 cursor-pointer ${
+                  index === activeIndex ? "bg-gray-100" : ""
+                }`}
+                onMouseEnter={() => setActiveIndex(index)}
+                // Prevent the blur of the input before the click is handled
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => choose(feature)}
+              >
+                <span
+                  className="flex-none mt-1 h-3 w-3 rounded-full"
+                  style={{ backgroundColor: CATEGORY_COLOR_MAP[category?.pk] }}
+                  aria-hidden="true"
+                />
+                <div className="flex-grow text-gray-600">
+                  <div>
+                    <Highlight text={name} query={searchPhrase} />
+                  </div>
+                  <div className="text-xs">
+                    {categoryLabel(category)}
+                    {address && " · "}
+                    {address && <Highlight text={address} query={searchPhrase} />}
+                  </div>
+                </div>
+                {distance !== undefined && (
+                  <span className="flex-none text-xs text-gray-500">
+                    {formatDistance(distance, language)}
+                  </span>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
     </div>
   )
 }
@@ -0,0 +1,74 @@
+import { fireEvent, render, screen } from "@testing-library/react";
+import { MemoryRouter } from "react-router-dom";
+import { QueryClient, QueryClientProvider } from "react-query";
+
+import SearchInput from "./SearchInput";
+import {
+  LanguageProvider,
+  SearchPhraseProvider,
+  UserPositionProvider,
+} from "./contexts";
+import { createSearchIndex } from "./search";
+
+const category = { pk: 1, name_slug: "food", label_singular: "Magazin" };
+const features = ["Magazin unu", "Magazin doi", "Magazin trei"].map(
+  (name, index) => ({
+    type: "Feature",
+    geometry: { type: "Point", coordinates: [13.4, 52.5] },
+    properties: { pk: index + 1, name, category },
+  })
+);
+
+function renderSearchInput() {
+  const queryClient = new QueryClient();
+  queryClient.setQueryData("locations", { features });
+  const searchIndex = createSearchIndex(features, () => []);
+  render(
+    <QueryClientProvider client={queryClient}>
+      <MemoryRouter>
+        <LanguageProvider>
+          <SearchPhraseProvider>
+            <UserPositionProvider>
+              <SearchInput searchIndex={searchIndex} />
+            </UserPositionProvider>
+          </SearchPhraseProvider>
+        </LanguageProvider>
+      </MemoryRouter>
+    </QueryClientProvider>
+  );
+  return screen.getByRole("combobox");
+}
+
+const activeResult = (input) => input.getAttribute("aria-activedescendant");
+
+describe("SearchInput", () => {
+  test("moves through the results with the arrow keys", () => {
+    const input = renderSearchInput();
+    fireEvent.change(input, { target: { value: "magazin" } });
+    expect(activeResult(input)).toBe("search-result-0");
+    fireEvent.keyDown(input, { key: "ArrowDown" });
+    expect(activeResult(input)).toBe("search-result-1");
+    fireEvent.keyDown(input, { key: "ArrowUp" });
+    fireEvent.keyDown(input, { key: "ArrowUp" });
+    expect(activeResult(input)).toBe("search-result-2");
+  });
+
+  test("opens a closed list at the first result", () => {
+    const input = renderSearchInput();
+    fireEvent.change(input, { target: { value: "magazin" } });
+    fireEvent.keyDown(input, { key: "Escape" });
+    expect(screen.queryByRole("listbox")).toBeNull();
+
+    fireEvent.keyDown(input, { key: "ArrowDown" });
+    expect(screen.getByRole("listbox")).toBeInTheDocument();
+    expect(activeResult(input)).toBe("search-result-0");
+  });
+
+  test("ignores the arrow keys without results", () => {
+    const input = renderSearchInput();
+    fireEvent.change(input, { target: { value: "consulat" } });
+    fireEvent.keyDown(input, { key: "ArrowDown" });
+    expect(screen.queryByRole("listbox")).toBeNull();
+    expect(activeResult(input)).toBeNull();
+  });
+});
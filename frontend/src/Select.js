@@ -1,41 +1,99 @@
 import * as React from "react";
-import { Fragment, useState } from "react";
-import { Listbox, Transition } from "@headlessui/react";
-import { LocationMarkerIcon, MapIcon } from "@heroicons/react/solid";
+import { Fragment } from "react";
+import { Popover, Transition } from "@headlessui/react";
+import {
+  LocationMarkerIcon,
+  MapIcon,
+  ShareIcon,
+  StarIcon,
+} from "@heroicons/react/solid";
 
 import { CATEGORY_COLOR_MAP } from "./constants";
-import { useCategory } from "./contexts";
+import { useFavorites } from "./contexts";
+import { encodeFavorites } from "./favorites";
+import { useClipboard } from "./hooks";
+import { useTranslation } from "./i18n";
+import { IMPORT_PARAM, useCategories, useSavedFilter } from "./routing";
 
-export default function Select({ data }) {
-  const categories = [{ pk: 0, label_plural: "Toate Categoriile" }, ...data];
-  const [category, setCategory] = useCategory();
-  const [selected, setSelected] = useState(category || categories[0]);
-  React.useEffect(() => category && setSelected(category), [category]);
-  function onChange(item) {
-    setCategory(item);
-    setSelected(item);
+/**
+ * Picker for the categories shown on the map. Several categories can be
+ * selected at once, each one showing the number of matching locations.
+ * On top, the map can be limited to the locations saved by the user, whose
+ * list can be shared as link.
+ * @param {array} data All categories.
+ * @param {object} counts Number of matching locations per category pk.
+ * @param {number} savedCount Number of matching saved locations.
+ */
+export default function Select({ data, counts, savedCount }) {
+  const { t, categoryLabel } = useTranslation();
+  const [categories, setCategories] = useCategories();
+  const [savedOnly, setSavedOnly] = useSavedFilter();
+  const [favorites] = useFavorites();
+  const { copied, copy } = useClipboard();
+  const selectedPks = (categories || data).map((category) => category.pk);
+
+  async function onShare() {
+    const url = `${window.location.origin}/?${IMPORT_PARAM}=${encodeFavorites(
+      favorites
+    )}`;
+    if (navigator.share) {
+      try {
+        await navigator.share({ title: t("favorites.shareTitle"), url });
+      } catch (error) {
+        // Closing the share sheet rejects as well
+      }
+      return;
+    }
+    if (!(await copy(url))) {
+      window.prompt(t("favorites.copyPrompt"), url);
+    }
+  }
+
+  function onToggle(item) {
+    const newCategories = selectedPks.includes(item.pk)
+      ? data.filter(
+          (category) =>
+            category.pk !== item.pk && selectedPks.includes(category.pk)
+        )
+      : data.filter(
+          (category) =>
+            category.pk === item.pk || selectedPks.includes(category.pk)
+        );
+    // Having every category selected is the same as not filtering at all
+    setCategories(newCategories.length === data.length ? null : newCategories);
+  }
+
+  let buttonLabel = t("categories.all");
+  if (savedOnly) {
+    buttonLabel = t("favorites.saved");
+  } else if (categories?.length === 1) {
+    buttonLabel = categoryLabel(categories[0], true);
+  } else if (categories) {
+    buttonLabel = t("categories.selected", { count: categories.length });
   }
 
   return (
-    <Listbox value={selected} onChange={onChange}>
+    <Popover>
       {({ open }) => (
         <div className="mt-1">
-          <Listbox.Button className="relative w-56 py-4 pl-6 pr-10 text-left bg-white shadow-md cursor-pointer focus:outline-none focus-visible:ring-2 focus-visible:ring-opacity-75 focus-visible:ring-white focus-visible:ring-offset-orange-300 focus-visible:ring-offset-2 focus-visible:border-indigo-500 sm:text-sm rounded-l-2xl">
+          <Popover.Button className="relative w-56 py-4 pl-6 pr-10 text-left bg-white shadow-md cursor-pointer focus:outline-none focus-visible:ring-2 focus-visible:ring-opacity-75 focus-visible:ring-white focus-visible:ring-offset-orange-300 focus-visible:ring-offset-2 focus-visible:border-indigo-500 sm:text-sm rounded-l-2xl">
             <span className="truncate uppercase text-sm font-semibold pl-4">
-              {selected.label_plural}
+              {buttonLabel}
             </span>
             <span className="absolute inset-y-0 left-0 flex items-center pl-3">
-              {selected.pk !== 0 ? (
+              {savedOnly ? (
+                <StarIcon className="w-5 h-5 text-yellow-400" aria-hidden="true" />
+              ) : categories?.length === 1 ? (
                 <LocationMarkerIcon
                   className="w-5 h-5"
                   aria-hidden="true"
-                  style={{ color: CATEGORY_COLOR_MAP[selected.pk] }}
+                  style={{ color: CATEGORY_COLOR_MAP[categories[0].pk] }}
                 />
               ) : (
                 <MapIcon className="w-5 h-5 text-gray-700" aria-hidden="true" />
               )}
             </span>
-          </Listbox.Button>
+          </Popover.Button>
           <Transition
             as={Fragment}
             show={open}
@@ -43,43 +101,82 @@ export default function Select({ data }) {
             leaveFrom="translate-x-0"
             leaveTo="translate-x-full"
           >
-            <Listbox.Options className="fixed bottom-20 py-1 mt-1 overflow-auto text-base bg-white shadow-lg max-h-90 z-20 ring-1 ring-black ring-opacity-5 focus:outline-none sm:text-sm rounded-l-2xl">
-              {categories.map((item, itemIdx) => (
-                <Listbox.Option
-                  key={itemIdx}
-                  className={({ selected, active }) =>
-                    `${
-                      selected || active
-                        ? "text-black bg-gray-100"
-                        : "text-gray-500"
-                    }
-                            cursor-pointer select-none relative py-2 pl-10 pr-4`
-                  }
-                  value={item}
+            <Popover.Panel
+              static
+              className="fixed right-0 bottom-20 py-1 mt-1 overflow-auto text-base bg-white shadow-lg max-h-2/3-screen z-20 ring-1 ring-black ring-opacity-5 focus:outline-none sm:text-sm rounded-l-2xl"
+            >
+              <div className="flex gap-2 px-4 py-2 border-b border-gray-200 text-xs uppercase font-semibold">
+                <button
+                  type="button"
+                  className="text-gray-600 hover:text-black focus:outline-none"
+                  onClick={() => setCategories(null)}
+                >
+                  {t("categories.selectAll")}
+                </button>
+                <span className="text-gray-300">|</span>
+                <button
+                  type="button"
+                  className="text-gray-600 hover:text-black focus:outline-none"
+                  onClick={() => setCategories([])}
+                >
+                  {t("categories.selectNone")}
+                </button>
+              </div>
+              <div className="flex items-center border-b border-gray-200 hover:bg-gray-100">
+                <label className="flex flex-grow items-center gap-3 cursor-pointer select-none py-2 pl-4 pr-4 text-gray-500 hover:text-black">
+                  <input
+                    type="checkbox"
+                    checked={savedOnly}
+                    onChange={() => setSavedOnly(!savedOnly)}
+                  />
+                  <StarIcon
+                    className="flex-none w-5 h-5 text-yellow-400"
+                    aria-hidden="true"
+                  />
+                  <span className="flex-grow uppercase text-sm font-semibold">
+                    {t("favorites.saved")}
+                  </span>
+                  <span className="text-xs font-semibold">{savedCount}</span>
+                </label>
+                {!!favorites.length && (
+                  <button
+                    type="button"
+                    className="flex items-center gap-1 pr-4 text-xs uppercase font-semibold text-gray-600 hover:text-black focus:outline-none"
+                    onClick={onShare}
+                    title={t("favorites.share")}
+                  >
+                    <ShareIcon className="w-4 h-4" aria-hidden="true" />
+                    {copied ? t("favorites.copied") : t("favorites.share")}
+                  </button>
+                )}
+              </div>
+              {data.map((item) => (
+                <label
+                  key={item.pk}
+                  className="flex items-center gap-3 cursor-pointer select-none py-2 pl-4 pr-4 text-gray-500 hover:text-black hover:bg-gray-100"
                 >
-                  <span className="uppercase text-sm font-semibold">
-                    {item.label_plural}
+                  <input
+                    type="checkbox"
+                    checked={selectedPks.includes(item.pk)}
+                    onChange={() => onToggle(item)}
+                  />
+                  <LocationMarkerIcon
+                    className="flex-none w-5 h-5"
+                    aria-hidden="true"
+                    style={{ color: CATEGORY_COLOR_MAP[item.pk] }}
+                  />
+                  <span className="flex-grow uppercase text-sm font-semibold">
+                    {categoryLabel(item, true)}
                   </span>
-                  <span className="absolute inset-y-0 left-0 flex items-center pl-3">
-                    {item.pk !== 0 ? (
-                      <LocationMarkerIcon
-                        className="w-5 h-5"
-                        aria-hidden="true"
-                        style={{ color: CATEGORY_COLOR_MAP[item.pk] }}
-                      />
-                    ) : (
-                      <MapIcon
-                        className="w-5 h-5 text-gray-700"
-                        aria-hidden="true"
-                      />
-                    )}
+                  <span className="text-xs font-semibold">
+                    {counts[item.pk] || 0}
                   </span>
-                </Listbox.Option>
+                </label>
               ))}
-            </Listbox.Options>
+            </Popover.Panel>
           </Transition>
         </div>
       )}
-    </Listbox>
+    </Popover>
   );
 }
@@ -0,0 +1,56 @@
+import * as React from "react";
+
+import { useTranslation } from "./i18n";
+import { formatDuration } from "./utils";
+
+/**
+ * Upload progress and outcome of a form submission, as tracked by
+ * `useFormSubmission`.
+ * @param {object} submission The state of the submission.
+ * @param {function} onRetry Callback for submitting the form again.
+ */
+export default function SubmissionStatus({ submission, onRetry }) {
+  const { t } = useTranslation();
+  const { status, message, progress, retryIn } = submission;
+
+  return (
+    <>
+      {progress !== null && (
+        <div
+          className="mt-4 h-2 bg-gray-100 rounded-full overflow-hidden"
+          role="progressbar"
+          aria-label={t("submission.uploading")}
+          aria-valuenow={Math.round(progress * 100)}
+          aria-valuemin={0}
+          aria-valuemax={100}
+        >
+          <div
+            className="h-full bg-green-400 transition-all"
+            style={{ width: `${progress * 100}%` }}
+          />
+        </div>
+      )}
+      <div className="text-red-500 my-3 text-sm font-semibold" role="alert">
+        {status === "invalid" && (
+          <p>{message || t("submission.invalid")}</p>
+        )}
+        {status === "throttled" && retryIn > 0 && (
+          <p>{t("submission.throttled", { time: formatDuration(retryIn) })}</p>
+        )}
+        {status === "offline" && (
+          <p>
+            {t("submission.offline")}{" "}
+            <button
+              type="button"
+              className="underline uppercase focus:outline-none"
+              onClick={onRetry}
+            >
+              {t("submission.retry")}
+            </button>
+          </p>
+        )}
+        {status === "failed" && <p>{t("submission.failed")}</p>}
+      </div>
+    </>
+  );
+}
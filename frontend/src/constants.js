@@ -21,11 +21,57 @@ distinctColors.forEach(
   (color, index) => (CATEGORY_COLOR_MAP[index + 1] = color)
 );
 
+/* Framing of the central part of Berlin */
+const DEFAULT_VIEWPORT = {
+  latitude: 52.518008,
+  longitude: 13.390954,
+  zoom: 11.1,
+};
+
+/* Pins closer than this many pixels are merged into a cluster */
+const CLUSTER_RADIUS = 50;
+/* Highest zoom level of the map; clusters left at this level are spiderfied */
+const MAX_ZOOM = 20;
+
 const MAPBOX_TOKEN = process.env.REACT_APP_MAPBOX_TOKEN;
 
 const API_URL = process.env.REACT_APP_API_URL;
 const ENDPOINTS = {
   LOCATIONS: `${API_URL}/api/locations/`,
   CATEGORIES: `${API_URL}/api/categories/`,
+  REVIEW_LOGIN: `${API_URL}/api/review/login/`,
+  REVIEW_LOCATIONS: `${API_URL}/api/review/locations/`,
+};
+/* Radius options of the "near me" filter, in meters */
+const RADIUS_OPTIONS = [500, 1000, 5000];
+
+/* Radius of the area drawn around inexact locations without their own, in meters */
+const DEFAULT_INEXACT_RADIUS = 500;
+
+/* Languages of the interface, the first one is used as fallback */
+const LANGUAGES = ["ro", "de", "en"];
+const DEFAULT_LANGUAGE = LANGUAGES[0];
+
+/* Photos attached to a location proposal, scaled down to fit the dimension */
+const MAX_PHOTOS = 3;
+const PHOTO_MAX_DIMENSION = 1600;
+
+/* Cache of the service worker holding the last good API responses */
+const API_CACHE_NAME = "api";
+
+export {
+  CATEGORY_COLOR_MAP,
+  DEFAULT_VIEWPORT,
+  CLUSTER_RADIUS,
+  MAX_ZOOM,
+  RADIUS_OPTIONS,
+  DEFAULT_INEXACT_RADIUS,
+  MAPBOX_TOKEN,
+  API_URL,
+  ENDPOINTS,
+  API_CACHE_NAME,
+  MAX_PHOTOS,
+  PHOTO_MAX_DIMENSION,
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
 };
-export { CATEGORY_COLOR_MAP, MAPBOX_TOKEN, API_URL, ENDPOINTS };
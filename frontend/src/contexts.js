@@ -1,5 +1,8 @@
 import * as React from "react";
 
+import { DEFAULT_LANGUAGE, LANGUAGES } from "./constants";
+import { loadFavorites, saveFavorites } from "./favorites";
+
 /* Search Phrase */
 
 const SearchPhraseContext = React.createContext();
@@ -18,44 +21,137 @@ function SearchPhraseProvider(props) {
   return <SearchPhraseContext.Provider value={value} {...props} />;
 }
 
-/* Location */
+/* Hovered location */
+
+const HoveredLocationContext = React.createContext();
+
+function useHoveredLocation() {
+  const context = React.useContext(HoveredLocationContext);
+  if (!context) {
+    throw new Error("useHoveredLocation must be used within a HoveredLocationProvider");
+  }
+  return context;
+}
+
+/**
+ * Holds the pk of the location under the pointer, in the map or in a list.
+ */
+function HoveredLocationProvider(props) {
+  const [hoveredPk, setHoveredPk] = React.useState(null);
+  const value = React.useMemo(() => [hoveredPk, setHoveredPk], [hoveredPk]);
+  return <HoveredLocationContext.Provider value={value} {...props} />;
+}
+
+/* User position */
+
+const UserPositionContext = React.createContext();
+
+function useUserPosition() {
+  const context = React.useContext(UserPositionContext);
+  if (!context) {
+    throw new Error("useUserPosition must be used within a UserPositionProvider");
+  }
+  return context;
+}
+
+/**
+ * Holds the position of the user as `{ coordinates, accuracy }`, with the
+ * coordinates as [longitude, latitude] and the accuracy in meters.
+ */
+function UserPositionProvider(props) {
+  const [userPosition, setUserPosition] = React.useState(null);
+  const value = React.useMemo(() => [userPosition, setUserPosition], [userPosition]);
+  return <UserPositionContext.Provider value={value} {...props} />;
+}
+
+/* Radius */
 
-const LocationContext = React.createContext();
+const RadiusContext = React.createContext();
 
-function useLocation() {
-  const context = React.useContext(LocationContext);
+function useRadius() {
+  const context = React.useContext(RadiusContext);
   if (!context) {
-    throw new Error("useLocation must be used within a LocationProvider");
+    throw new Error("useRadius must be used within a RadiusProvider");
   }
   return context;
 }
 
-function LocationProvider(props) {
-  const [location, setLocation] = React.useState(null);
-  const value = React.useMemo(() => [location, setLocation], [location]);
-  return <LocationContext.Provider value={value} {...props} />;
+/**
+ * Holds the maximum distance in meters of the shown locations from the user,
+ * or null if they are not filtered by distance.
+ */
+function RadiusProvider(props) {
+  const [radius, setRadius] = React.useState(null);
+  const value = React.useMemo(() => [radius, setRadius], [radius]);
+  return <RadiusContext.Provider value={value} {...props} />;
 }
 
-/* Category */
+/* Favorites */
 
-const CategoryContext = React.createContext();
+const FavoritesContext = React.createContext();
 
-function useCategory() {
-  const context = React.useContext(CategoryContext);
+function useFavorites() {
+  const context = React.useContext(FavoritesContext);
   if (!context) {
-    throw new Error("useCategory must be used within a CategoryProvider");
+    throw new Error("useFavorites must be used within a FavoritesProvider");
   }
   return context;
 }
 
-function CategoryProvider(props) {
-  const [category, setCategory] = React.useState(null);
-  const value = React.useMemo(() => [category, setCategory], [category]);
-  return <CategoryContext.Provider value={value} {...props} />;
+/**
+ * Holds the pks of the locations saved by the user, kept in local storage.
+ */
+function FavoritesProvider(props) {
+  const [favorites, setFavorites] = React.useState(loadFavorites);
+  React.useEffect(() => saveFavorites(favorites), [favorites]);
+  const value = React.useMemo(() => [favorites, setFavorites], [favorites]);
+  return <FavoritesContext.Provider value={value} {...props} />;
+}
+
+/* Language */
+
+const LanguageContext = React.createContext();
+const LANGUAGE_STORAGE_KEY = "language";
+
+function useLanguage() {
+  const context = React.useContext(LanguageContext);
+  if (!context) {
+    throw new Error("useLanguage must be used within a LanguageProvider");
+  }
+  return context;
+}
+
+/**
+ * The initial language is taken from the URL, then from the last choice of
+ * the user and finally from the preferences of the browser.
+ */
+function getInitialLanguage() {
+  const candidates = [
+    new URLSearchParams(window.location.search).get("lang"),
+    window.localStorage.getItem(LANGUAGE_STORAGE_KEY),
+    ...(navigator.languages || []).map((language) => language.slice(0, 2)),
+  ];
+  return (
+    candidates.find((language) => LANGUAGES.includes(language)) ||
+    DEFAULT_LANGUAGE
+  );
+}
+
+function LanguageProvider(props) {
+  const [language, setLanguage] = React.useState(getInitialLanguage);
+  React.useEffect(() => {
+    window.localStorage.setItem(LANGUAGE_STORAGE_KEY, language);
+    document.documentElement.lang = language;
+  }, [language]);
+  const value = React.useMemo(() => [language, setLanguage], [language]);
+  return <LanguageContext.Provider value={value} {...props} />;
 }
 
 export {
-  useLocation, LocationProvider,
-  useCategory, CategoryProvider,
+  useHoveredLocation, HoveredLocationProvider,
   useSearchPhrase, SearchPhraseProvider,
+  useUserPosition, UserPositionProvider,
+  useRadius, RadiusProvider,
+  useFavorites, FavoritesProvider,
+  useLanguage, LanguageProvider,
 };
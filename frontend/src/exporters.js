@@ -0,0 +1,270 @@
+import { CATEGORY_COLOR_MAP } from "./constants";
+import { toSvg } from "./qrcode";
+import { normalize } from "./search";
+import { toE164 } from "./utils";
+
+/*
+ * Serializers for sharing locations with other tools. All of them take
+ * GeoJSON features as returned by the API and return the file content.
+ */
+
+const FILE_NAME = "harta-diasporei";
+const DEFAULT_COLOR = "#6b7280";
+
+function escapeXML(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function withGeometry(features) {
+  return features.filter((feature) => feature.geometry);
+}
+
+/**
+ * Contact details and description of a location as plain text.
+ */
+function describe({ address, phone, email, website, description }) {
+  return [address, phone, email, website, description]
+    .filter(Boolean)
+    .join("\n");
+}
+
+function toGeoJSON(features) {
+  return JSON.stringify({ type: "FeatureCollection", features }, null, 2);
+}
+
+/**
+ * KML with one style per category, so that pins keep their category color.
+ * @param {array} features The locations.
+ * @param {function} categoryLabel Returns the label of a category.
+ */
+function toKML(features, categoryLabel) {
+  const categories = {};
+  features.forEach(({ properties: { category } }) => {
+    categories[category?.pk] = category;
+  });
+  const styles = Object.keys(categories).map((pk) => {
+    // KML colors are written as alpha, blue, green, red
+    const [red, green, blue] = (CATEGORY_COLOR_MAP[pk] || DEFAULT_COLOR)
+      .slice(1)
+      .match(/../g);
+    return `    <Style id="category-${pk}">
+      <IconStyle>
+        <color>ff${blue}${green}${red}</color>
+        <Icon><href>https://maps.google.com/mapfiles/kml/paddle/wht-blank.png</href></Icon>
+      </IconStyle>
+    </Style>`;
+  });
+  const placemarks = withGeometry(features).map(({ geometry, properties }) => {
+    const [lon, lat] = geometry.coordinates;
+    return `    <Placemark>
+      <name>${escapeXML(properties.name)}</name>
+      <description>${escapeXML(describe(properties))}</description>
+      <styleUrl>#category-${properties.category?.pk}</styleUrl>
+      <ExtendedData>
+        <Data name="category"><value>${escapeXML(categoryLabel(properties.category))}</value></Data>
+      </ExtendedData>
+      <Point><coordinates>${lon},${lat}</coordinates></Point>
+    </Placemark>`;
+  });
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>Harta diasporei din Berlin</name>
+${[...styles, ...placemarks].join("\n")}
+  </Document>
+</kml>
+`;
+}
+
+/**
+ * GPX with one waypoint per location.
+ * @param {array} features The locations.
+ * @param {function} categoryLabel Returns the label of a category.
+ */
+function toGPX(features, categoryLabel) {
+  const waypoints = withGeometry(features).map(({ geometry, properties }) => {
+    const [lon, lat] = geometry.coordinates;
+    const link = properties.website
+      ? `\n    <link href="${escapeXML(properties.website)}"/>`
+      : "";
+    return `  <wpt lat="${lat}" lon="${lon}">
+    <name>${escapeXML(properties.name)}</name>
+    <desc>${escapeXML(describe(properties))}</desc>${link}
+    <type>${escapeXML(categoryLabel(properties.category))}</type>
+  </wpt>`;
+  });
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Harta diasporei din Berlin" xmlns="http://www.topografix.com/GPX/1/1">
+${waypoints.join("\n")}
+</gpx>
+`;
+}
+
+/**
+ * CSV with one row per location. Starts with a byte order mark, so that
+ * spreadsheet programs detect the encoding of the diacritics.
+ * @param {array} features The locations.
+ * @param {function} categoryLabel Returns the label of a category.
+ */
+function toCSV(features, categoryLabel) {
+  const quote = (value) => `"${String(value ?? "").replace(/"/g, '""')}"`;
+  const header = [
+    "name",
+    "category",
+    "address",
+    "phone",
+    "email",
+    "website",
+    "description",
+    "latitude",
+    "longitude",
+  ];
+  const rows = features.map(({ geometry, properties }) => {
+    const [lon, lat] = geometry?.coordinates || [];
+    return [
+      properties.name,
+      categoryLabel(properties.category),
+      properties.address,
+      properties.phone,
+      properties.email,
+      properties.website,
+      properties.description,
+      lat,
+      lon,
+    ];
+  });
+  return (
+    "\uFEFF" +
+    [header, ...rows].map((row) => row.map(quote).join(",")).join("\r\n")
+  );
+}
+
+/* Lines of a vCard may have 75 bytes, folded lines starting with a space */
+const MAX_FOLDED_BYTES = 74;
+
+const utf8Length = (char) => {
+  const codePoint = char.codePointAt(0);
+  return codePoint < 0x80
+    ? 1
+    : codePoint < 0x800
+    ? 2
+    : codePoint < 0x10000
+    ? 3
+    : 4;
+};
+
+/**
+ * Folds a line of a vCard by its length in UTF-8, without splitting characters.
+ * @param {string} line The unfolded line.
+ */
+function foldLine(line) {
+  const parts = [""];
+  let length = 0;
+  for (const char of line) {
+    if (length + utf8Length(char) > MAX_FOLDED_BYTES) {
+      parts.push("");
+      length = 0;
+    }
+    parts[parts.length - 1] += char;
+    length += utf8Length(char);
+  }
+  return parts.join("\r\n ");
+}
+
+/**
+ * vCard of a single location, for saving it to the contacts of a phone.
+ * @param {object} feature The location.
+ */
+function toVCard({ geometry, properties }) {
+  const escape = (value) =>
+    String(value).replace(/([\\,;])/g, "\\$1").replace(/\n/g, "\\n");
+  const { name, address, phone, email, website } = properties;
+  const lines = [
+    "BEGIN:VCARD",
+    "VERSION:3.0",
+    `FN:${escape(name)}`,
+    `ORG:${escape(name)}`,
+    address && `ADR;TYPE=WORK:;;${escape(address)};;;;`,
+    phone && `TEL;TYPE=WORK,VOICE:${escape(toE164(phone) || phone)}`,
+    email && `EMAIL;TYPE=INTERNET:${escape(email)}`,
+    website && `URL:${escape(website)}`,
+    geometry && `GEO:${geometry.coordinates[1]};${geometry.coordinates[0]}`,
+    "END:VCARD",
+  ];
+  return lines.filter(Boolean).map(foldLine).join("\r\n");
+}
+
+const FORMATS = {
+  geojson: { serialize: toGeoJSON, type: "application/geo+json" },
+  kml: { serialize: toKML, type: "application/vnd.google-earth.kml+xml" },
+  gpx: { serialize: toGPX, type: "application/gpx+xml" },
+  csv: { serialize: toCSV, type: "text/csv;charset=utf-8" },
+};
+
+/* File name of a location, without accents and spaces */
+const slugify = (name) => normalize(name).replace(/[^a-z0-9]+/g, "-");
+
+/**
+ * Lets the browser save a file generated on the client.
+ * @param {string} content The content of the file.
+ * @param {string} fileName The name of the file.
+ * @param {string} type The MIME type of the file.
+ */
+function downloadFile(content, fileName, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Some browsers only start the download after the click has been handled
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Downloads the locations in one of the supported formats.
+ * @param {string} format One of the keys of FORMATS.
+ * @param {array} features The locations.
+ * @param {function} categoryLabel Returns the label of a category.
+ */
+function exportFeatures(format, features, categoryLabel) {
+  const { serialize, type } = FORMATS[format];
+  downloadFile(
+    serialize(features, categoryLabel),
+    `${FILE_NAME}.${format}`,
+    type
+  );
+}
+
+/**
+ * Downloads the vCard of a location.
+ * @param {object} feature The location.
+ */
+function exportVCard(feature) {
+  downloadFile(
+    toVCard(feature),
+    `${slugify(feature.properties.name)}.vcf`,
+    "text/vcard;charset=utf-8"
+  );
+}
+
+/**
+ * Downloads the QR code of a location as SVG, for printing it on flyers.
+ * @param {object} feature The location.
+ * @param {object} qrCode The QR code linking to the location.
+ */
+function exportQrCode(feature, qrCode) {
+  downloadFile(
+    toSvg(qrCode),
+    `${slugify(feature.properties.name)}-qr.svg`,
+    "image/svg+xml"
+  );
+}
+
+export { FORMATS, exportFeatures, exportVCard, exportQrCode };
@@ -0,0 +1,159 @@
+import { TextEncoder } from "util";
+
+import { FORMATS, exportVCard } from "./exporters";
+
+const church = { pk: 2, label_singular: "Biserică" };
+const features = [
+  {
+    type: "Feature",
+    geometry: { type: "Point", coordinates: [13.41, 52.54] },
+    properties: {
+      pk: 1,
+      name: 'Biserica "Sf. Nicolae" & Co',
+      category: church,
+      address: "Cantianstraße 1, 10437 Berlin",
+      phone: "030 21239555",
+      email: "biserica@example.org",
+      website: "https://example.org",
+      description: "Slujbe duminica",
+    },
+  },
+  {
+    type: "Feature",
+    geometry: null,
+    properties: {
+      pk: 2,
+      name: "Linia de ajutor",
+      category: church,
+      phone: "+49 800 1110111",
+    },
+  },
+];
+
+const categoryLabel = (category) => category?.label_singular;
+const serialize = (format) =>
+  FORMATS[format].serialize(features, categoryLabel);
+
+describe("FORMATS", () => {
+  test("GeoJSON keeps the features as they are", () => {
+    expect(JSON.parse(serialize("geojson"))).toEqual({
+      type: "FeatureCollection",
+      features,
+    });
+  });
+
+  test("KML escapes the texts and keeps the category color", () => {
+    const kml = serialize("kml");
+    expect(kml).toContain(
+      "<name>Biserica &quot;Sf. Nicolae&quot; &amp; Co</name>"
+    );
+    expect(kml).toContain('<Style id="category-2">');
+    expect(kml).toContain("<color>ffb4781f</color>");
+    expect(kml).toContain("<coordinates>13.41,52.54</coordinates>");
+    expect(kml).toContain("<value>Biserică</value>");
+  });
+
+  test("KML and GPX leave out locations without a place", () => {
+    expect(serialize("kml").match(/<Placemark>/g)).toHaveLength(1);
+    expect(serialize("gpx").match(/<wpt /g)).toHaveLength(1);
+  });
+
+  test("GPX writes waypoints with link and type", () => {
+    const gpx = serialize("gpx");
+    expect(gpx).toContain('<wpt lat="52.54" lon="13.41">');
+    expect(gpx).toContain('<link href="https://example.org"/>');
+    expect(gpx).toContain("<type>Biserică</type>");
+  });
+
+  test("CSV starts with a byte order mark and quotes every value", () => {
+    const csv = serialize("csv");
+    expect(csv.charAt(0)).toBe("\uFEFF");
+    const rows = csv.slice(1).split("\r\n");
+    expect(rows).toHaveLength(3);
+    expect(rows[0]).toBe(
+      '"name","category","address","phone","email","website","description","latitude","longitude"'
+    );
+    expect(rows[1]).toContain('"Biserica ""Sf. Nicolae"" & Co","Biserică"');
+    expect(rows[1]).toMatch(/"52.54","13.41"$/);
+    expect(rows[2]).toMatch(/"Linia de ajutor".*"",""$/);
+  });
+});
+
+describe("exportVCard", () => {
+  let blob;
+
+  beforeEach(() => {
+    blob = null;
+    URL.createObjectURL = jest.fn((content) => {
+      blob = content;
+      return "blob:vcard";
+    });
+    URL.revokeObjectURL = jest.fn();
+    jest
+      .spyOn(HTMLAnchorElement.prototype, "click")
+      .mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const readBlob = () =>
+    new Promise((resolve) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.readAsText(blob);
+    });
+
+  test("downloads the contact with escaped values", async () => {
+    exportVCard(features[0]);
+    const lines = (await readBlob()).split("\r\n");
+    expect(lines[0]).toBe("BEGIN:VCARD");
+    expect(lines).toContain('FN:Biserica "Sf. Nicolae" & Co');
+    expect(lines).toContain(
+      "ADR;TYPE=WORK:;;Cantianstraße 1\\, 10437 Berlin;;;;"
+    );
+    expect(lines).toContain("TEL;TYPE=WORK,VOICE:+493021239555");
+    expect(lines).toContain("GEO:52.54;13.41");
+    expect(lines[lines.length - 1]).toBe("END:VCARD");
+  });
+
+  test("leaves out missing details", async () => {
+    exportVCard(features[1]);
+    const vcard = await readBlob();
+    expect(vcard).toContain("TEL;TYPE=WORK,VOICE:+498001110111");
+    expect(vcard).not.toContain("ADR");
+    expect(vcard).not.toContain("GEO");
+  });
+
+  test("folds lines longer than 75 characters", async () => {
+    exportVCard({
+      ...features[1],
+      properties: { ...features[1].properties, name: "A".repeat(100) },
+    });
+    const lines = (await readBlob()).split("\r\n");
+    expect(lines.every((line) => line.length <= 75)).toBe(true);
+    expect(lines).toContain(` ${"A".repeat(29)}`);
+  });
+
+  test("folds lines by their length in UTF-8", async () => {
+    const name =
+      "Biserica Ortodoxă Română Sfântul Ştefan şi Sfânta Ţara ".repeat(3);
+    exportVCard({
+      ...features[1],
+      properties: { ...features[1].properties, name },
+    });
+    const lines = (await readBlob()).split("\r\n");
+    const encoder = new TextEncoder();
+    expect(lines.every((line) => encoder.encode(line).length <= 75)).toBe(true);
+    const unfolded = lines.join("\r\n").replace(/\r\n /g, "");
+    expect(unfolded).toContain(`FN:${name}`);
+  });
+
+  test("revokes the URL of the file once the download started", () => {
+    jest.useFakeTimers();
+    exportVCard(features[1]);
+    expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+    jest.runAllTimers();
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith("blob:vcard");
+    jest.useRealTimers();
+  });
+});
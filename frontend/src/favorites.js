@@ -0,0 +1,57 @@
+/*
+ * The locations saved by the user, kept in local storage as a list of pks.
+ * Saved lists are shared as a compact code of the sorted pks, each one
+ * written as its difference to the previous one in base 36, e.g. "3.9.5d".
+ */
+
+const FAVORITES_STORAGE_KEY = "favorites";
+
+const isPk = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Reads the saved location pks from local storage.
+ */
+const loadFavorites = () => {
+  try {
+    const favorites = JSON.parse(
+      window.localStorage.getItem(FAVORITES_STORAGE_KEY)
+    );
+    return Array.isArray(favorites) ? favorites.filter(isPk) : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Writes the saved location pks to local storage.
+ * @param {array} favorites The pks of the saved locations.
+ */
+const saveFavorites = (favorites) =>
+  window.localStorage.setItem(FAVORITES_STORAGE_KEY, JSON.stringify(favorites));
+
+/**
+ * Encodes location pks for sharing them in a URL.
+ * @param {array} pks The pks of the locations.
+ */
+const encodeFavorites = (pks) =>
+  [...new Set(pks)]
+    .sort((a, b) => a - b)
+    .map((pk, index, sorted) => (pk - (sorted[index - 1] || 0)).toString(36))
+    .join(".");
+
+/**
+ * Decodes location pks shared in a URL.
+ * @param {string} code The encoded pks.
+ * @returns {array} The pks, empty if the code is invalid.
+ */
+const decodeFavorites = (code) => {
+  if (!/^[0-9a-z]+(\.[0-9a-z]+)*$/.test(code || "")) return [];
+  let previous = 0;
+  const pks = code.split(".").map((delta) => {
+    previous += parseInt(delta, 36);
+    return previous;
+  });
+  return pks.every(isPk) ? pks : [];
+};
+
+export { loadFavorites, saveFavorites, encodeFavorites, decodeFavorites };
@@ -1,4 +1,26 @@
 import * as React from "react";
+import { useQuery } from "react-query";
+import Supercluster from "supercluster";
+
+import { CLUSTER_RADIUS, MAX_ZOOM } from "./constants";
+import { useTranslation } from "./i18n";
+import { createSearchIndex } from "./search";
+import {
+  dequeueProposal,
+  enqueueProposal,
+  getQueueLength,
+  getRejectedCount,
+  loadQueue,
+  rejectProposal,
+  removeRejected,
+  toProposalFormData,
+} from "./proposals";
+import {
+  fetchCategories,
+  fetchLocations,
+  getFieldErrors,
+  postForm,
+} from "./utils";
 
 function useDebounce(value, delay) {
   // State and setters for debounced value
@@ -24,4 +46,339 @@ function useDebounce(value, delay) {
   return debouncedValue;
 }
 
-export { useDebounce };
+/**
+ * Index grouping GeoJSON point features into clusters. Every cluster keeps a
+ * count of its points per category pk in `categories`.
+ * @param {array} features The point features to be clustered.
+ */
+function createClusterIndex(features) {
+  const supercluster = new Supercluster({
+    radius: CLUSTER_RADIUS,
+    maxZoom: MAX_ZOOM,
+    map: (properties) => ({
+      categories: { [properties.category?.pk]: 1 },
+    }),
+    reduce: (accumulated, properties) => {
+      // The counts may be shared with the cluster of a higher zoom level
+      accumulated.categories = { ...accumulated.categories };
+      Object.entries(properties.categories).forEach(([pk, count]) => {
+        accumulated.categories[pk] = (accumulated.categories[pk] || 0) + count;
+      });
+    },
+  });
+  supercluster.load(features);
+  return supercluster;
+}
+
+/**
+ * Groups GeoJSON point features into clusters for the given zoom level.
+ * @param {array} features The point features to be clustered.
+ * @param {number} zoom The current zoom level of the map.
+ */
+function useClusters(features, zoom) {
+  const index = React.useMemo(() => createClusterIndex(features), [features]);
+
+  // Clusters only change between integer zoom levels
+  const zoomLevel = Math.floor(zoom);
+  const clusters = React.useMemo(
+    () => index.getClusters([-180, -85, 180, 85], zoomLevel),
+    [index, zoomLevel]
+  );
+
+  return { clusters, index };
+}
+
+/**
+ * Sets a boolean feature state on a single feature of a map source, and
+ * resets it when the feature changes.
+ * @param {object} map The loaded Mapbox map, or null while it is loading.
+ * @param {string} source The id of the source containing the feature.
+ * @param {number} id The id of the feature, or null if there is none.
+ * @param {string} state The name of the feature state.
+ */
+function useFeatureState(map, source, id, state) {
+  React.useEffect(() => {
+    if (id === null || id === undefined || !map?.getSource(source)) {
+      return;
+    }
+    map.setFeatureState({ source, id }, { [state]: true });
+    return () => {
+      map.getSource(source) &&
+        map.setFeatureState({ source, id }, { [state]: false });
+    };
+  }, [map, source, id, state]);
+}
+
+/**
+ * Query for all published locations, as GeoJSON object.
+ */
+function useLocationsQuery() {
+  return useQuery("locations", () => fetchLocations({}), {
+    placeholderData: { features: [] },
+  });
+}
+
+/**
+ * Query for all categories, as array.
+ */
+function useCategoriesQuery() {
+  return useQuery("categories", fetchCategories, { placeholderData: [] });
+}
+
+/**
+ * Tracks whether the browser currently has network access.
+ */
+function useOnlineStatus() {
+  const [isOnline, setIsOnline] = React.useState(navigator.onLine);
+
+  React.useEffect(() => {
+    const onOnline = () => setIsOnline(true);
+    const onOffline = () => setIsOnline(false);
+    window.addEventListener("online", onOnline);
+    window.addEventListener("offline", onOffline);
+    return () => {
+      window.removeEventListener("online", onOnline);
+      window.removeEventListener("offline", onOffline);
+    };
+  }, []);
+
+  return isOnline;
+}
+
+/**
+ * Builds a search index over the given features. Categories can be found by
+ * their Romanian labels as well as by their labels in the selected language.
+ * @param {array} features The GeoJSON features to be searched.
+ */
+function useSearchIndex(features) {
+  const { categoryLabel } = useTranslation();
+  return React.useMemo(
+    () =>
+      createSearchIndex(features, (category) => [
+        category?.label_singular,
+        category?.label_plural,
+        categoryLabel(category),
+        categoryLabel(category, true),
+      ]),
+    [features, categoryLabel]
+  );
+}
+
+/**
+ * Counts down the seconds left until the given time.
+ * @param {number} until The end of the countdown as timestamp, or null.
+ */
+function useCountdown(until) {
+  const [now, setNow] = React.useState(Date.now());
+
+  React.useEffect(() => {
+    if (!until) return;
+    setNow(Date.now());
+    const interval = setInterval(() => {
+      const current = Date.now();
+      setNow(current);
+      if (current >= until) {
+        clearInterval(interval);
+      }
+    }, 1000);
+    return () => clearInterval(interval);
+  }, [until]);
+
+  return until ? Math.max(0, Math.ceil((until - now) / 1000)) : 0;
+}
+
+/**
+ * Returns the current time, updated every minute while enabled.
+ * @param {boolean} enabled Whether the time is kept up to date.
+ */
+function useCurrentTime(enabled = true) {
+  const [now, setNow] = React.useState(() => new Date());
+
+  React.useEffect(() => {
+    if (!enabled) return;
+    setNow(new Date());
+    const interval = setInterval(() => setNow(new Date()), 60 * 1000);
+    return () => clearInterval(interval);
+  }, [enabled]);
+
+  return now;
+}
+
+/* How long a copied text is confirmed, in milliseconds */
+const COPIED_DURATION = 2000;
+
+/**
+ * Copies text to the clipboard. The copied text is kept for a moment, for
+ * confirming it next to the button that copied it.
+ * @returns {object} The copied text as `copied`, or null, and the function
+ * `copy`, resolving to whether copying worked.
+ */
+function useClipboard() {
+  const [copied, setCopied] = React.useState(null);
+
+  React.useEffect(() => {
+    if (copied === null) return;
+    const timeout = setTimeout(() => setCopied(null), COPIED_DURATION);
+    return () => clearTimeout(timeout);
+  }, [copied]);
+
+  const copy = React.useCallback(async (text) => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(text);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }, []);
+
+  return { copied, copy };
+}
+
+/* Wait used when a throttled response doesn't say how long, in seconds */
+const DEFAULT_RETRY_AFTER = 60;
+
+/**
+ * Posts a form to the API and keeps track of the outcome: the upload
+ * progress, success, throttling with the seconds left until the next
+ * attempt, and network failures. `submit` resolves with the resulting status
+ * and the validation errors per field, to be passed on to Formik.
+ * @param {string} url The endpoint.
+ */
+function useFormSubmission(url) {
+  const [state, setState] = React.useState({ status: "idle" });
+  const [progress, setProgress] = React.useState(null);
+  const retryIn = useCountdown(state.retryAt);
+
+  const submit = React.useCallback(
+    async (data) => {
+      let result = { status: "failed" };
+      setState({ status: "submitting" });
+      setProgress(0);
+      try {
+        const { status, body, getHeader } = await postForm(
+          url,
+          data,
+          setProgress
+        );
+        if (status === 201) {
+          result = { status: "success" };
+        } else if (status === 400 && body) {
+          const { non_field_errors: message, ...errors } =
+            getFieldErrors(body);
+          result = { status: "invalid", message, errors };
+        } else if (status === 429) {
+          const seconds =
+            parseInt(getHeader("Retry-After"), 10) || DEFAULT_RETRY_AFTER;
+          result = {
+            status: "throttled",
+            retryAt: Date.now() + seconds * 1000,
+          };
+        }
+      } catch (error) {
+        result = { status: "offline" };
+      }
+      const { errors = {}, ...state } = result;
+      setState(state);
+      setProgress(null);
+      return { status: state.status, errors };
+    },
+    [url]
+  );
+
+  const reset = React.useCallback(() => setState({ status: "idle" }), []);
+
+  return { ...state, progress, retryIn, submit, reset };
+}
+
+/**
+ * Proposals made while offline, sent one after the other as soon as the
+ * device is back online. While the API is throttling or failing, sending is
+ * tried again later on. Proposals rejected by the API are kept apart, along
+ * with their errors, until they are corrected or discarded. `enqueue`
+ * resolves to whether the proposal could be saved.
+ * @param {string} url The endpoint for location proposals.
+ */
+function useProposalQueue(url) {
+  const [count, setCount] = React.useState(getQueueLength);
+  const [rejectedCount, setRejectedCount] = React.useState(getRejectedCount);
+  const isOnline = useOnlineStatus();
+  const isFlushing = React.useRef(false);
+  const retryTimeout = React.useRef(null);
+
+  const flush = React.useCallback(async () => {
+    if (isFlushing.current) return;
+    isFlushing.current = true;
+    clearTimeout(retryTimeout.current);
+    // Seconds until the next attempt, when sending has to be tried again
+    let retryAfter = null;
+    for (const { id, values } of loadQueue()) {
+      let status, body, getHeader;
+      try {
+        ({ status, body, getHeader } = await postForm(
+          url,
+          toProposalFormData(values)
+        ));
+      } catch (error) {
+        // Once offline, coming back online starts the next attempt
+        retryAfter = navigator.onLine ? DEFAULT_RETRY_AFTER : null;
+        break;
+      }
+      // Throttled or server trouble, try again later on
+      if (status === 429 || status >= 500) {
+        retryAfter =
+          (status === 429 && parseInt(getHeader("Retry-After"), 10)) ||
+          DEFAULT_RETRY_AFTER;
+        break;
+      }
+      if (status === 201) {
+        dequeueProposal(id);
+      } else {
+        rejectProposal(id, status === 400 && body ? getFieldErrors(body) : {});
+        setRejectedCount(getRejectedCount());
+      }
+      setCount(getQueueLength());
+    }
+    isFlushing.current = false;
+    if (retryAfter !== null) {
+      retryTimeout.current = setTimeout(flush, retryAfter * 1000);
+    }
+  }, [url]);
+
+  React.useEffect(() => () => clearTimeout(retryTimeout.current), []);
+
+  React.useEffect(() => {
+    if (isOnline) {
+      flush();
+    }
+  }, [isOnline, flush]);
+
+  const enqueue = React.useCallback(async (values) => {
+    const saved = await enqueueProposal(values);
+    setCount(getQueueLength());
+    return saved;
+  }, []);
+
+  const resolveRejected = React.useCallback((id) => {
+    removeRejected(id);
+    setRejectedCount(getRejectedCount());
+  }, []);
+
+  return { count, rejectedCount, enqueue, flush, resolveRejected };
+}
+
+export {
+  createClusterIndex,
+  useDebounce,
+  useClipboard,
+  useCountdown,
+  useCurrentTime,
+  useFormSubmission,
+  useLocationsQuery,
+  useCategoriesQuery,
+  useOnlineStatus,
+  useProposalQueue,
+  useSearchIndex,
+  useClusters,
+  useFeatureState,
+};
@@ -0,0 +1,93 @@
+import { act, render, screen } from "@testing-library/react";
+
+import { createClusterIndex, useProposalQueue } from "./hooks";
+import { EMPTY_PROPOSAL, enqueueProposal } from "./proposals";
+import { postForm } from "./utils";
+
+jest.mock("./utils", () => ({
+  ...jest.requireActual("./utils"),
+  postForm: jest.fn(),
+}));
+
+const point = (pk, category, longitude, latitude) => ({
+  type: "Feature",
+  geometry: { type: "Point", coordinates: [longitude, latitude] },
+  properties: { pk, category: { pk: category } },
+});
+
+// Ten locations spread over a few streets, six of category 1 and four of 2
+const features = Array.from({ length: 10 }, (_, index) =>
+  point(index + 1, index < 6 ? 1 : 2, 13.4 + index * 0.0005, 52.5)
+);
+
+describe("createClusterIndex", () => {
+  test("counts the points of a cluster per category", () => {
+    const [cluster] = createClusterIndex(features).getClusters(
+      [-180, -85, 180, 85],
+      0
+    );
+    expect(cluster.properties.point_count).toBe(10);
+    expect(cluster.properties.categories).toEqual({ 1: 6, 2: 4 });
+  });
+
+  test("keeps the counts of every zoom level in line with the points", () => {
+    const index = createClusterIndex(features);
+    for (let zoom = 0; zoom <= 20; zoom++) {
+      index
+        .getClusters([-180, -85, 180, 85], zoom)
+        .filter((cluster) => cluster.properties.cluster)
+        .forEach(({ properties: { point_count, categories } }) => {
+          const total = Object.values(categories).reduce((a, b) => a + b, 0);
+          expect(total).toBe(point_count);
+        });
+    }
+  });
+});
+
+describe("useProposalQueue", () => {
+  function Queue() {
+    const { count } = useProposalQueue("/api/location-proposal/");
+    return <span data-testid="count">{count}</span>;
+  }
+
+  const settle = () => act(async () => {});
+
+  beforeEach(async () => {
+    window.localStorage.clear();
+    postForm.mockReset();
+    await enqueueProposal({ ...EMPTY_PROPOSAL, name: "Magazin" });
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => jest.useRealTimers());
+
+  test("sends again once a throttled request may be repeated", async () => {
+    postForm
+      .mockResolvedValueOnce({ status: 429, getHeader: () => "30" })
+      .mockResolvedValueOnce({ status: 201 });
+    render(<Queue />);
+    await settle();
+    expect(postForm).toHaveBeenCalledTimes(1);
+
+    act(() => jest.advanceTimersByTime(29 * 1000));
+    expect(postForm).toHaveBeenCalledTimes(1);
+    act(() => jest.advanceTimersByTime(1000));
+    await settle();
+    expect(postForm).toHaveBeenCalledTimes(2);
+    expect(screen.getByTestId("count")).toHaveTextContent("0");
+  });
+
+  test("tries again later on after a network failure", async () => {
+    postForm
+      .mockRejectedValueOnce(new Error("Network request failed"))
+      .mockResolvedValueOnce({ status: 201 });
+    render(<Queue />);
+    await settle();
+    expect(screen.getByTestId("count")).toHaveTextContent("1");
+
+    act(() => jest.advanceTimersByTime(60 * 1000));
+    await settle();
+    expect(postForm).toHaveBeenCalledTimes(2);
+    expect(screen.getByTestId("count")).toHaveTextContent("0");
+  });
+});
@@ -0,0 +1,58 @@
+import * as React from "react";
+
+import { DEFAULT_LANGUAGE } from "./constants";
+import { useLanguage } from "./contexts";
+import de from "./locales/de";
+import en from "./locales/en";
+import ro from "./locales/ro";
+
+const CATALOGS = { ro, de, en };
+
+/**
+ * Looks up a dotted key like "proposal.title" in a message catalog.
+ */
+function lookup(catalog, key) {
+  return key
+    .split(".")
+    .reduce((messages, part) => messages?.[part], catalog);
+}
+
+/**
+ * Translates a key to the given language, falling back to Romanian for
+ * missing messages. Placeholders like {message} are replaced by the values
+ * of the params object.
+ * @param {string} language The code of the language.
+ * @param {string} key The dotted key of the message.
+ * @param {object} params Values for the placeholders of the message.
+ */
+function translate(language, key, params = {}) {
+  const message =
+    lookup(CATALOGS[language], key) ??
+    lookup(CATALOGS[DEFAULT_LANGUAGE], key) ??
+    key;
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    name in params ? params[name] : placeholder
+  );
+}
+
+/**
+ * Hook returning translation helpers for the selected language:
+ * `t` translates a message key and `categoryLabel` returns the label of a
+ * category, falling back to the Romanian label stored in the API.
+ */
+function useTranslation() {
+  const [language] = useLanguage();
+  return React.useMemo(() => {
+    const t = (key, params) => translate(language, key, params);
+    const categoryLabel = (category, plural = false) => {
+      const form = plural ? "plural" : "singular";
+      return (
+        lookup(CATALOGS[language], `categories.${category?.name_slug}.${form}`) ??
+        category?.[`label_${form}`]
+      );
+    };
+    return { t, categoryLabel, language };
+  }, [language]);
+}
+
+export { translate, useTranslation };
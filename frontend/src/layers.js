@@ -0,0 +1,82 @@
+import { CATEGORY_COLOR_MAP } from "./constants";
+
+const DEFAULT_PIN_COLOR = "#6b7280";
+
+const isSelected = ["boolean", ["feature-state", "selected"], false];
+const isHovered = ["boolean", ["feature-state", "hover"], false];
+const isInexact = ["boolean", ["get", "inexact"], false];
+
+const categoryColor = [
+  "match",
+  ["get", "category_pk"],
+  ...Object.entries(CATEGORY_COLOR_MAP).flatMap(([pk, color]) => [
+    Number(pk),
+    color,
+  ]),
+  DEFAULT_PIN_COLOR,
+];
+
+/**
+ * Circle layer for single POIs, colored by category. Inexact locations get
+ * a hollow pin in the middle of their area. Hovered and selected pins are
+ * emphasized through their feature state.
+ */
+const pinLayer = {
+  id: "pins",
+  type: "circle",
+  paint: {
+    "circle-color": ["case", isInexact, "#ffffff", categoryColor],
+    "circle-radius": ["case", isSelected, 11, isHovered, 9, 7],
+    "circle-stroke-width": ["case", isSelected, 3, isInexact, 3, 1.5],
+    "circle-stroke-color": [
+      "case",
+      isSelected,
+      "#111827",
+      isInexact,
+      categoryColor,
+      "#ffffff",
+    ],
+  },
+};
+
+/**
+ * Translucent areas in which inexact locations lie, colored by category.
+ * They are drawn below the pins and don't take clicks, so that the pins
+ * within them stay clickable.
+ */
+const areaLayer = {
+  id: "areas",
+  type: "fill",
+  paint: {
+    "fill-color": categoryColor,
+    "fill-opacity": ["case", isHovered, 0.3, 0.15],
+  },
+};
+
+/**
+ * Dashed border of the areas of inexact locations.
+ */
+const areaOutlineLayer = {
+  id: "area-outlines",
+  type: "line",
+  paint: {
+    "line-color": categoryColor,
+    "line-width": 1.5,
+    "line-dasharray": [3, 2],
+  },
+};
+
+/**
+ * Dashed outline of the area covered by the "near me" radius filter.
+ */
+const radiusLayer = {
+  id: "radius",
+  type: "line",
+  paint: {
+    "line-color": "#1d4ed8",
+    "line-width": 2,
+    "line-dasharray": [2, 2],
+  },
+};
+
+export { pinLayer, areaLayer, areaOutlineLayer, radiusLayer };
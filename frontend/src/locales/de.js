@@ -0,0 +1,272 @@
+const de = {
+  common: {
+    loading: "Wird geladen...",
+    error: "Ein Fehler ist aufgetreten: {message}",
+  },
+  header: {
+    title: "Karte der rumänischen\nDiaspora in Berlin",
+    logoAlt: "Logo von Diaspora Civică Berlin",
+  },
+  language: {
+    label: "Sprache",
+  },
+  search: {
+    label: "Suche",
+    placeholder: "Ort suchen",
+  },
+  list: {
+    toggle: "Liste ({count})",
+    onlyInView: "Nur im sichtbaren Kartenausschnitt",
+    empty: "Keine Orte gefunden.",
+  },
+  online: {
+    button: "Online & überall ({count})",
+    title: "Online & überall",
+    intro:
+      "Online-Angebote, Hotlines und Gruppen, die von überall erreichbar sind.",
+    close: "Schließen",
+  },
+  map: {
+    reset: "Karte zurücksetzen",
+    approximate:
+      "Ungefähre Position: Der Ort liegt im Umkreis von etwa {distance} um den markierten Punkt.",
+  },
+  nearMe: {
+    locate: "Meinen Standort anzeigen",
+    unavailable: "Standortbestimmung nicht verfügbar",
+    radius: "Maximale Entfernung",
+    anyDistance: "Alle",
+    distance: "{distance} von dir entfernt",
+  },
+  export: {
+    print: "Druckversion",
+    embed: "Karte auf deiner Website einbinden",
+    button: "Herunterladen",
+    vcard: "Kontakt speichern",
+    formats: {
+      geojson: "GeoJSON",
+      kml: "KML (Google Earth)",
+      gpx: "GPX (GPS)",
+      csv: "CSV (Excel)",
+    },
+  },
+  contact: {
+    copy: "Kopieren",
+    copied: "Kopiert",
+    openInMaps: "In Karten öffnen",
+    maps: {
+      geo: "Karten-App",
+      apple: "Apple Maps",
+      google: "Google Maps",
+      osm: "OpenStreetMap",
+    },
+    qrCode: "QR-Code",
+    qrDownload: "QR-Code herunterladen",
+  },
+  embed: {
+    title: "Karte auf deiner Website einbinden",
+    intro:
+      "Wähle die gezeigten Kategorien und den Ort aus und kopiere dann den Code in die Seite deiner Website.",
+    categories: "Kategorien",
+    allCategories: "Ohne Auswahl werden alle Kategorien gezeigt.",
+    location: "Geöffneter Ort",
+    noLocation: "Kein Ort",
+    zoom: "Zoomstufe",
+    zoomPlaceholder: "Automatisch",
+    height: "Höhe (Pixel)",
+    code: "Code zum Einbinden",
+    preview: "Vorschau",
+    api: "Kommunikation mit der Karte",
+    apiIntro:
+      "Deine Seite kann die Filter der Karte über postMessage-Nachrichten setzen und erfahren, welcher Ort geöffnet wurde:",
+    frameTitle: "Karte der rumänischen Diaspora in Berlin",
+    fullMap: "Ganze Karte",
+  },
+  print: {
+    back: "Zurück zur Karte",
+    print: "Drucken",
+    contents: "Inhalt",
+    mapAlt: "Karte der Orte in der Kategorie {category}",
+  },
+  categories: {
+    all: "Alle Kategorien",
+    selected: "{count} Kategorien",
+    selectAll: "Alle",
+    selectNone: "Keine",
+    "counceling-center": {
+      singular: "Beratungsstelle",
+      plural: "Beratungsstellen",
+    },
+    "institution-or-ngo": {
+      singular: "Institution/Verein",
+      plural: "Institutionen/Vereine",
+    },
+    food: { singular: "Essen", plural: "Essen" },
+    attorney: { singular: "Anwalt", plural: "Anwälte" },
+    "parcel-service": { singular: "Paketdienst", plural: "Paketdienste" },
+    "cultural-venue": { singular: "Kulturort", plural: "Kulturorte" },
+    ngo: { singular: "Verein", plural: "Vereine" },
+    church: { singular: "Kirche", plural: "Kirchen" },
+    medic: { singular: "Arzt", plural: "Ärzte" },
+    translator: { singular: "Übersetzer", plural: "Übersetzer" },
+    accountant: { singular: "Steuerberater", plural: "Steuerberater" },
+  },
+  disclaimer: {
+    button: "Haftungsausschluss",
+    title: "Haftungsausschluss",
+    text:
+      "Die Informationen auf dieser Karte dienen ausschließlich der " +
+      "Orientierung und stellen keine Empfehlung dar. Diaspora Civică Berlin " +
+      "übernimmt keine Gewähr für die Richtigkeit oder Vollständigkeit der " +
+      "Informationen und haftet nicht für die Leistungen der aufgeführten Orte.",
+    ok: "OK",
+  },
+  proposal: {
+    button: "Neuen Ort vorschlagen",
+    title: "💌 Fehlt ein Ort? Schick ihn uns!",
+    name: "Name des Ortes",
+    namePlaceholder: "Gemeinschaftszentrum Gropiusstadt",
+    address: "Adresse",
+    point: "Ort auf der Karte",
+    pointHint:
+      "Tippe auf die Karte oder ziehe die Nadel, um den genauen Ort zu markieren. Ohne Nadel verwenden wir die Adresse.",
+    useMyLocation: "Meinen Standort verwenden",
+    removePoint: "Nadel entfernen",
+    description: "Beschreibung",
+    descriptionPlaceholder: "Zentrum, das soziale Aktivitäten organisiert.",
+    category: "Vorgeschlagene Kategorie",
+    categoryPlaceholder: "Weiß nicht / Sonstiges",
+    openingHours: "Öffnungszeiten",
+    openingHoursPlaceholder: "Mo-Fr 09:00-17:00",
+    photos: "Fotos (höchstens {count})",
+    addPhoto: "Hinzufügen",
+    removePhoto: "Foto entfernen",
+    website: "Website",
+    email: "E-Mail",
+    phone: "Telefon",
+    cancel: "Abbrechen",
+    submit: "Senden",
+    draftRestored: "Wir haben deine letzten Eingaben aufbewahrt.",
+    discardDraft: "Neu beginnen",
+    queuedTitle: "📶 Der Vorschlag wurde gespeichert",
+    queuedText:
+      "Du bist gerade offline. Wir senden ihn automatisch, sobald die Internetverbindung zurück ist.",
+    queueFailed:
+      "Er konnte auch nicht für später gespeichert werden, der Speicher des Browsers ist voll.",
+    queueOne: "1 Vorschlag wartet auf das Senden",
+    queueMany: "{count} Vorschläge warten auf das Senden",
+    sendNow: "Jetzt senden",
+    rejectedOne: "Ein Vorschlag wurde nicht angenommen",
+    rejectedMany: "{count} Vorschläge wurden nicht angenommen",
+    rejectedRestored:
+      "Dieser Vorschlag wurde nicht angenommen. Bitte korrigiere die markierten Felder.",
+    discardRejected: "Verwerfen",
+    successTitle: "🎉 Danke für deinen Vorschlag!",
+    successButton: "Gern geschehen 😁",
+    duplicates: {
+      title: "Dieser Ort scheint schon auf der Karte zu sein:",
+      open: "Das ist er, öffnen",
+      different: "Nein, es ist ein anderer Ort – Vorschlag senden",
+    },
+    errors: {
+      tooLong: "Der Text darf höchstens {max} Zeichen lang sein.",
+      photoInvalid: "Einige Dateien sind keine gültigen Bilder.",
+      photosTooMany: "Du kannst höchstens {count} Fotos hinzufügen.",
+      nameRequired: "Der Name ist ein Pflichtfeld.",
+      addressRequired:
+        "Die Adresse ist erforderlich, wenn du den Ort nicht auf der Karte markierst.",
+      emailInvalid: "Die E-Mail-Adresse ist ungültig.",
+      websiteInvalid: "Die Adresse der Website ist ungültig.",
+    },
+  },
+  correction: {
+    button: "Änderung melden",
+    intro:
+      "Korrigiere, was nicht mehr aktuell ist. Wir senden nur die geänderten Felder.",
+    status: "Der Ort",
+    comment: "Kommentar",
+    commentPlaceholder: "Woher weißt du es? Jedes Detail hilft uns.",
+    successTitle: "🎉 Danke! Wir prüfen die Änderung.",
+    back: "Zurück zum Ort",
+    statuses: {
+      open: "Existiert weiterhin",
+      closed: "Ist dauerhaft geschlossen",
+      moved: "Ist umgezogen",
+    },
+    fields: {
+      name: "Name des Ortes",
+      address: "Adresse",
+      phone: "Telefon",
+      email: "E-Mail",
+      website: "Website",
+      opening_hours: "Öffnungszeiten",
+      description: "Beschreibung",
+    },
+    errors: {
+      nothingChanged:
+        "Ändere ein Feld, markiere den Ort als geschlossen oder umgezogen oder hinterlasse einen Kommentar.",
+    },
+  },
+  review: {
+    title: "Zu prüfende Vorschläge ({count})",
+    login: "Anmeldung für Prüfer*innen",
+    username: "Benutzername",
+    password: "Passwort",
+    loginButton: "Anmelden",
+    loginInvalid: "Benutzername oder Passwort sind falsch.",
+    logout: "Abmelden",
+    empty: "Es gibt keine Vorschläge zu prüfen.",
+    category: "Kategorie",
+    noCategory: "Keine Kategorie",
+    geocode: "Position aus der Adresse vorschlagen",
+    geocodeFailed: "Die Adresse wurde nicht gefunden.",
+    possibleDuplicate: "Laut Einsender*in nicht dasselbe wie „{name}“.",
+    approve: "Veröffentlichen",
+    reject: "Ablehnen",
+    rejectConfirm: "Den Vorschlag „{name}“ ablehnen und löschen?",
+    mergeInto: "Zusammenführen mit...",
+    merge: "Zusammenführen",
+  },
+  favorites: {
+    saved: "Gespeichert",
+    add: "Diesen Ort speichern",
+    remove: "Aus den gespeicherten Orten entfernen",
+    share: "Teilen",
+    shareTitle: "Gespeicherte Orte",
+    copied: "Link kopiert",
+    copyPrompt: "Kopiere diesen Link, um deine gespeicherten Orte zu teilen:",
+    importText:
+      "Dir wurde eine Liste mit {count} gespeicherten Orten geteilt, davon sind {new} neu.",
+    importInvalid: "Die geteilte Liste enthält keine Orte dieser Karte.",
+    import: "Zu meinen gespeicherten Orten hinzufügen",
+    dismiss: "Schließen",
+  },
+  openingHours: {
+    title: "Öffnungszeiten",
+    openNow: "Jetzt geöffnet",
+    closed: "Geschlossen",
+    closesAt: "schließt um {time}",
+    closesOn: "schließt {day} um {time}",
+    opensAt: "öffnet um {time}",
+    opensOn: "öffnet {day} um {time}",
+    allDay: "24 Stunden geöffnet",
+    holiday: "Feiertag",
+  },
+  submission: {
+    uploading: "Wird gesendet",
+    invalid: "Einige Felder sind nicht korrekt ausgefüllt.",
+    throttled:
+      "Du hast zu viele Anfragen gesendet. Du kannst es in {time} erneut versuchen.",
+    offline: "Senden fehlgeschlagen, bitte prüfe deine Internetverbindung.",
+    retry: "Erneut versuchen",
+    failed:
+      "Hoppla, etwas ist schiefgelaufen :( versuche es noch einmal oder schreib uns an contact@diasporacivica.berlin",
+  },
+  offline: {
+    banner:
+      "Du bist offline. Die Karte ist nicht verfügbar, die angezeigten Orte sind eventuell nicht aktuell.",
+    empty: "Es sind keine Orte für die Offline-Nutzung gespeichert.",
+  },
+};
+
+export default de;
@@ -0,0 +1,272 @@
+const en = {
+  common: {
+    loading: "Loading...",
+    error: "An error has occurred: {message}",
+  },
+  header: {
+    title: "Map of the Romanian\ndiaspora in Berlin",
+    logoAlt: "Logo of Diaspora Civică Berlin",
+  },
+  language: {
+    label: "Language",
+  },
+  search: {
+    label: "Search",
+    placeholder: "Search for a place",
+  },
+  list: {
+    toggle: "List ({count})",
+    onlyInView: "Only in the visible map area",
+    empty: "No places found.",
+  },
+  online: {
+    button: "Online & everywhere ({count})",
+    title: "Online & everywhere",
+    intro:
+      "Online services, hotlines and groups which can be reached from anywhere.",
+    close: "Close",
+  },
+  map: {
+    reset: "Reset the map",
+    approximate:
+      "Approximate position: the place lies within about {distance} of the marked point.",
+  },
+  nearMe: {
+    locate: "Show my location",
+    unavailable: "Location is not available",
+    radius: "Maximum distance",
+    anyDistance: "Any",
+    distance: "{distance} from you",
+  },
+  export: {
+    print: "Printable version",
+    embed: "Embed the map on your website",
+    button: "Download",
+    vcard: "Save contact",
+    formats: {
+      geojson: "GeoJSON",
+      kml: "KML (Google Earth)",
+      gpx: "GPX (GPS)",
+      csv: "CSV (Excel)",
+    },
+  },
+  contact: {
+    copy: "Copy",
+    copied: "Copied",
+    openInMaps: "Open in maps",
+    maps: {
+      geo: "Maps app",
+      apple: "Apple Maps",
+      google: "Google Maps",
+      osm: "OpenStreetMap",
+    },
+    qrCode: "QR code",
+    qrDownload: "Download QR code",
+  },
+  embed: {
+    title: "Embed the map on your website",
+    intro:
+      "Choose the shown categories and location, then copy the code into the page of your website.",
+    categories: "Categories",
+    allCategories: "Without selection all categories are shown.",
+    location: "Opened location",
+    noLocation: "No location",
+    zoom: "Zoom level",
+    zoomPlaceholder: "Automatic",
+    height: "Height (pixels)",
+    code: "Embed code",
+    preview: "Preview",
+    api: "Talking to the map",
+    apiIntro:
+      "Your page can set the filters of the map and learn which location was opened through postMessage messages:",
+    frameTitle: "Map of the Romanian diaspora in Berlin",
+    fullMap: "Full map",
+  },
+  print: {
+    back: "Back to the map",
+    print: "Print",
+    contents: "Contents",
+    mapAlt: "Map of the locations in the category {category}",
+  },
+  categories: {
+    all: "All Categories",
+    selected: "{count} categories",
+    selectAll: "All",
+    selectNone: "None",
+    "counceling-center": {
+      singular: "Counseling center",
+      plural: "Counseling centers",
+    },
+    "institution-or-ngo": {
+      singular: "Institution/association",
+      plural: "Institutions/associations",
+    },
+    food: { singular: "Food", plural: "Food" },
+    attorney: { singular: "Attorney", plural: "Attorneys" },
+    "parcel-service": { singular: "Parcel service", plural: "Parcel services" },
+    "cultural-venue": { singular: "Cultural venue", plural: "Cultural venues" },
+    ngo: { singular: "Association", plural: "Associations" },
+    church: { singular: "Church", plural: "Churches" },
+    medic: { singular: "Doctor", plural: "Doctors" },
+    translator: { singular: "Translator", plural: "Translators" },
+    accountant: { singular: "Accountant", plural: "Accountants" },
+  },
+  disclaimer: {
+    button: "Disclaimer",
+    title: "Disclaimer",
+    text:
+      "The information on this map is provided for guidance only and does " +
+      "not constitute a recommendation. Diaspora Civică Berlin does not " +
+      "guarantee the accuracy or completeness of the information and accepts " +
+      "no liability for the services offered by the listed places.",
+    ok: "OK",
+  },
+  proposal: {
+    button: "Suggest a new place",
+    title: "💌 Is a place missing? Send it to us!",
+    name: "Name of the place",
+    namePlaceholder: "Gropiusstadt community center",
+    address: "Address",
+    point: "Place on the map",
+    pointHint:
+      "Tap the map or drag the pin to mark the exact place. Without a pin, we use the address.",
+    useMyLocation: "Use my location",
+    removePoint: "Remove pin",
+    description: "Description",
+    descriptionPlaceholder: "Center organizing social activities.",
+    category: "Suggested category",
+    categoryPlaceholder: "Not sure / other",
+    openingHours: "Opening hours",
+    openingHoursPlaceholder: "Mo-Fr 09:00-17:00",
+    photos: "Photos (up to {count})",
+    addPhoto: "Add",
+    removePhoto: "Remove photo",
+    website: "Website",
+    email: "E-Mail",
+    phone: "Phone",
+    cancel: "Cancel",
+    submit: "Send",
+    draftRestored: "We kept what you filled in last time.",
+    discardDraft: "Start over",
+    queuedTitle: "📶 Your suggestion was saved",
+    queuedText:
+      "You are offline right now. We will send it automatically once the internet connection is back.",
+    queueFailed:
+      "It could not be saved for later either, the storage of the browser is full.",
+    queueOne: "1 proposal waiting to be sent",
+    queueMany: "{count} proposals waiting to be sent",
+    sendNow: "Send now",
+    rejectedOne: "A proposal was not accepted",
+    rejectedMany: "{count} proposals were not accepted",
+    rejectedRestored:
+      "This proposal was not accepted. Please correct the marked fields.",
+    discardRejected: "Discard it",
+    successTitle: "🎉 Thank you for your suggestion!",
+    successButton: "You're welcome 😁",
+    duplicates: {
+      title: "This place seems to be on the map already:",
+      open: "This is it, open it",
+      different: "No, it's a different place – send the suggestion",
+    },
+    errors: {
+      tooLong: "The text can have at most {max} characters.",
+      photoInvalid: "Some files are not valid images.",
+      photosTooMany: "You can add at most {count} photos.",
+      nameRequired: "The name is required.",
+      addressRequired:
+        "The address is required unless you mark the place on the map.",
+      emailInvalid: "The e-mail address is invalid.",
+      websiteInvalid: "The website address is invalid.",
+    },
+  },
+  correction: {
+    button: "Report a change",
+    intro:
+      "Correct what is no longer up to date. We only send the changed fields.",
+    status: "The place",
+    comment: "Comment",
+    commentPlaceholder: "How do you know? Any detail helps us.",
+    successTitle: "🎉 Thank you! We will check the change.",
+    back: "Back to the place",
+    statuses: {
+      open: "Still exists",
+      closed: "Has closed for good",
+      moved: "Has moved",
+    },
+    fields: {
+      name: "Name of the place",
+      address: "Address",
+      phone: "Phone",
+      email: "E-Mail",
+      website: "Website",
+      opening_hours: "Opening hours",
+      description: "Description",
+    },
+    errors: {
+      nothingChanged:
+        "Change a field, mark the place as closed or moved, or leave a comment.",
+    },
+  },
+  review: {
+    title: "Suggestions to review ({count})",
+    login: "Reviewer login",
+    username: "Username",
+    password: "Password",
+    loginButton: "Log in",
+    loginInvalid: "The username or password is wrong.",
+    logout: "Log out",
+    empty: "There are no suggestions to review.",
+    category: "Category",
+    noCategory: "No category",
+    geocode: "Suggest the position from the address",
+    geocodeFailed: "The address could not be found.",
+    possibleDuplicate: "The submitter confirmed it differs from “{name}”.",
+    approve: "Publish",
+    reject: "Reject",
+    rejectConfirm: "Reject and delete the suggestion “{name}”?",
+    mergeInto: "Merge into...",
+    merge: "Merge",
+  },
+  favorites: {
+    saved: "Saved",
+    add: "Save this place",
+    remove: "Remove from saved places",
+    share: "Share",
+    shareTitle: "Saved places",
+    copied: "Link copied",
+    copyPrompt: "Copy this link to share your saved places:",
+    importText:
+      "A list of {count} saved places was shared with you, {new} of them are new.",
+    importInvalid: "The shared list contains no places of this map.",
+    import: "Add to my saved places",
+    dismiss: "Dismiss",
+  },
+  openingHours: {
+    title: "Opening hours",
+    openNow: "Open now",
+    closed: "Closed",
+    closesAt: "closes at {time}",
+    closesOn: "closes {day} at {time}",
+    opensAt: "opens at {time}",
+    opensOn: "opens {day} at {time}",
+    allDay: "Open 24 hours",
+    holiday: "public holiday",
+  },
+  submission: {
+    uploading: "Sending",
+    invalid: "Some fields are not filled in correctly.",
+    throttled:
+      "You have sent too many requests. You can try again in {time}.",
+    offline: "Sending failed, please check your internet connection.",
+    retry: "Try again",
+    failed:
+      "Oops, something went wrong :( try again or contact us at contact@diasporacivica.berlin",
+  },
+  offline: {
+    banner:
+      "You are offline. The map is not available, the places shown may be outdated.",
+    empty: "There are no places saved for offline use.",
+  },
+};
+
+export default en;
@@ -0,0 +1,256 @@
+const ro = {
+  common: {
+    loading: "Se încarcă...",
+    error: "A apărut o eroare: {message}",
+  },
+  header: {
+    title: "Harta diasporei\ndin Berlin",
+    logoAlt: "Logo-ul Diaspora Civică Berlin",
+  },
+  language: {
+    label: "Limba",
+  },
+  search: {
+    label: "Căutare",
+    placeholder: "Caută o locaţie",
+  },
+  list: {
+    toggle: "Listă ({count})",
+    onlyInView: "Doar în zona afişată a hărţii",
+    empty: "Nicio locaţie găsită.",
+  },
+  online: {
+    button: "Online și oriunde ({count})",
+    title: "Online și oriunde",
+    intro:
+      "Servicii online, linii telefonice și grupuri disponibile de oriunde.",
+    close: "Închide",
+  },
+  map: {
+    reset: "Resetează harta",
+    approximate:
+      "Poziție aproximativă: locul se află pe o rază de aproximativ {distance} în jurul punctului marcat.",
+  },
+  nearMe: {
+    locate: "Arată-mi poziţia",
+    unavailable: "Localizarea nu este disponibilă",
+    radius: "Distanţa maximă",
+    anyDistance: "Oricât",
+    distance: "La {distance} de tine",
+  },
+  export: {
+    print: "Versiune pentru tipărire",
+    embed: "Include harta pe site-ul tău",
+    button: "Descarcă",
+    vcard: "Salvează contactul",
+    formats: {
+      geojson: "GeoJSON",
+      kml: "KML (Google Earth)",
+      gpx: "GPX (GPS)",
+      csv: "CSV (Excel)",
+    },
+  },
+  contact: {
+    copy: "Copiază",
+    copied: "Copiat",
+    openInMaps: "Deschide în hărţi",
+    maps: {
+      geo: "Aplicaţia de hărţi",
+      apple: "Apple Maps",
+      google: "Google Maps",
+      osm: "OpenStreetMap",
+    },
+    qrCode: "Cod QR",
+    qrDownload: "Descarcă codul QR",
+  },
+  embed: {
+    title: "Include harta pe site-ul tău",
+    intro:
+      "Alege categoriile şi locaţia afişate, apoi copiază codul în pagina site-ului tău.",
+    categories: "Categorii",
+    allCategories: "Fără selecţie sunt afişate toate categoriile.",
+    location: "Locaţie deschisă",
+    noLocation: "Nicio locaţie",
+    zoom: "Nivel de zoom",
+    zoomPlaceholder: "Automat",
+    height: "Înălţime (pixeli)",
+    code: "Cod pentru includere",
+    preview: "Previzualizare",
+    api: "Comunicarea cu harta",
+    apiIntro:
+      "Pagina ta poate schimba filtrele hărţii şi poate afla ce locaţie a fost deschisă prin mesaje postMessage:",
+    frameTitle: "Harta diasporei române din Berlin",
+    fullMap: "Harta completă",
+  },
+  print: {
+    back: "Înapoi la hartă",
+    print: "Tipăreşte",
+    contents: "Cuprins",
+    mapAlt: "Harta locaţiilor din categoria {category}",
+  },
+  categories: {
+    all: "Toate Categoriile",
+    selected: "{count} categorii",
+    selectAll: "Toate",
+    selectNone: "Niciuna",
+  },
+  disclaimer: {
+    button: "Disclaimer",
+    title: "Disclaimer",
+    text:
+      "Informațiile existente în prezenta hartă sunt cu titlu informativ și " +
+      "nu au caracter de recomandare. Diaspora Civică Berlin nu garantează " +
+      "în niciun fel acuratețea sau caracterul complet al informațiilor " +
+      "prezentate și nu poartă nicio răspundere pentru serviciile oferite " +
+      "de locațiile respective.",
+    ok: "OK",
+  },
+  proposal: {
+    button: "Propune o locaţie nouă",
+    title: "💌 Lipseşte vreun loc? Trimite-ni-l!",
+    name: "Numele locaţiei",
+    namePlaceholder: "Centrul comunitar Gropiusstadt",
+    address: "Adresa",
+    point: "Locul pe hartă",
+    pointHint:
+      "Apasă pe hartă sau trage acul pentru a marca locul exact. Fără ac, folosim adresa.",
+    useMyLocation: "Foloseşte poziţia mea",
+    removePoint: "Şterge acul",
+    description: "Descriere",
+    descriptionPlaceholder: "Centru care organizează activităţi sociale.",
+    category: "Categoria sugerată",
+    categoryPlaceholder: "Nu ştiu / altceva",
+    openingHours: "Program",
+    openingHoursPlaceholder: "Lu-Vi 09:00-17:00",
+    photos: "Fotografii (maxim {count})",
+    addPhoto: "Adaugă",
+    removePhoto: "Şterge fotografia",
+    website: "Website",
+    email: "E-Mail",
+    phone: "Telefon",
+    cancel: "Anulează",
+    submit: "Trimite",
+    draftRestored: "Am păstrat ce ai completat data trecută.",
+    discardDraft: "Începe din nou",
+    queuedTitle: "📶 Propunerea a fost salvată",
+    queuedText:
+      "Eşti offline acum. O vom trimite automat când revine conexiunea la internet.",
+    queueFailed:
+      "Nu a putut fi salvată nici pentru mai târziu, memoria browserului este plină.",
+    queueOne: "O propunere aşteaptă să fie trimisă",
+    queueMany: "{count} propuneri aşteaptă să fie trimise",
+    sendNow: "Trimite acum",
+    rejectedOne: "O propunere nu a fost acceptată",
+    rejectedMany: "{count} propuneri nu au fost acceptate",
+    rejectedRestored:
+      "Propunerea aceasta nu a fost acceptată. Te rugăm să corectezi câmpurile marcate.",
+    discardRejected: "Renunţă la ea",
+    successTitle: "🎉 Mulţumim pentru sugestie!",
+    successButton: "Cu plăcere 😁",
+    duplicates: {
+      title: "Locul acesta pare să fie deja pe hartă:",
+      open: "Asta e, deschide-o",
+      different: "Nu, e un loc diferit – trimite propunerea",
+    },
+    errors: {
+      tooLong: "Textul poate avea maxim {max} de caractere.",
+      photoInvalid: "Unele fişiere nu sunt imagini valide.",
+      photosTooMany: "Poţi adăuga maxim {count} fotografii.",
+      nameRequired: "Numele este câmp obligatoriu.",
+      addressRequired:
+        "Adresa este obligatorie dacă nu marchezi locul pe hartă.",
+      emailInvalid: "Adresa de mail este invalidă.",
+      websiteInvalid: "Adresa site-ului este invalidă.",
+    },
+  },
+  correction: {
+    button: "Raportează o modificare",
+    intro:
+      "Corectează ce nu mai este actual. Trimitem doar câmpurile modificate.",
+    status: "Locul",
+    comment: "Comentariu",
+    commentPlaceholder: "De unde ştii? Orice detaliu ne ajută.",
+    successTitle: "🎉 Mulţumim! Vom verifica modificarea.",
+    back: "Înapoi la locaţie",
+    statuses: {
+      open: "Există în continuare",
+      closed: "S-a închis definitiv",
+      moved: "S-a mutat",
+    },
+    fields: {
+      name: "Numele locaţiei",
+      address: "Adresa",
+      phone: "Telefon",
+      email: "E-Mail",
+      website: "Website",
+      opening_hours: "Program",
+      description: "Descriere",
+    },
+    errors: {
+      nothingChanged:
+        "Modifică un câmp, marchează locul ca închis sau mutat ori lasă un comentariu.",
+    },
+  },
+  review: {
+    title: "Propuneri de verificat ({count})",
+    login: "Autentificare pentru recenzenţi",
+    username: "Utilizator",
+    password: "Parolă",
+    loginButton: "Intră",
+    loginInvalid: "Utilizatorul sau parola sunt greşite.",
+    logout: "Ieşire",
+    empty: "Nu există propuneri de verificat.",
+    category: "Categoria",
+    noCategory: "Fără categorie",
+    geocode: "Sugerează poziţia după adresă",
+    geocodeFailed: "Adresa nu a putut fi găsită.",
+    possibleDuplicate: "Autorul a confirmat că diferă de „{name}”.",
+    approve: "Publică",
+    reject: "Respinge",
+    rejectConfirm: "Respingi şi ştergi propunerea „{name}”?",
+    mergeInto: "Combină cu...",
+    merge: "Combină",
+  },
+  favorites: {
+    saved: "Salvate",
+    add: "Salvează acest loc",
+    remove: "Șterge din locurile salvate",
+    share: "Distribuie",
+    shareTitle: "Locuri salvate",
+    copied: "Link copiat",
+    copyPrompt: "Copiază acest link pentru a distribui locurile salvate:",
+    importText:
+      "Ți-a fost trimisă o listă cu {count} locuri salvate, dintre care {new} sunt noi.",
+    importInvalid: "Lista primită nu conține locuri de pe această hartă.",
+    import: "Adaugă la locurile mele salvate",
+    dismiss: "Închide",
+  },
+  openingHours: {
+    title: "Program",
+    openNow: "Deschis acum",
+    closed: "Închis",
+    closesAt: "se închide la {time}",
+    closesOn: "se închide {day} la {time}",
+    opensAt: "se deschide la {time}",
+    opensOn: "se deschide {day} la {time}",
+    allDay: "Deschis non-stop",
+    holiday: "sărbătoare legală",
+  },
+  submission: {
+    uploading: "Se trimite",
+    invalid: "Unele câmpuri nu sunt completate corect.",
+    throttled:
+      "Ai făcut prea multe trimiteri. Poţi încerca din nou peste {time}.",
+    offline: "Nu s-a putut trimite, verifică conexiunea la internet.",
+    retry: "Încearcă din nou",
+    failed:
+      "Oops, ceva n-a mers :( mai încearcă sau contactează-ne la contact@diasporacivica.berlin",
+  },
+  offline: {
+    banner:
+      "Eşti offline. Harta nu este disponibilă, locaţiile afişate pot fi neactualizate.",
+    empty: "Nu există locaţii salvate pentru consultare offline.",
+  },
+};
+
+export default ro;
@@ -0,0 +1,177 @@
+/*
+ * Lightweight Markdown for the descriptions of locations: paragraphs with
+ * line breaks, bulleted and numbered lists, bold text and links. URLs, email
+ * addresses and phone numbers written in the text are linked as well.
+ * The text is parsed into plain blocks and spans which are rendered as React
+ * elements, so no HTML of the description ever reaches the page.
+ */
+
+import { getPhoneUrl } from "./utils";
+
+const BULLET_PATTERN = /^\s*[-*•]\s+(.*)$/;
+const NUMBER_PATTERN = /^\s*(\d{1,3})[.)]\s+(.*)$/;
+const BOLD_PATTERN = /\*\*(.+?)\*\*|__(.+?)__/g;
+
+/* Top level domains linked without protocol, like econsulat.ro */
+const DOMAINS = "ro|de|com|org|net|eu|info|berlin|io|gov";
+
+const LINK_PATTERN = new RegExp(
+  [
+    // [text](url)
+    "\\[([^\\]]+)\\]\\(((?:https?://|mailto:|tel:)[^\\s)]+)\\)",
+    // Email addresses
+    "([\\w.+-]+@[\\w-]+(?:\\.[\\w-]+)+)",
+    // URLs with protocol or starting with www.
+    "((?:https?://|www\\.)[^\\s<]+)",
+    // Domains without protocol
+    `((?:[a-z0-9-]+\\.)+(?:${DOMAINS})(?:/[^\\s<]*)?)(?![\\w@-])`,
+    // Phone numbers starting with + or 00, or with an area code like 030
+    "((?:\\+|\\b00)[1-9][\\d ()/-]{6,}\\d" +
+      "|(?:\\b|\\()0[1-9]\\d{1,4}\\)?[ /-]?\\d[\\d /-]{3,}\\d)",
+  ].join("|"),
+  "gi"
+);
+
+/* Opening hours like "0900-1800" and dates look like phone numbers, too */
+const TIME = "(?:[01]?\\d|2[0-4]):?[0-5]\\d";
+const TIME_RANGES_PATTERN = new RegExp(`^(?:${TIME}\\s*-\\s*${TIME}\\s*)+$`);
+const DATE_PATTERN = /^\d{1,2}([./-])\d{1,2}\1\d{2,4}$/;
+
+/* Punctuation ending a sentence is not part of a URL */
+const TRAILING_PUNCTUATION = /[.,;:!?]$/;
+
+const MIN_PHONE_DIGITS = 8;
+const MAX_PHONE_DIGITS = 15;
+
+const count = (text, char) => text.split(char).length - 1;
+
+/**
+ * Removes the punctuation following a URL in the text. A closing parenthesis
+ * is kept when it has its opening one in the URL, like in Wikipedia links.
+ * @param {string} url The URL as matched.
+ */
+function trimUrl(url) {
+  let trimmed = url;
+  for (;;) {
+    if (TRAILING_PUNCTUATION.test(trimmed)) {
+      trimmed = trimmed.slice(0, -1);
+    } else if (
+      trimmed.endsWith(")") &&
+      count(trimmed, ")") > count(trimmed, "(")
+    ) {
+      trimmed = trimmed.slice(0, -1);
+    } else {
+      return trimmed;
+    }
+  }
+}
+
+/**
+ * Splits text into spans of plain text and links.
+ * @param {string} text The text.
+ * @param {boolean} bold Whether the text is bold.
+ * @returns {array} Spans as `{ text, bold, href }`, links having an href.
+ */
+function parseLinks(text, bold) {
+  const spans = [];
+  let position = 0;
+  const pushText = (end) => {
+    if (end > position) {
+      spans.push({ text: text.slice(position, end), bold });
+    }
+  };
+
+  LINK_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = LINK_PATTERN.exec(text))) {
+    const [, label, target, email, url, domain, phone] = match;
+    let linkText = match[0];
+    let href;
+    if (label) {
+      linkText = label;
+      href = target;
+    } else if (email) {
+      href = `mailto:${email}`;
+    } else if (url || domain) {
+      linkText = trimUrl(linkText);
+      href = /^https?:\/\//i.test(linkText) ? linkText : `https://${linkText}`;
+    } else if (phone) {
+      const digits = phone.replace(/\D/g, "");
+      if (
+        digits.length < MIN_PHONE_DIGITS ||
+        digits.length > MAX_PHONE_DIGITS ||
+        TIME_RANGES_PATTERN.test(phone) ||
+        DATE_PATTERN.test(phone)
+      ) {
+        continue;
+      }
+      href = getPhoneUrl(phone);
+    }
+    pushText(match.index);
+    spans.push({ text: linkText, bold, href });
+    position = match.index + (label ? match[0].length : linkText.length);
+  }
+  pushText(text.length);
+  return spans;
+}
+
+/**
+ * Splits a line into spans of plain text, bold text and links.
+ * @param {string} line The line.
+ * @returns {array} Spans as `{ text, bold, href }`.
+ */
+function parseInline(line) {
+  const spans = [];
+  let position = 0;
+  BOLD_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = BOLD_PATTERN.exec(line))) {
+    spans.push(...parseLinks(line.slice(position, match.index), false));
+    spans.push(...parseLinks(match[1] ?? match[2], true));
+    position = match.index + match[0].length;
+  }
+  spans.push(...parseLinks(line.slice(position), false));
+  return spans;
+}
+
+/**
+ * Parses a description into blocks. Paragraphs are separated by blank lines
+ * and keep their line breaks, consecutive list items form a list.
+ * @param {string} text The description.
+ * @returns {array} Blocks as `{ type: "paragraph", lines }` or
+ * `{ type: "list", ordered, start, items }`, each line or item being a list
+ * of spans.
+ */
+function parseMarkdown(text) {
+  const blocks = [];
+  let current = null;
+
+  (text || "").split(/\r?\n/).forEach((line) => {
+    const bullet = line.match(BULLET_PATTERN);
+    const number = line.match(NUMBER_PATTERN);
+    if (bullet || number) {
+      const ordered = !bullet;
+      if (current?.type !== "list" || current.ordered !== ordered) {
+        current = {
+          type: "list",
+          ordered,
+          start: ordered ? Number(number[1]) : 1,
+          items: [],
+        };
+        blocks.push(current);
+      }
+      current.items.push(parseInline(bullet ? bullet[1] : number[2]));
+    } else if (!line.trim()) {
+      current = null;
+    } else {
+      if (current?.type !== "paragraph") {
+        current = { type: "paragraph", lines: [] };
+        blocks.push(current);
+      }
+      current.lines.push(parseInline(line.trim()));
+    }
+  });
+  return blocks;
+}
+
+export { parseMarkdown };
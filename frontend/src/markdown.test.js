@@ -0,0 +1,100 @@
+import { parseMarkdown } from "./markdown";
+
+/* The links of a single line, as [text, href] */
+const links = (text) =>
+  parseMarkdown(text)[0]
+    .lines[0].filter((span) => span.href)
+    .map(({ text, href }) => [text, href]);
+
+describe("parseMarkdown", () => {
+  test("splits paragraphs at blank lines, keeping line breaks", () => {
+    expect(parseMarkdown("Unu\ndoi\n\n\nTrei")).toEqual([
+      {
+        type: "paragraph",
+        lines: [[{ text: "Unu", bold: false }], [{ text: "doi", bold: false }]],
+      },
+      { type: "paragraph", lines: [[{ text: "Trei", bold: false }]] },
+    ]);
+  });
+
+  test("groups list items, numbered lists keeping their start", () => {
+    const blocks = parseMarkdown("- Unu\n* Doi\n3. Trei\n4) Patru");
+    expect(
+      blocks.map(({ type, ordered, start }) => [type, ordered, start])
+    ).toEqual([
+      ["list", false, 1],
+      ["list", true, 3],
+    ]);
+    expect(blocks[0].items).toHaveLength(2);
+    expect(blocks[1].items[1]).toEqual([{ text: "Patru", bold: false }]);
+  });
+
+  test("marks bold text", () => {
+    expect(parseMarkdown("Vino **azi** sau __mâine__")[0].lines[0]).toEqual([
+      { text: "Vino ", bold: false },
+      { text: "azi", bold: true },
+      { text: " sau ", bold: false },
+      { text: "mâine", bold: true },
+    ]);
+  });
+
+  test("returns no blocks without a text", () => {
+    expect(parseMarkdown(null)).toEqual([]);
+    expect(parseMarkdown(" \n ")).toEqual([]);
+  });
+});
+
+describe("links", () => {
+  test("links Markdown links, email addresses, URLs and domains", () => {
+    expect(
+      links(
+        "[Programare](https://econsulat.ro/a), berlin@mae.ro, " +
+          "www.example.org and mae.ro/berlin."
+      )
+    ).toEqual([
+      ["Programare", "https://econsulat.ro/a"],
+      ["berlin@mae.ro", "mailto:berlin@mae.ro"],
+      ["www.example.org", "https://www.example.org"],
+      ["mae.ro/berlin", "https://mae.ro/berlin"],
+    ]);
+  });
+
+  test("leaves out the punctuation following a URL", () => {
+    expect(links("Vezi https://example.org/info!")).toEqual([
+      ["https://example.org/info", "https://example.org/info"],
+    ]);
+    expect(links("(vezi https://example.org/info).")).toEqual([
+      ["https://example.org/info", "https://example.org/info"],
+    ]);
+  });
+
+  test("keeps parentheses belonging to a URL", () => {
+    expect(links("Vezi https://x.de/a_(b).")).toEqual([
+      ["https://x.de/a_(b)", "https://x.de/a_(b)"],
+    ]);
+    expect(links("(vezi https://x.de/a_(b))")).toEqual([
+      ["https://x.de/a_(b)", "https://x.de/a_(b)"],
+    ]);
+  });
+
+  test("links phone numbers with their international format", () => {
+    expect(
+      links("Tel. 030 21239555, (030) 212 395-55 sau +49 176 1234567")
+    ).toEqual([
+      ["030 21239555", "tel:+493021239555"],
+      ["(030) 212 395-55", "tel:+493021239555"],
+      ["+49 176 1234567", "tel:+491761234567"],
+    ]);
+    expect(links("Din România: 0049 30 21239555")).toEqual([
+      ["0049 30 21239555", "tel:+493021239555"],
+    ]);
+  });
+
+  test("doesn't link opening hours, dates and other numbers", () => {
+    expect(links("Program: 09-13 14-18")).toEqual([]);
+    expect(links("Program: 0900-1300 1400-1800")).toEqual([]);
+    expect(links("Deschis din 01/02/2023")).toEqual([]);
+    expect(links("Deschis din 01.02.2023")).toEqual([]);
+    expect(links("Cod 0301234")).toEqual([]);
+  });
+});
@@ -0,0 +1,257 @@
+/*
+ * Local storage of location proposals: the draft of the form, saved while
+ * typing, the proposals waiting to be sent once the device is back online
+ * and the queued proposals the API rejected, kept apart from the draft until
+ * they are corrected. The photos are stored as data URLs, since blobs can't
+ * be kept in local storage.
+ */
+
+const DRAFT_STORAGE_KEY = "proposalDraft";
+const QUEUE_STORAGE_KEY = "proposalQueue";
+const REJECTED_STORAGE_KEY = "proposalRejected";
+
+const EMPTY_PROPOSAL = {
+  name: "",
+  address: "",
+  description: "",
+  website: "",
+  email: "",
+  phone: "",
+  point: null,
+  category: "",
+  opening_hours: "",
+  photos: [],
+};
+
+const blobToDataUrl = (blob) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+
+const dataUrlToBlob = (dataUrl) => {
+  const [header, data] = dataUrl.split(",");
+  const type = header.match(/^data:(.*?);base64$/)[1];
+  const bytes = Uint8Array.from(atob(data), (char) => char.charCodeAt(0));
+  return new Blob([bytes], { type });
+};
+
+const serialize = async (values) => ({
+  ...values,
+  photos: await Promise.all(
+    values.photos.map((photo) => blobToDataUrl(photo.blob))
+  ),
+});
+
+/* Preview URLs are only needed when the photos are shown in the form */
+const deserialize = (values, withPreviews) => ({
+  ...EMPTY_PROPOSAL,
+  ...values,
+  photos: values.photos.map((dataUrl) => {
+    const blob = dataUrlToBlob(dataUrl);
+    return withPreviews ? { blob, url: URL.createObjectURL(blob) } : { blob };
+  }),
+});
+
+const read = (key, fallback) => {
+  try {
+    return JSON.parse(window.localStorage.getItem(key)) ?? fallback;
+  } catch (error) {
+    return fallback;
+  }
+};
+
+/* Falls back to leaving out the photos when the storage is full, returns
+   whether either was saved */
+const write = (key, value, withoutPhotos) => {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (error) {
+    try {
+      window.localStorage.setItem(key, JSON.stringify(withoutPhotos));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+};
+
+/**
+ * Checks whether nothing has been filled in the proposal form yet.
+ * @param {object} values The values of the proposal form.
+ */
+const isEmptyProposal = (values) =>
+  Object.entries(EMPTY_PROPOSAL).every(([key, empty]) =>
+    Array.isArray(empty) ? !values[key].length : values[key] === empty
+  );
+
+/**
+ * Builds the multipart form posted to the API. The pin is optional, the
+ * address is geocoded later on when it's missing.
+ * @param {object} values The values of the proposal form.
+ */
+const toProposalFormData = ({ point, photos, ...properties }) => {
+  const data = new FormData();
+  Object.entries(properties)
+    .filter(([, value]) => value)
+    .forEach(([key, value]) => data.append(key, value));
+  if (point) {
+    data.append("point", JSON.stringify({ type: "Point", coordinates: point }));
+  }
+  photos.forEach((photo, index) =>
+    data.append("photos", photo.blob, `photo-${index + 1}.jpg`)
+  );
+  return data;
+};
+
+/**
+ * Restores the saved draft, with new preview URLs for its photos.
+ * @returns {object} The form values, or null without a draft.
+ */
+const loadDraft = () => {
+  const draft = read(DRAFT_STORAGE_KEY, null);
+  return draft && deserialize(draft, true);
+};
+
+/* Counts the changes of the draft, so that a save still encoding its photos
+   doesn't bring back a draft cleared in the meantime */
+let draftVersion = 0;
+
+/**
+ * Saves the values of the proposal form as draft.
+ * @param {object} values The values of the proposal form.
+ */
+const saveDraft = async (values) => {
+  if (isEmptyProposal(values)) {
+    clearDraft();
+    return;
+  }
+  const version = ++draftVersion;
+  const serialized = await serialize(values);
+  if (version === draftVersion) {
+    write(DRAFT_STORAGE_KEY, serialized, { ...values, photos: [] });
+  }
+};
+
+const clearDraft = () => {
+  draftVersion++;
+  window.localStorage.removeItem(DRAFT_STORAGE_KEY);
+};
+
+/**
+ * Returns the proposals waiting to be sent, as `{ id, values }`.
+ */
+const loadQueue = () =>
+  read(QUEUE_STORAGE_KEY, []).map(({ id, values }) => ({
+    id,
+    values: deserialize(values, false),
+  }));
+
+/**
+ * Adds a proposal to the ones waiting to be sent.
+ * @param {object} values The values of the proposal form.
+ * @returns {Promise<boolean>} Whether the proposal could be saved.
+ */
+const enqueueProposal = async (values) => {
+  const serialized = await serialize(values);
+  const queue = read(QUEUE_STORAGE_KEY, []);
+  const id = Date.now();
+  return write(
+    QUEUE_STORAGE_KEY,
+    [...queue, { id, values: serialized }],
+    [...queue, { id, values: { ...values, photos: [] } }]
+  );
+};
+
+/**
+ * Removes a proposal from the ones waiting to be sent.
+ * @param {number} id The id of the queued proposal.
+ */
+const dequeueProposal = (id) => {
+  const queue = read(QUEUE_STORAGE_KEY, []);
+  window.localStorage.setItem(
+    QUEUE_STORAGE_KEY,
+    JSON.stringify(queue.filter((entry) => entry.id !== id))
+  );
+};
+
+const getQueueLength = () => read(QUEUE_STORAGE_KEY, []).length;
+
+/**
+ * Moves a queued proposal the API rejected to the ones to be corrected.
+ * @param {number} id The id of the queued proposal.
+ * @param {object} errors The validation errors per field.
+ */
+const rejectProposal = (id, errors) => {
+  const entry = read(QUEUE_STORAGE_KEY, []).find((queued) => queued.id === id);
+  dequeueProposal(id);
+  if (!entry) return;
+  const rejected = read(REJECTED_STORAGE_KEY, []);
+  write(
+    REJECTED_STORAGE_KEY,
+    [...rejected, { ...entry, errors }],
+    [...rejected, { ...entry, errors, values: { ...entry.values, photos: [] } }]
+  );
+};
+
+/**
+ * Returns the oldest rejected proposal, with preview URLs for its photos.
+ * @returns {object} The proposal as `{ id, values, errors }`, or null.
+ */
+const loadRejected = () => {
+  const [entry] = read(REJECTED_STORAGE_KEY, []);
+  return entry ? { ...entry, values: deserialize(entry.values, true) } : null;
+};
+
+/**
+ * Saves the corrections of a rejected proposal.
+ * @param {number} id The id of the rejected proposal.
+ * @param {object} values The values of the proposal form.
+ */
+const saveRejected = async (id, values) => {
+  const serialized = await serialize(values);
+  const rejected = read(REJECTED_STORAGE_KEY, []);
+  // It may have been sent or discarded in the meantime
+  if (!rejected.some((entry) => entry.id === id)) return;
+  const update = (values) =>
+    rejected.map((entry) => (entry.id === id ? { ...entry, values } : entry));
+  write(
+    REJECTED_STORAGE_KEY,
+    update(serialized),
+    update({ ...values, photos: [] })
+  );
+};
+
+/**
+ * Removes a rejected proposal once it was sent again or discarded.
+ * @param {number} id The id of the rejected proposal.
+ */
+const removeRejected = (id) => {
+  const rejected = read(REJECTED_STORAGE_KEY, []);
+  window.localStorage.setItem(
+    REJECTED_STORAGE_KEY,
+    JSON.stringify(rejected.filter((entry) => entry.id !== id))
+  );
+};
+
+const getRejectedCount = () => read(REJECTED_STORAGE_KEY, []).length;
+
+export {
+  EMPTY_PROPOSAL,
+  toProposalFormData,
+  loadDraft,
+  saveDraft,
+  clearDraft,
+  loadQueue,
+  enqueueProposal,
+  dequeueProposal,
+  getQueueLength,
+  rejectProposal,
+  loadRejected,
+  saveRejected,
+  removeRejected,
+  getRejectedCount,
+};
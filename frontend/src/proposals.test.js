@@ -0,0 +1,126 @@
+import {
+  EMPTY_PROPOSAL,
+  clearDraft,
+  enqueueProposal,
+  getQueueLength,
+  getRejectedCount,
+  loadDraft,
+  loadQueue,
+  loadRejected,
+  rejectProposal,
+  removeRejected,
+  saveDraft,
+  saveRejected,
+  toProposalFormData,
+} from "./proposals";
+
+const photo = () => ({ blob: new Blob(["photo"], { type: "image/jpeg" }) });
+
+beforeEach(() => {
+  window.localStorage.clear();
+  URL.createObjectURL = jest.fn(() => "blob:preview");
+});
+
+describe("toProposalFormData", () => {
+  test("leaves out blank fields and posts the pin as GeoJSON", () => {
+    const data = toProposalFormData({
+      ...EMPTY_PROPOSAL,
+      name: "Magazin",
+      point: [13.43, 52.517],
+      photos: [photo()],
+    });
+    expect(Array.from(data.keys())).toEqual(["name", "point", "photos"]);
+    expect(JSON.parse(data.get("point"))).toEqual({
+      type: "Point",
+      coordinates: [13.43, 52.517],
+    });
+    expect(data.get("photos").name).toBe("photo-1.jpg");
+  });
+});
+
+describe("draft", () => {
+  test("keeps the values along with the photos", async () => {
+    await saveDraft({ ...EMPTY_PROPOSAL, name: "Magazin", photos: [photo()] });
+    const draft = loadDraft();
+    expect(draft.name).toBe("Magazin");
+    expect(draft.photos).toHaveLength(1);
+    expect(draft.photos[0].blob.type).toBe("image/jpeg");
+    expect(draft.photos[0].url).toBe("blob:preview");
+  });
+
+  test("is removed once the form is empty again", async () => {
+    await saveDraft({ ...EMPTY_PROPOSAL, name: "Magazin" });
+    await saveDraft(EMPTY_PROPOSAL);
+    expect(loadDraft()).toBeNull();
+  });
+
+  test("stays cleared when a save finishes afterwards", async () => {
+    const saving = saveDraft({ ...EMPTY_PROPOSAL, photos: [photo()] });
+    clearDraft();
+    await saving;
+    expect(loadDraft()).toBeNull();
+  });
+});
+
+describe("queue", () => {
+  const proposal = { ...EMPTY_PROPOSAL, name: "Magazin", photos: [photo()] };
+  const setItem = Storage.prototype.setItem;
+  const fillStorage = (fits) =>
+    jest
+      .spyOn(Storage.prototype, "setItem")
+      .mockImplementation(function (key, value) {
+        if (!fits(value)) throw new Error("QuotaExceededError");
+        setItem.call(this, key, value);
+      });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test("leaves out the photos when the storage is full", async () => {
+    fillStorage((value) => !value.includes("data:image/jpeg"));
+    expect(await enqueueProposal(proposal)).toBe(true);
+    const [queued] = loadQueue();
+    expect(queued.values.name).toBe("Magazin");
+    expect(queued.values.photos).toHaveLength(0);
+  });
+
+  test("reports when the proposal doesn't fit at all", async () => {
+    fillStorage(() => false);
+    expect(await enqueueProposal(proposal)).toBe(false);
+    expect(getQueueLength()).toBe(0);
+  });
+});
+
+describe("rejected proposals", () => {
+  const queue = async (name) => {
+    await enqueueProposal({ ...EMPTY_PROPOSAL, name, photos: [photo()] });
+    return loadQueue().find(({ values }) => values.name === name).id;
+  };
+
+  test("are moved out of the queue along with their errors", async () => {
+    const id = await queue("Magazin");
+    await saveDraft({ ...EMPTY_PROPOSAL, name: "Another draft" });
+    rejectProposal(id, { website: "Enter a valid URL." });
+
+    expect(getQueueLength()).toBe(0);
+    expect(getRejectedCount()).toBe(1);
+    expect(loadDraft().name).toBe("Another draft");
+    const rejected = loadRejected();
+    expect(rejected.id).toBe(id);
+    expect(rejected.values.name).toBe("Magazin");
+    expect(rejected.values.photos).toHaveLength(1);
+    expect(rejected.errors).toEqual({ website: "Enter a valid URL." });
+  });
+
+  test("keep their corrections until they are removed", async () => {
+    const id = await queue("Magazin");
+    rejectProposal(id, {});
+    await saveRejected(id, { ...loadRejected().values, name: "Magazin nou" });
+    expect(loadRejected().values.name).toBe("Magazin nou");
+
+    const saving = saveRejected(id, { ...EMPTY_PROPOSAL, name: "Too late" });
+    removeRejected(id);
+    await saving;
+    expect(getRejectedCount()).toBe(0);
+    expect(loadRejected()).toBeNull();
+  });
+});
@@ -0,0 +1,374 @@
+/*
+ * QR codes generated on the client, so that links to locations can be put
+ * on flyers without sending them to a third party. Supports byte mode with
+ * medium error correction up to version 10, enough for URLs of about 200
+ * characters. Follows ISO/IEC 18004, structured like the reference
+ * implementation by Project Nayuki.
+ */
+
+const MAX_VERSION = 10;
+/* Format bits of the medium error correction level */
+const ECC_FORMAT_BITS = 0;
+/* Error correction codewords per block and number of blocks, by version */
+const ECC_CODEWORDS_PER_BLOCK = [0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+const ECC_BLOCKS = [0, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+/* Light and dark modules looking like a finder pattern, in both directions */
+const FINDER_LIKE = ["10111010000", "00001011101"];
+
+const getBit = (value, index) => ((value >>> index) & 1) !== 0;
+
+function getNumRawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const numAlign = Math.floor(version / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+const getNumDataCodewords = (version) =>
+  Math.floor(getNumRawDataModules(version) / 8) -
+  ECC_CODEWORDS_PER_BLOCK[version] * ECC_BLOCKS[version];
+
+function getAlignmentPositions(version, size) {
+  if (version === 1) return [];
+  const numAlign = Math.floor(version / 7) + 2;
+  const step = Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+  const result = [6];
+  for (let position = size - 7; result.length < numAlign; position -= step) {
+    result.splice(1, 0, position);
+  }
+  return result;
+}
+
+/* Multiplication in the Galois field GF(2^8) of the Reed-Solomon code */
+function multiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function getDivisor(degree) {
+  const result = Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = multiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = multiply(root, 0x02);
+  }
+  return result;
+}
+
+function getRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  data.forEach((byte) => {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, index) => {
+      result[index] ^= multiply(coefficient, factor);
+    });
+  });
+  return result;
+}
+
+/* Splits the data into blocks, adds their error correction and interleaves them */
+function addErrorCorrection(data, version) {
+  const numBlocks = ECC_BLOCKS[version];
+  const blockEccLength = ECC_CODEWORDS_PER_BLOCK[version];
+  const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+  const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+  const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+  const divisor = getDivisor(blockEccLength);
+
+  const blocks = [];
+  for (let i = 0, offset = 0; i < numBlocks; i++) {
+    const blockData = data.slice(
+      offset,
+      offset + shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1)
+    );
+    offset += blockData.length;
+    const ecc = getRemainder(blockData, divisor);
+    if (i < numShortBlocks) blockData.push(0);
+    blocks.push([...blockData, ...ecc]);
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      // Skip the padding of the short blocks
+      if (i !== shortBlockLength - blockEccLength || j >= numShortBlocks) {
+        result.push(block[i]);
+      }
+    });
+  }
+  return result;
+}
+
+function encodeData(bytes, version) {
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push(getBit(value, i) ? 1 : 0);
+  };
+  append(0b0100, 4);
+  append(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach((byte) => append(byte, 8));
+
+  const capacity = getNumDataCodewords(version) * 8;
+  append(0, Math.min(4, capacity - bits.length));
+  append(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) {
+    append(pad, 8);
+  }
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(parseInt(bits.slice(i, i + 8).join(""), 2));
+  }
+  return codewords;
+}
+
+function drawFunctionPatterns(version, size, modules, isFunction) {
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    isFunction[y][x] = true;
+  };
+
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+
+  [
+    [3, 3],
+    [size - 4, 3],
+    [3, size - 4],
+  ].forEach(([x, y]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x + dx >= 0 && x + dx < size && y + dy >= 0 && y + dy < size) {
+          set(x + dx, y + dy, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+  });
+
+  const positions = getAlignmentPositions(version, size);
+  const last = positions.length - 1;
+  positions.forEach((x, i) =>
+    positions.forEach((y, j) => {
+      // The corners are taken by the finder patterns
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) {
+        return;
+      }
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          set(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    })
+  );
+
+  // Placeholders, replaced once the mask is known
+  drawFormatBits(0, size, set);
+
+  if (version >= 7) {
+    let remainder = version;
+    for (let i = 0; i < 12; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    }
+    const bits = (version << 12) | remainder;
+    for (let i = 0; i < 18; i++) {
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      set(a, b, getBit(bits, i));
+      set(b, a, getBit(bits, i));
+    }
+  }
+}
+
+function drawFormatBits(mask, size, set) {
+  const data = (ECC_FORMAT_BITS << 3) | mask;
+  let remainder = data;
+  for (let i = 0; i < 10; i++) {
+    remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+  }
+  const bits = ((data << 10) | remainder) ^ 0x5412;
+
+  for (let i = 0; i <= 5; i++) set(8, i, getBit(bits, i));
+  set(8, 7, getBit(bits, 6));
+  set(8, 8, getBit(bits, 7));
+  set(7, 8, getBit(bits, 8));
+  for (let i = 9; i < 15; i++) set(14 - i, 8, getBit(bits, i));
+
+  for (let i = 0; i < 8; i++) set(size - 1 - i, 8, getBit(bits, i));
+  for (let i = 8; i < 15; i++) set(8, size - 15 + i, getBit(bits, i));
+  set(8, size - 8, true);
+}
+
+function drawCodewords(codewords, size, modules, isFunction) {
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    // Skip the vertical timing pattern
+    if (right === 6) right = 5;
+    for (let vertical = 0; vertical < size; vertical++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vertical : vertical;
+        if (!isFunction[y][x] && i < codewords.length * 8) {
+          modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+          i++;
+        }
+      }
+    }
+  }
+}
+
+function applyMask(mask, size, modules, isFunction) {
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (!isFunction[y][x] && MASKS[mask](x, y)) {
+        modules[y][x] = !modules[y][x];
+      }
+    }
+  }
+}
+
+/* Penalty of a masked symbol, the mask with the lowest one is used */
+function getPenalty(size, modules) {
+  let penalty = 0;
+  const lines = [
+    ...modules,
+    ...modules.map((_, x) => modules.map((row) => row[x])),
+  ].map((line) => line.map((dark) => (dark ? "1" : "0")).join(""));
+
+  lines.forEach((line) => {
+    (line.match(/0{5,}|1{5,}/g) || []).forEach((run) => {
+      penalty += run.length - 2;
+    });
+    FINDER_LIKE.forEach((pattern) => {
+      for (
+        let index = line.indexOf(pattern);
+        index !== -1;
+        index = line.indexOf(pattern, index + 1)
+      ) {
+        penalty += 40;
+      }
+    });
+  });
+
+  let dark = 0;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark++;
+      if (
+        x < size - 1 &&
+        y < size - 1 &&
+        modules[y][x] === modules[y][x + 1] &&
+        modules[y][x] === modules[y + 1][x] &&
+        modules[y][x] === modules[y + 1][x + 1]
+      ) {
+        penalty += 3;
+      }
+    }
+  }
+  const total = size * size;
+  penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+  return penalty;
+}
+
+/**
+ * Encodes text as QR code.
+ * @param {string} text The text, usually a URL.
+ * @returns {object} The QR code as `{ size, modules }`, the modules being
+ * rows of booleans which are true for dark modules.
+ */
+function createQrCode(text) {
+  const bytes = Array.from(new TextEncoder().encode(text));
+  let version = 1;
+  while (bytes.length + 3 > getNumDataCodewords(version)) {
+    if (++version > MAX_VERSION) {
+      throw new Error("Text too long for a QR code");
+    }
+  }
+  const size = version * 4 + 17;
+  const codewords = addErrorCorrection(encodeData(bytes, version), version);
+
+  const modules = Array.from({ length: size }, () => Array(size).fill(false));
+  const isFunction = Array.from({ length: size }, () =>
+    Array(size).fill(false)
+  );
+  drawFunctionPatterns(version, size, modules, isFunction);
+  drawCodewords(codewords, size, modules, isFunction);
+
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+  };
+  let best = null;
+  MASKS.forEach((_, mask) => {
+    applyMask(mask, size, modules, isFunction);
+    drawFormatBits(mask, size, set);
+    const penalty = getPenalty(size, modules);
+    if (!best || penalty < best.penalty) {
+      best = { mask, penalty };
+    }
+    // Masks are undone by applying them again
+    applyMask(mask, size, modules, isFunction);
+  });
+  applyMask(best.mask, size, modules, isFunction);
+  drawFormatBits(best.mask, size, set);
+
+  return { size, modules };
+}
+
+/**
+ * SVG path drawing the dark modules of a QR code, one unit per module.
+ * @param {object} qrCode The QR code.
+ */
+function getQrCodePath({ size, modules }) {
+  const parts = [];
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) parts.push(`M${x},${y}h1v1h-1z`);
+    }
+  }
+  return parts.join("");
+}
+
+/**
+ * Standalone SVG image of a QR code, with the quiet zone around it.
+ * @param {object} qrCode The QR code.
+ */
+function toSvg(qrCode) {
+  const border = 4;
+  const dimension = qrCode.size + border * 2;
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${-border} ${-border} ${dimension} ${dimension}" shape-rendering="crispEdges">`,
+    `<rect x="${-border}" y="${-border}" width="${dimension}" height="${dimension}" fill="#ffffff"/>`,
+    `<path d="${getQrCodePath(qrCode)}" fill="#000000"/>`,
+    "</svg>",
+  ].join("\n");
+}
+
+export { createQrCode, getQrCodePath, toSvg };
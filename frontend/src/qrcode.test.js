@@ -0,0 +1,221 @@
+import { TextDecoder, TextEncoder } from "util";
+
+import { createQrCode, getQrCodePath, toSvg } from "./qrcode";
+
+// Missing in the jsdom of the tests, unlike in browsers
+global.TextEncoder = TextEncoder;
+
+/* Codewords, error correction codewords per block and blocks of the medium
+   error correction level, by version, as listed in ISO/IEC 18004 */
+const VERSIONS = {
+  1: [26, 10, 1],
+  2: [44, 16, 1],
+  3: [70, 26, 1],
+  4: [100, 18, 2],
+  5: [134, 24, 2],
+  6: [172, 16, 4],
+  7: [196, 18, 4],
+  8: [242, 22, 4],
+  9: [292, 22, 5],
+  10: [346, 26, 5],
+};
+const ALIGNMENT_POSITIONS = {
+  1: [],
+  2: [6, 18],
+  3: [6, 22],
+  4: [6, 26],
+  5: [6, 30],
+  6: [6, 34],
+  7: [6, 22, 38],
+  8: [6, 24, 42],
+  9: [6, 26, 46],
+  10: [6, 28, 50],
+};
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(y / 2) + Math.floor(x / 3)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+const EXP = [1];
+for (let i = 1; i < 255; i++) {
+  EXP[i] = (EXP[i - 1] << 1) ^ (EXP[i - 1] & 0x80 ? 0x11d : 0);
+}
+const LOG = [];
+EXP.forEach((value, i) => (LOG[value] = i));
+const multiply = (a, b) => (a && b ? EXP[(LOG[a] + LOG[b]) % 255] : 0);
+
+function isFunctionModule(version, size, x, y) {
+  const positions = ALIGNMENT_POSITIONS[version];
+  const last = positions[positions.length - 1];
+  const isAlignment = positions.some((ax) =>
+    positions.some(
+      (ay) =>
+        !(ax === 6 && ay === 6) &&
+        !(ax === 6 && ay === last) &&
+        !(ax === last && ay === 6) &&
+        Math.abs(x - ax) <= 2 &&
+        Math.abs(y - ay) <= 2
+    )
+  );
+  const isVersion =
+    version >= 7 &&
+    ((x >= size - 11 && x < size - 8 && y < 6) ||
+      (y >= size - 11 && y < size - 8 && x < 6));
+  return (
+    (x < 9 && y < 9) ||
+    (x >= size - 8 && y < 9) ||
+    (x < 9 && y >= size - 8) ||
+    x === 6 ||
+    y === 6 ||
+    isAlignment ||
+    isVersion
+  );
+}
+
+/**
+ * Reads a QR code the way a scanner does, checking the error correction of
+ * every block along the way.
+ */
+function decode({ size, modules }) {
+  const version = (size - 17) / 4;
+  const [numCodewords, blockEccLength, numBlocks] = VERSIONS[version];
+
+  const readFormat = (positions) =>
+    positions.reduce((bits, [x, y], i) => bits | (modules[y][x] << i), 0) ^
+    0x5412;
+  const format = readFormat([
+    ...[0, 1, 2, 3, 4, 5, 7, 8].map((y) => [8, y]),
+    ...[7, 5, 4, 3, 2, 1, 0].map((x) => [x, 8]),
+  ]);
+  expect(
+    readFormat([
+      ...Array.from({ length: 8 }, (_, i) => [size - 1 - i, 8]),
+      ...Array.from({ length: 7 }, (_, i) => [8, size - 7 + i]),
+    ])
+  ).toBe(format);
+  expect(format >>> 13).toBe(0);
+  const mask = MASKS[(format >>> 10) & 7];
+
+  if (version >= 7) {
+    let bits = 0;
+    for (let i = 0; i < 18; i++) {
+      bits |= modules[Math.floor(i / 3)][size - 11 + (i % 3)] << i;
+    }
+    expect(bits >>> 12).toBe(version);
+  }
+
+  const bits = [];
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vertical = 0; vertical < size; vertical++) {
+      for (const x of [right, right - 1]) {
+        const y = ((right + 1) & 2) === 0 ? size - 1 - vertical : vertical;
+        if (!isFunctionModule(version, size, x, y)) {
+          bits.push(modules[y][x] !== mask(x, y) ? 1 : 0);
+        }
+      }
+    }
+  }
+  const codewords = Array.from({ length: numCodewords }, (_, i) =>
+    parseInt(bits.slice(i * 8, i * 8 + 8).join(""), 2)
+  );
+
+  const numShortBlocks = numBlocks - (numCodewords % numBlocks);
+  const shortDataLength = Math.floor(numCodewords / numBlocks) - blockEccLength;
+  const blocks = Array.from({ length: numBlocks }, () => []);
+  for (let i = 0; i <= shortDataLength; i++) {
+    blocks.forEach((block, j) => {
+      if (i < shortDataLength || j >= numShortBlocks) {
+        block.push(codewords.shift());
+      }
+    });
+  }
+  const dataCodewords = blocks.flat();
+  for (let i = 0; i < blockEccLength; i++) {
+    blocks.forEach((block) => block.push(codewords.shift()));
+  }
+  blocks.forEach((block) => {
+    for (let root = 0; root < blockEccLength; root++) {
+      const syndrome = block.reduce(
+        (sum, codeword) => multiply(sum, EXP[root]) ^ codeword,
+        0
+      );
+      expect(syndrome).toBe(0);
+    }
+  });
+
+  const data = dataCodewords
+    .map((codeword) => codeword.toString(2).padStart(8, "0"))
+    .join("");
+  expect(data.slice(0, 4)).toBe("0100");
+  const lengthBits = version < 10 ? 8 : 16;
+  const length = parseInt(data.slice(4, 4 + lengthBits), 2);
+  const bytes = Array.from({ length }, (_, i) =>
+    parseInt(data.slice(4 + lengthBits + i * 8, 12 + lengthBits + i * 8), 2)
+  );
+  return new TextDecoder().decode(new Uint8Array(bytes));
+}
+
+const url = (length) =>
+  `https://ghid.example.org/loc/${"a".repeat(length - 29)}`;
+
+describe("createQrCode", () => {
+  test("picks the smallest version fitting the text", () => {
+    expect(createQrCode("https://x.ro").size).toBe(21);
+    expect(createQrCode(url(100)).size).toBe(41);
+    expect(createQrCode(url(213)).size).toBe(57);
+    expect(() => createQrCode(url(214))).toThrow("Text too long");
+  });
+
+  test("draws the finder patterns in three corners", () => {
+    const { size, modules } = createQrCode("https://x.ro");
+    [
+      [0, 0],
+      [size - 7, 0],
+      [0, size - 7],
+    ].forEach(([left, top]) => {
+      for (let dy = -1; dy <= 7; dy++) {
+        for (let dx = -1; dx <= 7; dx++) {
+          const x = left + dx;
+          const y = top + dy;
+          if (x < 0 || y < 0 || x >= size || y >= size) continue;
+          const ring = Math.max(Math.abs(dx - 3), Math.abs(dy - 3));
+          expect(modules[y][x]).toBe(ring !== 2 && ring !== 4);
+        }
+      }
+    });
+  });
+
+  test.each([
+    ["https://x.ro"],
+    ["https://ghid.example.org/c/biserici/loc/42?lang=ro"],
+    ["Biserica Ortodoxă Română, Cantianstraße 1"],
+    [url(150)],
+    [url(213)],
+  ])("can be read back: %s", (text) => {
+    expect(decode(createQrCode(text))).toBe(text);
+  });
+});
+
+describe("getQrCodePath", () => {
+  test("draws a square for every dark module", () => {
+    const qrCode = createQrCode("https://x.ro");
+    const dark = qrCode.modules.flat().filter(Boolean).length;
+    expect(getQrCodePath(qrCode).match(/M/g)).toHaveLength(dark);
+    expect(getQrCodePath(qrCode)).toMatch(/^M0,0h1v1h-1z/);
+  });
+});
+
+describe("toSvg", () => {
+  test("adds the quiet zone around the code", () => {
+    const svg = toSvg(createQrCode("https://x.ro"));
+    expect(svg).toContain('viewBox="-4 -4 29 29"');
+    expect(svg).toContain('width="29" height="29" fill="#ffffff"');
+  });
+});
@@ -0,0 +1,260 @@
+import * as React from "react";
+import {
+  Redirect,
+  useHistory,
+  useLocation as useRouterLocation,
+  useRouteMatch,
+} from "react-router-dom";
+
+import { DEFAULT_VIEWPORT } from "./constants";
+import { useCategoriesQuery, useLocationsQuery } from "./hooks";
+import { setViewportToQuery } from "./utils";
+
+/*
+ * The URL is the single source of truth for the selected categories and
+ * the opened location, e.g. /c/food,church/loc/12. Filters replace the
+ * current history entry, while opening a location pushes a new one, so that
+ * the back button closes the location again. Filters which are switched on
+ * or off, like showing only the saved locations, are query parameters.
+ * So is the embed mode of the map, which the links within the map keep.
+ */
+
+const PATHS = {
+  CATEGORIES_LOCATION: "/c/:slugs/loc/:pk",
+  LOCATION: "/loc/:pk",
+  CATEGORIES: "/c/:slugs",
+  HOME: "/",
+};
+const ROUTE_PATHS = Object.values(PATHS);
+
+/* Printable guide with all locations, outside of the map routes */
+const PRINT_PATH = "/print";
+/* Area for reviewing submitted locations */
+const REVIEW_PATH = "/review";
+/* Entry point of the map embedded into other websites */
+const EMBED_PATH = "/embed";
+/* Generator of the code for embedding the map */
+const EMBED_CODE_PATH = "/embed/code";
+
+/* Query parameters of the filters switched on or off */
+const SAVED_PARAM = "saved";
+const OPEN_NOW_PARAM = "open";
+/* Query parameter of a shared list of saved locations */
+const IMPORT_PARAM = "import";
+/* Query parameter of the embedded map */
+const EMBED_PARAM = "embed";
+
+/* Placeholder for an empty selection of categories */
+const NO_CATEGORIES = "none";
+
+/**
+ * Builds the path for a selection of categories and an opened location.
+ * @param {string} slugs The comma separated slugs of the selected categories,
+ * an empty string if none are selected or null if all of them are shown.
+ * @param {number} pk The pk of the opened location, if any.
+ */
+function buildPath({ slugs = null, pk = null }) {
+  let path = "";
+  if (slugs !== null) {
+    path += `/c/${slugs || NO_CATEGORIES}`;
+  }
+  if (pk) {
+    path += `/loc/${pk}`;
+  }
+  return path || PATHS.HOME;
+}
+
+function useRouteParams() {
+  const match = useRouteMatch(ROUTE_PATHS);
+  return match?.params || {};
+}
+
+/**
+ * Returns the location opened in the URL and a function for opening another
+ * one, or closing it when called with null. The location is only available
+ * once the locations are loaded.
+ */
+function useLocation() {
+  const { slugs = null, pk } = useRouteParams();
+  const history = useHistory();
+  const routerLocation = useRouterLocation();
+  const { data } = useLocationsQuery();
+
+  const location = React.useMemo(
+    () =>
+      (pk &&
+        data.features.find((feature) => feature.properties.pk === Number(pk))) ||
+      null,
+    [pk, data]
+  );
+
+  const { search, state } = routerLocation;
+  const openedInApp = !!state?.openedInApp;
+
+  const setLocation = React.useCallback(
+    (newLocation) => {
+      if (newLocation) {
+        const to = {
+          pathname: buildPath({ slugs, pk: newLocation.properties.pk }),
+          search,
+          state: { openedInApp: true },
+        };
+        // Switching between locations keeps a single entry to go back from
+        pk && openedInApp ? history.replace(to) : history.push(to);
+      } else if (openedInApp) {
+        // The filters may have changed since the location was opened, so the
+        // entry gone back to is updated to the current ones
+        const unlisten = history.listen((previous) => {
+          unlisten();
+          const pathname = buildPath({ slugs });
+          if (previous.pathname !== pathname || previous.search !== search) {
+            history.replace({ pathname, search, state: previous.state });
+          }
+        });
+        history.goBack();
+      } else if (pk) {
+        history.replace({ pathname: buildPath({ slugs }), search });
+      }
+    },
+    [history, slugs, pk, search, openedInApp]
+  );
+
+  return [location, setLocation];
+}
+
+/**
+ * Returns the categories selected in the URL, or null if all categories are
+ * shown, and a function for changing the selection.
+ */
+function useCategories() {
+  const { slugs = null, pk } = useRouteParams();
+  const history = useHistory();
+  const { search, state } = useRouterLocation();
+  const { data } = useCategoriesQuery();
+
+  const categories = React.useMemo(() => {
+    if (slugs === null) {
+      return null;
+    }
+    if (slugs === NO_CATEGORIES) {
+      return [];
+    }
+    const slugList = slugs.split(",");
+    const selected = data.filter((category) =>
+      slugList.includes(category.name_slug)
+    );
+    // Unknown slugs show all categories
+    return selected.length ? selected : null;
+  }, [slugs, data]);
+
+  const setCategories = React.useCallback(
+    (newCategories) => {
+      const newSlugs = newCategories
+        ? newCategories.map((category) => category.name_slug).join(",")
+        : null;
+      history.replace({
+        pathname: buildPath({ slugs: newSlugs, pk }),
+        search,
+        state,
+      });
+    },
+    [history, pk, search, state]
+  );
+
+  return [categories, setCategories];
+}
+
+/**
+ * Returns whether a filter kept as query parameter, like ?saved=1, is active
+ * and a function for switching it.
+ * @param {string} name The name of the query parameter.
+ */
+function useQueryFlag(name) {
+  const history = useHistory();
+  const { pathname, search, state } = useRouterLocation();
+  const active = new URLSearchParams(search).get(name) === "1";
+
+  const setActive = React.useCallback(
+    (value) => {
+      const query = new URLSearchParams(search);
+      value ? query.set(name, "1") : query.delete(name);
+      history.replace({ pathname, search: query.toString(), state });
+    },
+    [history, name, pathname, search, state]
+  );
+
+  return [active, setActive];
+}
+
+/* Only the locations saved by the user */
+const useSavedFilter = () => useQueryFlag(SAVED_PARAM);
+/* Only the locations which are open right now */
+const useOpenNowFilter = () => useQueryFlag(OPEN_NOW_PARAM);
+/* Whether the map is embedded into another website */
+const useEmbedMode = () => useQueryFlag(EMBED_PARAM)[0];
+
+/**
+ * Redirects links from before the routes existed, like ?category=food or
+ * ?location=12, to their current path.
+ */
+function LegacyRedirect() {
+  const { pathname, search } = useRouterLocation();
+  const query = new URLSearchParams(search);
+  const slugs = query.get("category");
+  const pk = query.get("location");
+  // The embedded map takes the same parameters and redirects on its own
+  if ((slugs === null && pk === null) || pathname === EMBED_PATH) {
+    return null;
+  }
+  query.delete("category");
+  query.delete("location");
+  return (
+    <Redirect
+      to={{ pathname: buildPath({ slugs, pk }), search: query.toString() }}
+    />
+  );
+}
+
+/**
+ * Redirects the entry point of the embedded map, like
+ * /embed?category=food&location=12&zoom=13&lang=de, to the map routes in
+ * embed mode. The language is taken from the URL by the LanguageProvider and
+ * a zoom level without center is applied to the center of Berlin.
+ */
+function EmbedRedirect() {
+  const { search } = useRouterLocation();
+  const query = new URLSearchParams(search);
+  const slugs = query.get("category");
+  const pk = query.get("location");
+  query.delete("category");
+  query.delete("location");
+  query.set(EMBED_PARAM, "1");
+  const zoom = parseFloat(query.get("zoom"));
+  if (!isNaN(zoom) && !(query.has("lat") && query.has("lng"))) {
+    setViewportToQuery(query, { ...DEFAULT_VIEWPORT, zoom });
+  }
+  return (
+    <Redirect
+      to={{ pathname: buildPath({ slugs, pk }), search: query.toString() }}
+    />
+  );
+}
+
+export {
+  PATHS,
+  ROUTE_PATHS,
+  PRINT_PATH,
+  REVIEW_PATH,
+  EMBED_PATH,
+  EMBED_CODE_PATH,
+  SAVED_PARAM,
+  IMPORT_PARAM,
+  buildPath,
+  useLocation,
+  useCategories,
+  useSavedFilter,
+  useOpenNowFilter,
+  useEmbedMode,
+  LegacyRedirect,
+  EmbedRedirect,
+};
@@ -0,0 +1,152 @@
+import { act, render } from "@testing-library/react";
+import { MemoryRouter, Route, useHistory } from "react-router-dom";
+import { QueryClient, QueryClientProvider } from "react-query";
+
+import {
+  EMBED_PATH,
+  EmbedRedirect,
+  LegacyRedirect,
+  buildPath,
+  useCategories,
+  useLocation,
+  useSavedFilter,
+} from "./routing";
+
+const categories = [
+  { pk: 1, name_slug: "food" },
+  { pk: 2, name_slug: "church" },
+];
+const locations = {
+  type: "FeatureCollection",
+  features: [
+    {
+      type: "Feature",
+      geometry: { type: "Point", coordinates: [13.4, 52.5] },
+      properties: { pk: 7, name: "Magazin", category: categories[0] },
+    },
+  ],
+};
+
+/**
+ * Renders the routing hooks at a path, returning their latest values along
+ * with the history of the router.
+ */
+function renderRouting(path) {
+  const queryClient = new QueryClient({
+    defaultOptions: { queries: { staleTime: Infinity } },
+  });
+  queryClient.setQueryData("categories", categories);
+  queryClient.setQueryData("locations", locations);
+  const current = {};
+
+  function Probe() {
+    current.history = useHistory();
+    [current.location, current.setLocation] = useLocation();
+    [current.categories, current.setCategories] = useCategories();
+    [current.savedOnly, current.setSavedOnly] = useSavedFilter();
+    return null;
+  }
+
+  render(
+    <QueryClientProvider client={queryClient}>
+      <MemoryRouter initialEntries={[path]}>
+        <LegacyRedirect />
+        <Route path={EMBED_PATH} exact>
+          <EmbedRedirect />
+        </Route>
+        <Probe />
+      </MemoryRouter>
+    </QueryClientProvider>
+  );
+  return current;
+}
+
+describe("buildPath", () => {
+  test("builds the paths of categories and locations", () => {
+    expect(buildPath({})).toBe("/");
+    expect(buildPath({ slugs: "food,church" })).toBe("/c/food,church");
+    expect(buildPath({ slugs: "" })).toBe("/c/none");
+    expect(buildPath({ pk: 7 })).toBe("/loc/7");
+    expect(buildPath({ slugs: "food", pk: 7 })).toBe("/c/food/loc/7");
+  });
+});
+
+describe("useCategories", () => {
+  test("reads the selected categories from the path", () => {
+    expect(renderRouting("/c/church").categories).toEqual([categories[1]]);
+    expect(renderRouting("/c/none").categories).toEqual([]);
+    expect(renderRouting("/").categories).toBeNull();
+  });
+
+  test("shows all categories for unknown slugs", () => {
+    expect(renderRouting("/c/unknown").categories).toBeNull();
+  });
+
+  test("replaces the path, keeping the opened location", () => {
+    const current = renderRouting("/c/food/loc/7");
+    act(() => current.setCategories([categories[1]]));
+    expect(current.history.location.pathname).toBe("/c/church/loc/7");
+    expect(current.history.length).toBe(1);
+  });
+});
+
+describe("useLocation", () => {
+  test("opens a location in a new entry and closes it by going back", () => {
+    const current = renderRouting("/c/food?saved=1");
+    act(() => current.setLocation(locations.features[0]));
+    expect(current.location.properties.pk).toBe(7);
+    expect(current.history.location.pathname).toBe("/c/food/loc/7");
+    expect(current.history.location.search).toBe("?saved=1");
+
+    act(() => current.setLocation(null));
+    expect(current.location).toBeNull();
+    expect(current.history.location.pathname).toBe("/c/food");
+    expect(current.history.index).toBe(0);
+  });
+
+  test("keeps the categories changed while the location was open", () => {
+    const current = renderRouting("/c/food");
+    act(() => current.setLocation(locations.features[0]));
+    act(() => current.setCategories([categories[1]]));
+    act(() => current.setLocation(null));
+    expect(current.history.location.pathname).toBe("/c/church");
+    expect(current.history.index).toBe(0);
+  });
+
+  test("replaces a location opened by a link when closing it", () => {
+    const current = renderRouting("/c/food/loc/7");
+    act(() => current.setLocation(null));
+    expect(current.history.location.pathname).toBe("/c/food");
+    expect(current.history.length).toBe(1);
+  });
+});
+
+describe("useSavedFilter", () => {
+  test("switches the query parameter, keeping the path", () => {
+    const current = renderRouting("/c/food?lang=de");
+    expect(current.savedOnly).toBe(false);
+    act(() => current.setSavedOnly(true));
+    expect(current.savedOnly).toBe(true);
+    expect(current.history.location.pathname).toBe("/c/food");
+    expect(current.history.location.search).toBe("?lang=de&saved=1");
+    act(() => current.setSavedOnly(false));
+    expect(current.history.location.search).toBe("?lang=de");
+  });
+});
+
+describe("redirects", () => {
+  test("redirects old links to the routes", () => {
+    const { history } = renderRouting("/?category=food&location=7&lang=de");
+    expect(history.location.pathname).toBe("/c/food/loc/7");
+    expect(history.location.search).toBe("?lang=de");
+  });
+
+  test("redirects the embedded map to the routes in embed mode", () => {
+    const { history } = renderRouting(`${EMBED_PATH}?category=church&zoom=13`);
+    expect(history.location.pathname).toBe("/c/church");
+    const query = new URLSearchParams(history.location.search);
+    expect(query.get("embed")).toBe("1");
+    expect(query.get("zoom")).toBe("13.00");
+    expect(query.has("lat") && query.has("lng")).toBe(true);
+  });
+});
@@ -0,0 +1,329 @@
+/*
+ * Opening hours in the OpenStreetMap `opening_hours` syntax, evaluated in
+ * Berlin time. The commonly used part of the syntax is supported: weekdays
+ * and public holidays as selectors, time spans, also past midnight, "off"
+ * and "24/7", with rules separated by ";", "," and "||". Anything else makes
+ * the parser give up, so that the opening hours are shown as written.
+ */
+
+const WEEKDAYS = ["Mo", "Tu", "We", "Th", "Fr", "Sa", "Su"];
+const HOLIDAY = "PH";
+const TIME_ZONE = "Europe/Berlin";
+const MINUTES_PER_DAY = 24 * 60;
+const DAY_MS = MINUTES_PER_DAY * 60 * 1000;
+/* How many days ahead the next opening or closing is looked for */
+const LOOKAHEAD_DAYS = 8;
+
+/* Public holidays of Berlin as [month, day] */
+const FIXED_HOLIDAYS = [
+  [1, 1],
+  [3, 8],
+  [5, 1],
+  [10, 3],
+  [12, 25],
+  [12, 26],
+];
+/* Good Friday, Easter Monday, Ascension Day and Whit Monday */
+const EASTER_HOLIDAYS = [-2, 1, 39, 50];
+
+const SEPARATORS = { ";": "normal", ",": "additional", "||": "fallback" };
+
+const TOKEN_PATTERN = /\s*(24\/7|\d{1,2}:\d{2}|[A-Za-z]+|\|\||[-,;])\s*/y;
+
+const berlinFormat = new Intl.DateTimeFormat("en-US", {
+  timeZone: TIME_ZONE,
+  year: "numeric",
+  month: "numeric",
+  day: "numeric",
+  hour: "numeric",
+  minute: "numeric",
+  hourCycle: "h23",
+});
+
+/* Returns null for characters outside of the supported syntax */
+function tokenize(text) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  while (TOKEN_PATTERN.lastIndex < text.length) {
+    const match = TOKEN_PATTERN.exec(text);
+    if (!match) return null;
+    tokens.push(match[1]);
+  }
+  return tokens;
+}
+
+const isSelector = (token) => token === HOLIDAY || WEEKDAYS.includes(token);
+
+const isTime = (token) => /^\d{1,2}:\d{2}$/.test(token ?? "");
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes <= MINUTES_PER_DAY && minutes < 60
+    ? hours * 60 + minutes
+    : NaN;
+}
+
+/**
+ * Parses opening hours like "Mo-Fr 09:00-18:00; Sa 10:00-14:00; PH off".
+ * Each rule has the weekdays it applies to (0 being Monday, null for every
+ * day), whether it applies to public holidays and its intervals in minutes
+ * since midnight. Intervals past midnight end after 24:00.
+ * @param {string} text The opening hours.
+ * @returns {array} The rules, or null if the text can't be parsed.
+ */
+function parseOpeningHours(text) {
+  const tokens = tokenize(text?.trim() || "");
+  if (!tokens?.length) return null;
+  let position = 0;
+  const peek = (offset = 0) => tokens[position + offset];
+  const next = () => tokens[position++];
+
+  const rules = [];
+  let type = "normal";
+  while (position < tokens.length) {
+    const rule = { type, weekdays: null, holidays: false, intervals: [] };
+
+    if (isSelector(peek())) {
+      rule.weekdays = [];
+      for (;;) {
+        const token = next();
+        if (token === HOLIDAY) {
+          rule.holidays = true;
+        } else {
+          const start = WEEKDAYS.indexOf(token);
+          let end = start;
+          if (peek() === "-") {
+            next();
+            end = WEEKDAYS.indexOf(next());
+            if (end === -1) return null;
+          }
+          // Ranges like Sa-Mo wrap around the end of the week
+          for (let day = start; ; day = (day + 1) % 7) {
+            rule.weekdays.push(day);
+            if (day === end) break;
+          }
+        }
+        if (peek() !== "," || !isSelector(peek(1))) break;
+        next();
+      }
+    }
+
+    if (peek() === "24/7") {
+      next();
+      rule.intervals = [[0, MINUTES_PER_DAY]];
+    } else if (peek() === "off" || peek() === "closed") {
+      next();
+    } else if (isTime(peek())) {
+      for (;;) {
+        const start = toMinutes(next());
+        if (next() !== "-" || !isTime(peek())) return null;
+        let end = toMinutes(next());
+        if (isNaN(start) || isNaN(end)) return null;
+        if (end <= start) {
+          end += MINUTES_PER_DAY;
+        }
+        rule.intervals.push([start, end]);
+        if (peek() !== "," || !isTime(peek(1))) break;
+        next();
+      }
+    } else if (rule.weekdays) {
+      // Selectors without times, like "Sa", mean the whole day
+      rule.intervals = [[0, MINUTES_PER_DAY]];
+    } else {
+      return null;
+    }
+
+    rules.push(rule);
+    if (position < tokens.length) {
+      type = SEPARATORS[next()];
+      if (!type) return null;
+    }
+  }
+  return rules;
+}
+
+/**
+ * Date of Easter Sunday, by the anonymous Gregorian algorithm.
+ * @returns {number} The UTC timestamp of the day.
+ */
+function getEasterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return Date.UTC(year, month - 1, day);
+}
+
+/**
+ * Checks whether a day is a public holiday in Berlin.
+ * @param {number} day The UTC timestamp of the day.
+ */
+function isPublicHoliday(day) {
+  const date = new Date(day);
+  const easterSunday = getEasterSunday(date.getUTCFullYear());
+  return (
+    FIXED_HOLIDAYS.some(
+      ([month, dayOfMonth]) =>
+        date.getUTCMonth() === month - 1 && date.getUTCDate() === dayOfMonth
+    ) || EASTER_HOLIDAYS.some((offset) => easterSunday + offset * DAY_MS === day)
+  );
+}
+
+const getWeekday = (day) => (new Date(day).getUTCDay() + 6) % 7;
+
+/**
+ * The current day and time in Berlin. Days are handled as the UTC timestamps
+ * of their midnight, so that they can be counted without time zones.
+ * @param {Date} date The moment.
+ * @returns {object} The day as `day` and the minutes since midnight as `minutes`.
+ */
+function getBerlinTime(date) {
+  const parts = Object.fromEntries(
+    berlinFormat
+      .formatToParts(date)
+      .map(({ type, value }) => [type, Number(value)])
+  );
+  return {
+    day: Date.UTC(parts.year, parts.month - 1, parts.day),
+    minutes: (parts.hour % 24) * 60 + parts.minute,
+  };
+}
+
+/* Later rules replace earlier ones for their days, unless they are additional */
+function getDayIntervals(rules, day) {
+  const weekday = getWeekday(day);
+  const holiday = isPublicHoliday(day);
+  let intervals = [];
+  let matched = false;
+  rules.forEach((rule) => {
+    const applies =
+      !rule.weekdays ||
+      rule.weekdays.includes(weekday) ||
+      (rule.holidays && holiday);
+    if (!applies || (rule.type === "fallback" && matched)) return;
+    intervals =
+      rule.type === "additional"
+        ? [...intervals, ...rule.intervals]
+        : rule.intervals;
+    matched = true;
+  });
+  return intervals;
+}
+
+/* Merged open intervals in minutes since the start of `day`, from the day before */
+function getSpans(rules, day, days) {
+  const spans = [];
+  for (let offset = -1; offset < days; offset++) {
+    getDayIntervals(rules, day + offset * DAY_MS).forEach(([start, end]) =>
+      spans.push([
+        start + offset * MINUTES_PER_DAY,
+        end + offset * MINUTES_PER_DAY,
+      ])
+    );
+  }
+  spans.sort(([a], [b]) => a - b);
+  return spans.reduce((merged, [start, end]) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+    return merged;
+  }, []);
+}
+
+/**
+ * Checks whether a location is open at the given moment.
+ * @param {array} rules The parsed opening hours.
+ * @param {Date} date The moment, by default now.
+ */
+function isOpenAt(rules, date = new Date()) {
+  const { day, minutes } = getBerlinTime(date);
+  return getSpans(rules, day, 1).some(
+    ([start, end]) => start <= minutes && minutes < end
+  );
+}
+
+/**
+ * Whether a location is open at the given moment and when that changes next.
+ * The change has the weekday, the number of days from today and the time.
+ * @param {array} rules The parsed opening hours.
+ * @param {Date} date The moment, by default now.
+ * @returns {object} The state as `{ open, change }`, without a change if it
+ * doesn't happen within the next week.
+ */
+function getOpeningState(rules, date = new Date()) {
+  const { day, minutes } = getBerlinTime(date);
+  const spans = getSpans(rules, day, LOOKAHEAD_DAYS);
+  const current = spans.find(([start, end]) => start <= minutes && minutes < end);
+  const upcoming = spans.find(([start]) => start > minutes);
+
+  let changeAt = current ? current[1] : upcoming?.[0];
+  // Open spans reaching the end of the lookahead have no known closing time
+  if (changeAt === undefined || changeAt >= LOOKAHEAD_DAYS * MINUTES_PER_DAY) {
+    return { open: !!current, change: null };
+  }
+  // Closing at midnight is shown as 24:00 of the day before
+  const days = current
+    ? Math.ceil(changeAt / MINUTES_PER_DAY) - 1
+    : Math.floor(changeAt / MINUTES_PER_DAY);
+  return {
+    open: !!current,
+    change: {
+      days,
+      weekday: getWeekday(day + days * DAY_MS),
+      time: formatMinutes(changeAt - days * MINUTES_PER_DAY),
+    },
+  };
+}
+
+/**
+ * The opening hours of the current week, from Monday to Sunday.
+ * @param {array} rules The parsed opening hours.
+ * @param {Date} date A moment within the week, by default now.
+ * @returns {array} The days as `{ day, weekday, holiday, today, intervals }`.
+ */
+function getWeekSchedule(rules, date = new Date()) {
+  const { day: today } = getBerlinTime(date);
+  const monday = today - getWeekday(today) * DAY_MS;
+  return WEEKDAYS.map((_, weekday) => {
+    const day = monday + weekday * DAY_MS;
+    return {
+      day,
+      weekday,
+      holiday: isPublicHoliday(day),
+      today: day === today,
+      intervals: getDayIntervals(rules, day),
+    };
+  });
+}
+
+/**
+ * Formats minutes since midnight as time like "09:30". Times past midnight
+ * are shown as the time of the next day, midnight at the end as "24:00".
+ * @param {number} minutes The minutes since midnight.
+ */
+function formatMinutes(minutes) {
+  if (minutes === MINUTES_PER_DAY) return "24:00";
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${pad(Math.floor(minutes / 60) % 24)}:${pad(minutes % 60)}`;
+}
+
+export {
+  parseOpeningHours,
+  isOpenAt,
+  getOpeningState,
+  getWeekSchedule,
+  formatMinutes,
+};
@@ -0,0 +1,168 @@
+import {
+  formatMinutes,
+  getOpeningState,
+  getWeekSchedule,
+  isOpenAt,
+  parseOpeningHours,
+} from "./schedule";
+
+// Times in Berlin during summer time, 16 October 2023 being a Monday
+const at = (date, time) => new Date(`${date}T${time}:00+02:00`);
+
+const WORKDAYS = parseOpeningHours("Mo-Fr 09:00-18:00; Sa 10:00-14:00; PH off");
+
+describe("parseOpeningHours", () => {
+  test("parses weekdays, holidays and time spans", () => {
+    expect(WORKDAYS).toEqual([
+      {
+        type: "normal",
+        weekdays: [0, 1, 2, 3, 4],
+        holidays: false,
+        intervals: [[540, 1080]],
+      },
+      {
+        type: "normal",
+        weekdays: [5],
+        holidays: false,
+        intervals: [[600, 840]],
+      },
+      { type: "normal", weekdays: [], holidays: true, intervals: [] },
+    ]);
+  });
+
+  test("wraps weekday ranges around the end of the week", () => {
+    expect(parseOpeningHours("Sa-Mo 10:00-12:00")[0].weekdays).toEqual([
+      5, 6, 0,
+    ]);
+  });
+
+  test("ends spans past midnight after 24:00", () => {
+    expect(parseOpeningHours("Fr 22:00-02:00")[0].intervals).toEqual([
+      [1320, 1560],
+    ]);
+  });
+
+  test("opens whole days for 24/7 and selectors without times", () => {
+    expect(parseOpeningHours("24/7")[0].intervals).toEqual([[0, 1440]]);
+    expect(parseOpeningHours("Su")[0].intervals).toEqual([[0, 1440]]);
+  });
+
+  test("gives up on anything outside of the supported syntax", () => {
+    expect(parseOpeningHours("")).toBeNull();
+    expect(parseOpeningHours(null)).toBeNull();
+    expect(parseOpeningHours("nach Vereinbarung")).toBeNull();
+    expect(parseOpeningHours("Mo-Fr 9-18")).toBeNull();
+    expect(parseOpeningHours("Mo 25:00-26:00")).toBeNull();
+    expect(parseOpeningHours("Mo 09:00-12:00 / Tu")).toBeNull();
+  });
+});
+
+describe("isOpenAt", () => {
+  test("checks the time spans of the day in Berlin time", () => {
+    expect(isOpenAt(WORKDAYS, at("2023-10-16", "09:00"))).toBe(true);
+    expect(isOpenAt(WORKDAYS, at("2023-10-16", "18:00"))).toBe(false);
+    expect(isOpenAt(WORKDAYS, at("2023-10-21", "13:59"))).toBe(true);
+    expect(isOpenAt(WORKDAYS, at("2023-10-22", "12:00"))).toBe(false);
+    // Still Monday in Berlin, although Sunday in UTC
+    expect(
+      isOpenAt(parseOpeningHours("Mo 00:00-01:00"), at("2023-10-16", "00:30"))
+    ).toBe(true);
+  });
+
+  test("keeps spans past midnight open on the next day", () => {
+    const rules = parseOpeningHours("Fr 22:00-02:00");
+    expect(isOpenAt(rules, at("2023-10-21", "01:00"))).toBe(true);
+    expect(isOpenAt(rules, at("2023-10-21", "02:00"))).toBe(false);
+  });
+
+  test("closes on the public holidays of Berlin", () => {
+    // Day of German Unity, Women's Day and Easter Monday
+    expect(isOpenAt(WORKDAYS, at("2023-10-03", "10:00"))).toBe(false);
+    expect(isOpenAt(WORKDAYS, new Date("2024-03-08T10:00:00+01:00"))).toBe(
+      false
+    );
+    expect(isOpenAt(WORKDAYS, at("2024-04-01", "10:00"))).toBe(false);
+    expect(isOpenAt(WORKDAYS, at("2024-04-02", "10:00"))).toBe(true);
+  });
+
+  test("applies fallback rules only to days not matched before", () => {
+    const rules = parseOpeningHours("Mo 09:00-12:00 || 10:00-11:00");
+    expect(isOpenAt(rules, at("2023-10-16", "11:30"))).toBe(true);
+    expect(isOpenAt(rules, at("2023-10-17", "11:30"))).toBe(false);
+    expect(isOpenAt(rules, at("2023-10-17", "10:30"))).toBe(true);
+  });
+});
+
+describe("getOpeningState", () => {
+  test("tells when an open location closes", () => {
+    expect(getOpeningState(WORKDAYS, at("2023-10-16", "17:00"))).toEqual({
+      open: true,
+      change: { days: 0, weekday: 0, time: "18:00" },
+    });
+  });
+
+  test("tells when a closed location opens, skipping holidays", () => {
+    expect(getOpeningState(WORKDAYS, at("2023-10-21", "15:00"))).toEqual({
+      open: false,
+      change: { days: 2, weekday: 0, time: "09:00" },
+    });
+    expect(getOpeningState(WORKDAYS, at("2023-10-02", "19:00"))).toEqual({
+      open: false,
+      change: { days: 2, weekday: 2, time: "09:00" },
+    });
+  });
+
+  test("shows closing at midnight as 24:00 of the same day", () => {
+    const rules = parseOpeningHours("Mo 18:00-24:00");
+    expect(getOpeningState(rules, at("2023-10-16", "20:00")).change).toEqual({
+      days: 0,
+      weekday: 0,
+      time: "24:00",
+    });
+  });
+
+  test("has no change for locations which are always open or closed", () => {
+    expect(getOpeningState(parseOpeningHours("24/7"))).toEqual({
+      open: true,
+      change: null,
+    });
+    expect(getOpeningState(parseOpeningHours("off"))).toEqual({
+      open: false,
+      change: null,
+    });
+  });
+});
+
+describe("getWeekSchedule", () => {
+  test("lists the days from Monday to Sunday", () => {
+    const week = getWeekSchedule(WORKDAYS, at("2023-10-03", "12:00"));
+    expect(week.map(({ weekday }) => weekday)).toEqual([0, 1, 2, 3, 4, 5, 6]);
+    expect(week[0].day).toBe(Date.UTC(2023, 9, 2));
+    expect(week[0].intervals).toEqual([[540, 1080]]);
+    expect(week[1]).toMatchObject({
+      holiday: true,
+      today: true,
+      intervals: [],
+    });
+    expect(week[6].intervals).toEqual([]);
+  });
+
+  test("adds up additional rules", () => {
+    const rules = parseOpeningHours("Mo 09:00-12:00, Mo 14:00-18:00");
+    expect(
+      getWeekSchedule(rules, at("2023-10-16", "12:00"))[0].intervals
+    ).toEqual([
+      [540, 720],
+      [840, 1080],
+    ]);
+  });
+});
+
+describe("formatMinutes", () => {
+  test("formats times of the day, also past midnight", () => {
+    expect(formatMinutes(0)).toBe("00:00");
+    expect(formatMinutes(570)).toBe("09:30");
+    expect(formatMinutes(1440)).toBe("24:00");
+    expect(formatMinutes(1560)).toBe("02:00");
+  });
+});
@@ -0,0 +1,245 @@
+/**
+ * Client side full text search over the loaded GeoJSON features.
+ * Texts are compared without diacritics and case, so "sectia" matches
+ * "secția" and "secţia", and small typos are tolerated.
+ */
+
+import { haversineDistance } from "./utils";
+
+const COMBINING_MARKS = /[\u0300-\u036f]/g;
+const TOKEN_SEPARATOR = /[^\p{L}\p{N}]+/u;
+
+/* How much a match in each field counts for the ranking of a result */
+const FIELD_WEIGHTS = {
+  name: 4,
+  category: 2,
+  address: 1,
+  description: 1,
+};
+
+/**
+ * Removes diacritics and case from a text. Both the comma (ș, ț) and the
+ * cedilla (ş, ţ) variants of Romanian letters are decomposed to a base
+ * letter with a combining mark, so they end up as the same letter.
+ * @param {string} text The text to be normalized.
+ */
+function normalize(text) {
+  return (text || "").normalize("NFD").replace(COMBINING_MARKS, "").toLowerCase();
+}
+
+function tokenize(text) {
+  return normalize(text).split(TOKEN_SEPARATOR).filter(Boolean);
+}
+
+/**
+ * Levenshtein distance between two strings, giving up as soon as it is
+ * certain to be larger than max.
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMinimum = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMinimum = Math.min(rowMinimum, current[j]);
+    }
+    if (rowMinimum > max) {
+      return max + 1;
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Rates how well a query token matches a token of a document: 1 for a
+ * prefix match, 0.5 for a match with typos and 0 for no match at all.
+ * The token may still be typed, so typos are also checked against prefixes.
+ */
+function matchToken(queryToken, token) {
+  if (token.startsWith(queryToken)) {
+    return 1;
+  }
+  const allowedTypos =
+    queryToken.length >= 8 ? 2 : queryToken.length >= 4 ? 1 : 0;
+  if (!allowedTypos) {
+    return 0;
+  }
+  const distance = Math.min(
+    editDistance(queryToken, token, allowedTypos),
+    editDistance(queryToken, token.slice(0, queryToken.length), allowedTypos)
+  );
+  return distance <= allowedTypos ? 0.5 : 0;
+}
+
+/**
+ * Builds a search index over GeoJSON features.
+ * @param {array} features The features to be searched.
+ * @param {function} getCategoryLabels Returns all the labels of a category.
+ * @returns {object} Index with a `search(query, limit)` method, returning the
+ * matching features as `{ feature, score }` objects, best matches first.
+ */
+function createSearchIndex(features, getCategoryLabels) {
+  const documents = features.map((feature) => {
+    const { name, address, description, category } = feature.properties;
+    return {
+      feature,
+      fields: {
+        name: new Set(tokenize(name)),
+        category: new Set(tokenize(getCategoryLabels(category).join(" "))),
+        address: new Set(tokenize(address)),
+        description: new Set(tokenize(description)),
+      },
+    };
+  });
+
+  function scoreDocument(document, queryTokens) {
+    let score = 0;
+    for (const queryToken of queryTokens) {
+      let tokenScore = 0;
+      for (const [field, tokens] of Object.entries(document.fields)) {
+        for (const token of tokens) {
+          const match = matchToken(queryToken, token) * FIELD_WEIGHTS[field];
+          tokenScore = Math.max(tokenScore, match);
+        }
+      }
+      // Every word of the query has to be found
+      if (!tokenScore) {
+        return 0;
+      }
+      score += tokenScore;
+    }
+    return score;
+  }
+
+  function search(query, limit = Infinity) {
+    const queryTokens = tokenize(query);
+    if (!queryTokens.length) {
+      return [];
+    }
+    return documents
+      .map((document) => ({
+        feature: document.feature,
+        score: scoreDocument(document, queryTokens),
+      }))
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  return { search };
+}
+
+/**
+ * Splits a text into parts which do or do not literally match one of the
+ * words of the query, ignoring diacritics and case.
+ * @param {string} text The text to be highlighted.
+ * @param {string} query The search query.
+ * @returns {array} Parts of the text as `{ text, match }` objects.
+ */
+function splitMatches(text, query = "") {
+  // Normalize character by character to map positions back to the text,
+  // features without a name having null instead
+  const characters = Array.from(text || "");
+  let normalized = "";
+  const offsets = [];
+  characters.forEach((character, index) => {
+    const normalizedCharacter = normalize(character);
+    normalized += normalizedCharacter;
+    offsets.push(...Array(normalizedCharacter.length).fill(index));
+  });
+
+  const matched = Array(characters.length).fill(false);
+  tokenize(query).forEach((queryToken) => {
+    let start = normalized.indexOf(queryToken);
+    while (start !== -1) {
+      for (let i = start; i < start + queryToken.length; i++) {
+        matched[offsets[i]] = true;
+      }
+      start = normalized.indexOf(queryToken, start + queryToken.length);
+    }
+  });
+
+  const parts = [];
+  characters.forEach((character, index) => {
+    const last = parts[parts.length - 1];
+    if (last && last.match === matched[index]) {
+      last.text += character;
+    } else {
+      parts.push({ text: character, match: matched[index] });
+    }
+  });
+  return parts;
+}
+
+/* Thresholds for considering a proposed location a likely duplicate */
+const DUPLICATE_SCORE = 0.7;
+const DUPLICATE_DISTANCE = 150;
+const DUPLICATE_ADDRESS_SIMILARITY = 0.7;
+
+/**
+ * Similarity of two texts between 0 and 1, as the share of their words
+ * matching each other, typos included.
+ */
+function textSimilarity(a, b) {
+  const tokensA = tokenize(a);
+  const tokensB = tokenize(b);
+  if (!tokensA.length || !tokensB.length) {
+    return 0;
+  }
+  const matched = tokensA.reduce(
+    (sum, tokenA) =>
+      sum +
+      Math.max(
+        ...tokensB.map((tokenB) =>
+          tokenA === tokenB ? 1 : Math.min(matchToken(tokenA, tokenB), 0.5)
+        )
+      ),
+    0
+  );
+  return (2 * matched) / (tokensA.length + tokensB.length);
+}
+
+/**
+ * Finds locations which are likely the same as a proposed one, by comparing
+ * the names and adding up evidence from the address and the distance.
+ * @param {array} features The known locations, as GeoJSON features.
+ * @param {object} proposal The proposal with `name`, `address` and an optional `point`.
+ * @param {number} limit The maximum number of matches.
+ * @returns {array} The matching features, best matches first.
+ */
+function findDuplicates(features, { name, address, point }, limit = 3) {
+  return features
+    .map((feature) => {
+      const { properties, geometry } = feature;
+      let score = textSimilarity(name, properties.name);
+      if (
+        point &&
+        geometry &&
+        haversineDistance(point, geometry.coordinates) <= DUPLICATE_DISTANCE
+      ) {
+        score += 0.3;
+      }
+      if (
+        textSimilarity(address, properties.address) >=
+        DUPLICATE_ADDRESS_SIMILARITY
+      ) {
+        score += 0.3;
+      }
+      return { feature, score };
+    })
+    .filter(({ score }) => score >= DUPLICATE_SCORE)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ feature }) => feature);
+}
+
+export { normalize, createSearchIndex, splitMatches, findDuplicates };
@@ -0,0 +1,133 @@
+import {
+  createSearchIndex,
+  findDuplicates,
+  normalize,
+  splitMatches,
+} from "./search";
+
+const feature = (pk, properties, coordinates = null) => ({
+  type: "Feature",
+  geometry: coordinates && { type: "Point", coordinates },
+  properties: { pk, category: { pk: 1, label: "Biserici" }, ...properties },
+});
+
+const features = [
+  feature(1, {
+    name: "Secția de votare Ambasada României",
+    address: "Dorotheenstraße 62-66",
+    description: "Deschisă în ziua alegerilor",
+  }),
+  feature(2, {
+    name: "Biserica Ortodoxă Română",
+    address: "Cantianstraße 1",
+    description: "Slujbe duminica",
+  }),
+  feature(3, {
+    name: "Magazin românesc",
+    address: "Ambasada Straße 3",
+    description: null,
+  }),
+];
+
+const getCategoryLabels = (category) => [category.label];
+
+describe("normalize", () => {
+  test("removes case and both variants of Romanian diacritics", () => {
+    expect(normalize("Secția")).toBe("sectia");
+    expect(normalize("Secţia")).toBe("sectia");
+    expect(normalize("ŞTIINŢĂ")).toBe("stiinta");
+  });
+
+  test("treats missing texts as empty", () => {
+    expect(normalize(null)).toBe("");
+    expect(normalize(undefined)).toBe("");
+  });
+});
+
+describe("createSearchIndex", () => {
+  const index = createSearchIndex(features, getCategoryLabels);
+  const search = (query, limit) =>
+    index.search(query, limit).map((result) => result.feature.properties.pk);
+
+  test("finds words by their prefix, without diacritics", () => {
+    expect(search("sectia")).toEqual([1]);
+    expect(search("ortod")).toEqual([2]);
+  });
+
+  test("tolerates typos in longer words", () => {
+    expect(search("biserca")).toEqual([2]);
+  });
+
+  test("requires every word of the query", () => {
+    expect(search("ortodoxa votare")).toEqual([]);
+  });
+
+  test("ranks matches in the name above matches in the address", () => {
+    expect(search("ambasada")).toEqual([1, 3]);
+  });
+
+  test("searches the labels of the category", () => {
+    expect(search("biserici")).toHaveLength(3);
+  });
+
+  test("returns nothing for an empty query and respects the limit", () => {
+    expect(search("  ")).toEqual([]);
+    expect(search("biserici", 2)).toHaveLength(2);
+  });
+});
+
+describe("splitMatches", () => {
+  test("marks the parts matching the query, keeping the original text", () => {
+    expect(splitMatches("Secția de votare", "sectia")).toEqual([
+      { text: "Secția", match: true },
+      { text: " de votare", match: false },
+    ]);
+  });
+
+  test("marks every match of every word", () => {
+    expect(
+      splitMatches("Ana are mere", "a mere")
+        .filter((part) => part.match)
+        .map((part) => part.text)
+    ).toEqual(["A", "a", "a", "mere"]);
+  });
+
+  test("returns no parts for a missing text", () => {
+    expect(splitMatches(null, "a")).toEqual([]);
+    expect(splitMatches(undefined, "a")).toEqual([]);
+  });
+});
+
+describe("findDuplicates", () => {
+  const located = [
+    feature(1, { name: "Biserica Ortodoxă Română", address: "Cantianstraße 1" }, [
+      13.41, 52.545,
+    ]),
+    feature(2, { name: "Magazin românesc", address: "Karl-Marx-Allee 10" }, [
+      13.43, 52.517,
+    ]),
+  ];
+
+  test("finds a location with the same name written differently", () => {
+    const duplicates = findDuplicates(located, {
+      name: "biserica ortodoxa romana",
+      address: "",
+    });
+    expect(duplicates.map(({ properties }) => properties.pk)).toEqual([1]);
+  });
+
+  test("adds up evidence from the address and the distance", () => {
+    const proposal = { name: "Magazin", address: "" };
+    const pks = (values) =>
+      findDuplicates(located, values).map(({ properties }) => properties.pk);
+    expect(pks(proposal)).toEqual([]);
+    expect(pks({ ...proposal, address: "Karl-Marx-Allee 10" })).toEqual([2]);
+    expect(pks({ ...proposal, point: [13.4301, 52.5171] })).toEqual([2]);
+  });
+
+  test("ignores locations which are not similar", () => {
+    expect(
+      findDuplicates(located, { name: "Consulatul General", address: "Bonn" })
+    ).toEqual([]);
+  });
+});
@@ -0,0 +1,62 @@
+/* eslint-disable no-restricted-globals */
+
+// This service worker is built by Create React App through workbox, which
+// injects the list of files of the app shell into `self.__WB_MANIFEST`.
+// See https://create-react-app.dev/docs/making-a-progressive-web-app/
+
+import { clientsClaim } from "workbox-core";
+import { CacheableResponsePlugin } from "workbox-cacheable-response";
+import { ExpirationPlugin } from "workbox-expiration";
+import { precacheAndRoute, createHandlerBoundToURL } from "workbox-precaching";
+import { registerRoute } from "workbox-routing";
+import { StaleWhileRevalidate } from "workbox-strategies";
+
+import { API_CACHE_NAME } from "./constants";
+
+clientsClaim();
+
+/* App shell */
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Serve index.html for all navigation requests which are not for files,
+// so that the client side routes also work offline.
+const fileExtensionRegexp = new RegExp("/[^/?]+\\.[^/]+$");
+registerRoute(({ request, url }) => {
+  if (request.mode !== "navigate") {
+    return false;
+  }
+  if (url.pathname.startsWith("/_")) {
+    return false;
+  }
+  if (url.pathname.match(fileExtensionRegexp)) {
+    return false;
+  }
+  return true;
+}, createHandlerBoundToURL(process.env.PUBLIC_URL + "/index.html"));
+
+/* API */
+
+// Locations and categories are answered from the cache right away and
+// updated in the background, so the last good response is always available.
+registerRoute(
+  ({ url, request }) =>
+    request.method === "GET" &&
+    (url.pathname.startsWith("/api/locations/") ||
+      url.pathname.startsWith("/api/categories/")),
+  new StaleWhileRevalidate({
+    cacheName: API_CACHE_NAME,
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [0, 200] }),
+      new ExpirationPlugin({ maxEntries: 50, maxAgeSeconds: 30 * 24 * 60 * 60 }),
+    ],
+  })
+);
+
+// Allows the web app to trigger skipWaiting via
+// registration.waiting.postMessage({type: 'SKIP_WAITING'})
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "SKIP_WAITING") {
+    self.skipWaiting();
+  }
+});
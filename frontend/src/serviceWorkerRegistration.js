@@ -0,0 +1,98 @@
+// Registers the service worker of the production build, which makes the app
+// installable and lets it open without network access.
+// See https://create-react-app.dev/docs/making-a-progressive-web-app/
+
+const isLocalhost = Boolean(
+  window.location.hostname === "localhost" ||
+    // [::1] is the IPv6 localhost address.
+    window.location.hostname === "[::1]" ||
+    // 127.0.0.0/8 are considered localhost for IPv4.
+    window.location.hostname.match(
+      /^127(?:\.(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)){3}$/
+    )
+);
+
+/**
+ * Registers the service worker in production builds.
+ * @param {object} config Optional `onSuccess`, `onUpdate` and `onError`
+ * callbacks, called with the registration or the error.
+ */
+function register(config) {
+  if (process.env.NODE_ENV !== "production" || !("serviceWorker" in navigator)) {
+    return;
+  }
+  // The service worker won't work if PUBLIC_URL is on a different origin
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) {
+    return;
+  }
+
+  window.addEventListener("load", () => {
+    const swUrl = `${process.env.PUBLIC_URL}/service-worker.js`;
+    if (isLocalhost) {
+      checkValidServiceWorker(swUrl, config);
+    } else {
+      registerValidSW(swUrl, config);
+    }
+  });
+}
+
+function registerValidSW(swUrl, config) {
+  navigator.serviceWorker
+    .register(swUrl)
+    .then((registration) => {
+      registration.onupdatefound = () => {
+        const installingWorker = registration.installing;
+        if (installingWorker == null) {
+          return;
+        }
+        installingWorker.onstatechange = () => {
+          if (installingWorker.state !== "installed") {
+            return;
+          }
+          if (navigator.serviceWorker.controller) {
+            // The new content is used once all tabs of the page are closed
+            config?.onUpdate?.(registration);
+          } else {
+            // Everything has been precached for offline use
+            config?.onSuccess?.(registration);
+          }
+        };
+      };
+    })
+    .catch((error) => {
+      // Without a service worker the app keeps working, only not offline
+      config?.onError?.(error);
+    });
+}
+
+function checkValidServiceWorker(swUrl, config) {
+  // Check that the service worker exists and is not a page from another app
+  fetch(swUrl, { headers: { "Service-Worker": "script" } })
+    .then((response) => {
+      const contentType = response.headers.get("content-type");
+      if (
+        response.status === 404 ||
+        (contentType != null && contentType.indexOf("javascript") === -1)
+      ) {
+        navigator.serviceWorker.ready.then((registration) => {
+          registration.unregister().then(() => window.location.reload());
+        });
+      } else {
+        registerValidSW(swUrl, config);
+      }
+    })
+    .catch(() => {
+      // Offline, the service worker registered before keeps serving the app
+    });
+}
+
+function unregister() {
+  if ("serviceWorker" in navigator) {
+    navigator.serviceWorker.ready
+      .then((registration) => registration.unregister())
+      .catch(() => {});
+  }
+}
+
+export { register, unregister };
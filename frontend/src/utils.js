@@ -1,10 +1,432 @@
 import { useLocation } from "react-router-dom";
-import { ENDPOINTS } from "./constants";
+import {
+  API_CACHE_NAME,
+  CATEGORY_COLOR_MAP,
+  DEFAULT_INEXACT_RADIUS,
+  ENDPOINTS,
+  MAPBOX_TOKEN,
+} from "./constants";
 
-const fetchCategories = () =>
-  fetch(ENDPOINTS.CATEGORIES).then((res) => res.json());
+/**
+ * Fetches JSON data from the API. When the network is not available, the
+ * last good response kept by the service worker is used instead.
+ * @param {string} url The URL to be fetched.
+ */
+const fetchJSON = (url) =>
+  fetch(url)
+    .catch(async (error) => {
+      const cache = window.caches && (await window.caches.open(API_CACHE_NAME));
+      const response = cache && (await cache.match(url));
+      if (!response) {
+        throw error;
+      }
+      return response;
+    })
+    .then((res) => res.json());
+
+const fetchCategories = () => fetchJSON(ENDPOINTS.CATEGORIES);
+/* Includes the online services and hotlines, which have no place of their own */
 const fetchLocations = ({search = ""}) =>
-  fetch(`${ENDPOINTS.LOCATIONS}?search=${search}`).then((res) => res.json());
+  fetchJSON(
+    `${ENDPOINTS.LOCATIONS}?search=${search}&include_non_geographic=true`
+  );
+
+/**
+ * Sends a request to the reviewer API, authenticated by the token of the
+ * reviewer. Failed requests reject with an error carrying the status.
+ * @param {string} url The endpoint.
+ * @param {string} token The token of the reviewer.
+ * @param {object} options The method and an optional body sent as JSON.
+ */
+const fetchAuthenticated = async (url, token, { method = "GET", body } = {}) => {
+  const headers = { Authorization: `Token ${token}` };
+  if (body) {
+    headers["Content-Type"] = "application/json";
+  }
+  const response = await fetch(url, {
+    method,
+    headers,
+    body: body && JSON.stringify(body),
+  });
+  if (!response.ok) {
+    const error = new Error(response.statusText);
+    error.status = response.status;
+    throw error;
+  }
+  return response.status === 204 ? null : response.json();
+};
+
+/**
+ * Logs a reviewer in.
+ * @returns {Promise} Resolves with the token, or null for wrong credentials.
+ */
+const fetchReviewToken = async (username, password) => {
+  const response = await fetch(ENDPOINTS.REVIEW_LOGIN, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ username, password }),
+  });
+  if (response.status === 400) {
+    return null;
+  }
+  if (!response.ok) {
+    throw new Error(response.statusText);
+  }
+  return (await response.json()).token;
+};
+
+/**
+ * Checks whether all the given GeoJSON point features share the same coordinates.
+ * @param {array} features The point features to be compared.
+ */
+const haveSameCoordinates = (features) =>
+  features.every(
+    ({ geometry }) =>
+      geometry.coordinates[0] === features[0].geometry.coordinates[0] &&
+      geometry.coordinates[1] === features[0].geometry.coordinates[1]
+  );
+const EARTH_RADIUS = 6371008.8;
+
+/**
+ * Great-circle distance between two points, in meters.
+ * @param {array} from The first point as [longitude, latitude].
+ * @param {array} to The second point as [longitude, latitude].
+ */
+const haversineDistance = ([lon1, lat1], [lon2, lat2]) => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Distance from the user to a location in meters, or undefined if one of
+ * both positions is not known.
+ * @param {object} userPosition The position of the user.
+ * @param {object} feature The location as GeoJSON feature.
+ */
+const distanceToUser = (userPosition, feature) =>
+  userPosition && feature?.geometry
+    ? haversineDistance(userPosition.coordinates, feature.geometry.coordinates)
+    : undefined;
+
+/**
+ * Normalizes a phone number to the E.164 format used by `tel:` links, e.g.
+ * "030 21239555" to "+493021239555". Numbers starting with a single zero are
+ * taken as German ones.
+ * @param {string} phone The phone number as written.
+ * @returns {string} The normalized number, or null if it can't be normalized.
+ */
+const toE164 = (phone) => {
+  let number = phone.replace(/\(0\)/g, "").replace(/[\s()./-]/g, "");
+  if (number.startsWith("00")) {
+    number = `+${number.slice(2)}`;
+  } else if (number.startsWith("0")) {
+    number = `+49${number.slice(1)}`;
+  }
+  return /^\+[1-9]\d{6,14}$/.test(number) ? number : null;
+};
+
+/**
+ * The `tel:` link of a phone number, with the digits as written when the
+ * number can't be normalized.
+ * @param {string} phone The phone number as written.
+ */
+const getPhoneUrl = (phone) =>
+  `tel:${toE164(phone) || phone.replace(/[^\d+]/g, "")}`;
+
+/**
+ * Links opening a location in the maps apps: the `geo:` URI handled by the
+ * default app on Android, Apple Maps, Google Maps and OpenStreetMap.
+ * Locations without coordinates are searched by their address.
+ * @param {object} feature The location as GeoJSON feature.
+ * @returns {object} The URLs by the key of the app.
+ */
+const getMapsUrls = ({ geometry, properties: { name, address } }) => {
+  if (!geometry) {
+    const query = encodeURIComponent(address || name);
+    return {
+      geo: `geo:0,0?q=${query}`,
+      apple: `https://maps.apple.com/?q=${query}`,
+      google: `https://www.google.com/maps/search/?api=1&query=${query}`,
+      osm: `https://www.openstreetmap.org/search?query=${query}`,
+    };
+  }
+  const [lon, lat] = geometry.coordinates.map((value) => value.toFixed(6));
+  const label = encodeURIComponent(name);
+  return {
+    geo: `geo:${lat},${lon}?q=${lat},${lon}(${label})`,
+    apple: `https://maps.apple.com/?ll=${lat},${lon}&q=${label}`,
+    google: `https://www.google.com/maps/search/?api=1&query=${lat},${lon}`,
+    osm: `https://www.openstreetmap.org/?mlat=${lat}&mlon=${lon}#map=18/${lat}/${lon}`,
+  };
+};
+
+/**
+ * Checks whether a location has no place of its own, like online services
+ * and hotlines, which are listed apart from the map.
+ * @param {object} feature The location as GeoJSON feature.
+ */
+const isNonGeographic = (feature) =>
+  feature.properties.geographic_entity === false;
+
+/**
+ * Radius in meters of the area around the point of an inexact location.
+ * @param {object} feature The location as GeoJSON feature.
+ */
+const inexactRadius = (feature) =>
+  feature.properties.inexact_radius || DEFAULT_INEXACT_RADIUS;
+
+/**
+ * Approximates a circle on the map as GeoJSON polygon.
+ * @param {array} center The center as [longitude, latitude].
+ * @param {number} radius The radius in meters.
+ * @param {number} steps The number of vertices of the polygon.
+ */
+const circlePolygon = ([lon, lat], radius, steps = 64) => {
+  const dLat = (radius / EARTH_RADIUS) * (180 / Math.PI);
+  const dLon = dLat / Math.cos((lat * Math.PI) / 180);
+  const coordinates = Array.from({ length: steps + 1 }, (_, index) => {
+    const angle = (2 * Math.PI * index) / steps;
+    return [lon + dLon * Math.cos(angle), lat + dLat * Math.sin(angle)];
+  });
+  return {
+    type: "Feature",
+    geometry: { type: "Polygon", coordinates: [coordinates] },
+    properties: {},
+  };
+};
+
+/**
+ * Formats a distance in meters for display, e.g. "350 m" or "1,2 km".
+ * @param {number} meters The distance.
+ * @param {string} language The language used for formatting the number.
+ */
+const formatDistance = (meters, language) => {
+  if (meters < 1000) {
+    return `${Math.round(meters / 10) * 10} m`;
+  }
+  const kilometers = new Intl.NumberFormat(language, {
+    maximumFractionDigits: meters < 10000 ? 1 : 0,
+  }).format(meters / 1000);
+  return `${kilometers} km`;
+};
+
+/**
+ * Formats a duration in seconds as a clock, e.g. "4:05" or "1:02:09".
+ * @param {number} seconds The duration.
+ */
+const formatDuration = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const rest = String(seconds % 60).padStart(2, "0");
+  return hours
+    ? `${hours}:${String(minutes).padStart(2, "0")}:${rest}`
+    : `${minutes}:${rest}`;
+};
+
+/**
+ * Checks whether a GeoJSON point feature lies within the given bounds.
+ * @param {object} feature The feature to be checked.
+ * @param {array} bounds The bounds as [[west, south], [east, north]].
+ */
+const isWithinBounds = (feature, [[west, south], [east, north]]) => {
+  if (!feature.geometry) {
+    return false;
+  }
+  const [lon, lat] = feature.geometry.coordinates;
+  return lon >= west && lon <= east && lat >= south && lat <= north;
+};
+
+/**
+ * Reads the map viewport from the `lat`, `lng` and `zoom` query parameters.
+ * @param {URLSearchParams} query The query parameters.
+ * @returns {object} The viewport, or null if the parameters are incomplete.
+ */
+const getViewportFromQuery = (query) => {
+  const latitude = parseFloat(query.get("lat"));
+  const longitude = parseFloat(query.get("lng"));
+  const zoom = parseFloat(query.get("zoom"));
+  if ([latitude, longitude, zoom].some(isNaN)) {
+    return null;
+  }
+  return { latitude, longitude, zoom };
+};
+
+/**
+ * Writes the map viewport to the `lat`, `lng` and `zoom` query parameters.
+ * @param {URLSearchParams} query The query parameters to be updated.
+ * @param {object} viewport The viewport of the map.
+ */
+const setViewportToQuery = (query, { latitude, longitude, zoom }) => {
+  query.set("lat", latitude.toFixed(5));
+  query.set("lng", longitude.toFixed(5));
+  query.set("zoom", zoom.toFixed(2));
+};
+
+/**
+ * Bounding box of GeoJSON point features as [[west, south], [east, north]].
+ * @param {array} features The point features.
+ */
+const getBounds = (features) =>
+  features.reduce(
+    ([[west, south], [east, north]], { geometry: { coordinates } }) => [
+      [Math.min(west, coordinates[0]), Math.min(south, coordinates[1])],
+      [Math.max(east, coordinates[0]), Math.max(north, coordinates[1])],
+    ],
+    [
+      [Infinity, Infinity],
+      [-Infinity, -Infinity],
+    ]
+  );
+
+/**
+ * URL of a static Mapbox image showing pins for the given locations.
+ * @param {array} features The locations, as GeoJSON point features.
+ * @param {number} width The width of the image in pixels.
+ * @param {number} height The height of the image in pixels.
+ * @returns {string} The URL, or null if none of the locations has a place.
+ */
+const getStaticMapUrl = (features, width, height) => {
+  const pins = features
+    .filter((feature) => feature.geometry)
+    .map(({ geometry, properties }) => {
+      const [lon, lat] = geometry.coordinates;
+      const color =
+        CATEGORY_COLOR_MAP[properties.category?.pk] || "#6b7280";
+      return `pin-s+${color.slice(1)}(${lon.toFixed(5)},${lat.toFixed(5)})`;
+    });
+  if (!pins.length) {
+    return null;
+  }
+  return (
+    "https://api.mapbox.com/styles/v1/mapbox/streets-v11/static/" +
+    `${pins.join(",")}/auto/${width}x${height}@2x` +
+    `?padding=40&access_token=${MAPBOX_TOKEN}`
+  );
+};
+
+/**
+ * Posts a form to the API, either as multipart form data or as JSON. Uses
+ * XHR instead of fetch, which can't report the progress of the upload.
+ * @param {string} url The endpoint.
+ * @param {FormData|object} data The form data including any files, or an object sent as JSON.
+ * @param {function} onProgress Optional callback receiving the uploaded fraction.
+ * @returns {Promise} Resolves with the status, the parsed body and a getter
+ * for the headers of the response.
+ */
+const postForm = (url, data, onProgress) =>
+  new Promise((resolve, reject) => {
+    const request = new XMLHttpRequest();
+    request.open("POST", url);
+    request.responseType = "json";
+    const isFormData = data instanceof FormData;
+    if (!isFormData) {
+      request.setRequestHeader("Content-Type", "application/json");
+    }
+    request.upload.onprogress = (event) => {
+      if (event.lengthComputable && onProgress) {
+        onProgress(event.loaded / event.total);
+      }
+    };
+    request.onload = () =>
+      resolve({
+        status: request.status,
+        body: request.response,
+        getHeader: (name) => request.getResponseHeader(name),
+      });
+    request.onerror = () => reject(new Error("Network request failed"));
+    request.send(isFormData ? data : JSON.stringify(data));
+  });
+
+const isValidEmail = (email) =>
+  /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,4}$/i.test(email);
+
+const isValidWebsite = (website) => /^https?:\/\/.*$/.test(website);
+
+/**
+ * Flattens the validation errors of a DRF response body into one message per
+ * field. Nested errors, like those of single list items, are joined.
+ * @param {object} body The body of a 400 response.
+ */
+const getFieldErrors = (body) => {
+  const flatten = (errors) =>
+    typeof errors === "string"
+      ? [errors]
+      : Object.values(errors).flatMap(flatten);
+  return Object.fromEntries(
+    Object.entries(body).map(([field, errors]) => [
+      field,
+      flatten(errors).join(" "),
+    ])
+  );
+};
+
+/**
+ * Scales down an image to fit the given dimension and encodes it as JPEG.
+ * Redrawing the image on a canvas also drops its EXIF metadata, like the
+ * position where the photo was taken.
+ * @param {File} file The image file.
+ * @param {number} maxDimension The maximum width and height in pixels.
+ * @returns {Promise} Resolves with the new image as blob.
+ */
+const resizeImage = (file, maxDimension) =>
+  new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      const scale = Math.min(
+        1,
+        maxDimension / Math.max(image.naturalWidth, image.naturalHeight)
+      );
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.round(image.naturalWidth * scale);
+      canvas.height = Math.round(image.naturalHeight * scale);
+      canvas.getContext("2d").drawImage(image, 0, 0, canvas.width, canvas.height);
+      canvas.toBlob(
+        (blob) => (blob ? resolve(blob) : reject(new Error("Encoding failed"))),
+        "image/jpeg",
+        0.85
+      );
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("Invalid image"));
+    };
+    image.src = url;
+  });
+
 const useQueryParams = () => new URLSearchParams(useLocation().search);
 
-export { fetchCategories, fetchLocations, useQueryParams };
+export {
+  fetchCategories,
+  fetchLocations,
+  fetchAuthenticated,
+  fetchReviewToken,
+  haveSameCoordinates,
+  haversineDistance,
+  distanceToUser,
+  circlePolygon,
+  inexactRadius,
+  isNonGeographic,
+  toE164,
+  getPhoneUrl,
+  getMapsUrls,
+  formatDistance,
+  formatDuration,
+  isWithinBounds,
+  getViewportFromQuery,
+  setViewportToQuery,
+  getBounds,
+  getStaticMapUrl,
+  postForm,
+  getFieldErrors,
+  isValidEmail,
+  isValidWebsite,
+  resizeImage,
+  useQueryParams,
+};
@@ -0,0 +1,54 @@
+import { getPhoneUrl, getStaticMapUrl, toE164 } from "./utils";
+
+const feature = (pk, category, coordinates) => ({
+  type: "Feature",
+  geometry: coordinates && { type: "Point", coordinates },
+  properties: { pk, category: { pk: category } },
+});
+
+describe("getStaticMapUrl", () => {
+  test("draws a pin in the category color for every located feature", () => {
+    const url = getStaticMapUrl(
+      [feature(1, 2, [13.4, 52.5]), feature(2, 1, null)],
+      600,
+      250
+    );
+    expect(url).toMatch(
+      /\/static\/pin-s\+1f78b4\(13\.40000,52\.50000\)\/auto\/600x250@2x\?/
+    );
+  });
+
+  test("returns no URL when no feature has a place", () => {
+    expect(getStaticMapUrl([feature(1, 2, null)], 600, 250)).toBeNull();
+    expect(getStaticMapUrl([], 600, 250)).toBeNull();
+  });
+});
+
+describe("toE164", () => {
+  test("normalizes German numbers written in different ways", () => {
+    expect(toE164("030 21239555")).toBe("+493021239555");
+    expect(toE164("(030) 212 395-55")).toBe("+493021239555");
+    expect(toE164("030/21.23.95.55")).toBe("+493021239555");
+    expect(toE164("+49 (0)30 21239555")).toBe("+493021239555");
+    expect(toE164("0049 30 21239555")).toBe("+493021239555");
+  });
+
+  test("keeps numbers of other countries", () => {
+    expect(toE164("+40 21 319 2108")).toBe("+40213192108");
+    expect(toE164("0040 21 319 2108")).toBe("+40213192108");
+  });
+
+  test("gives up on numbers which can't be normalized", () => {
+    expect(toE164("112")).toBeNull();
+    expect(toE164("21239555")).toBeNull();
+    expect(toE164("+49 30 2123 9555 ext. 12")).toBeNull();
+    expect(toE164("+0 30 21239555")).toBeNull();
+  });
+});
+
+describe("getPhoneUrl", () => {
+  test("links the normalized number, or the digits as written", () => {
+    expect(getPhoneUrl("030 21239555")).toBe("tel:+493021239555");
+    expect(getPhoneUrl("112")).toBe("tel:112");
+  });
+});
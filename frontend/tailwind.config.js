@@ -5,6 +5,12 @@ module.exports = {
     fontFamily: {
       body: "Josefin Sans",
     },
+    extend: {
+      maxHeight: {
+        "1/2-screen": "50vh",
+        "2/3-screen": "66vh",
+      },
+    },
   },
   variants: {
     extend: {},